@@ -0,0 +1,137 @@
+// Delay line for the effect relays. Each track keeps its frames in a FrameRing, stamped with
+// their arrival time on a monotonic clock; one PacingClock per session wakes up when the
+// oldest frame is due (arrival + delay) instead of running a timer per frame.
+
+export const now = () => performance.now();
+
+/** Fixed-capacity FIFO of { capturedAt, frame }; pushing into a full ring drops the oldest frame. */
+export class FrameRing {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.stamps = new Float64Array(capacity);
+    this.frames = new Array(capacity).fill(null);
+    this.head = 0;
+    this.size = 0;
+  }
+
+  /** Returns true when the oldest frame had to be dropped to make room. */
+  push(capturedAt, frame) {
+    let overflow = false;
+    if (this.size === this.capacity) {
+      this.shift();
+      overflow = true;
+    }
+    const index = (this.head + this.size) % this.capacity;
+    this.stamps[index] = capturedAt;
+    this.frames[index] = frame;
+    this.size += 1;
+    return overflow;
+  }
+
+  /** Arrival time of the oldest frame, or Infinity when empty. */
+  peekTime() {
+    return this.size > 0 ? this.stamps[this.head] : Infinity;
+  }
+
+  shift() {
+    if (this.size === 0) return null;
+    const entry = { capturedAt: this.stamps[this.head], frame: this.frames[this.head] };
+    this.frames[this.head] = null;
+    this.head = (this.head + 1) % this.capacity;
+    this.size -= 1;
+    return entry;
+  }
+
+  clear() {
+    this.frames.fill(null);
+    this.head = 0;
+    this.size = 0;
+  }
+}
+
+/** Single timer that fires at the earliest time asked for via wakeAt(). */
+export class PacingClock {
+  constructor(onTick) {
+    this.onTick = onTick;
+    this.timer = null;
+    this.at = Infinity;
+  }
+
+  wakeAt(at) {
+    if (!Number.isFinite(at)) return;
+    if (this.timer && this.at <= at) return;
+    clearTimeout(this.timer);
+    this.at = at;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.at = Infinity;
+      this.onTick();
+    }, Math.max(0, Math.ceil(at - now())));
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.at = Infinity;
+  }
+}
+
+/**
+ * Linear-interpolation resample of interleaved 16-bit PCM to `outSamples` per channel. Used to
+ * time-stretch audio by a few percent while a delay ramps; the first and last sample of the
+ * frame are kept so consecutive frames still join up.
+ */
+export function resampleInterleaved(data, channels, outSamples) {
+  const inSamples = data.length / channels;
+  const out = new Int16Array(outSamples * channels);
+  const step = outSamples > 1 ? (inSamples - 1) / (outSamples - 1) : 0;
+  for (let i = 0; i < outSamples; i += 1) {
+    const pos = i * step;
+    const left = Math.floor(pos);
+    const right = Math.min(left + 1, inSamples - 1);
+    const frac = pos - left;
+    for (let c = 0; c < channels; c += 1) {
+      const a = data[left * channels + c];
+      const b = data[right * channels + c];
+      out[i * channels + c] = Math.round(a + (b - a) * frac);
+    }
+  }
+  return out;
+}
+
+const MEAN_WEIGHT = 0.05;
+
+/** Measured delay of released frames compared to the target, since the last reset. */
+export class DelayStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.released = 0;
+    this.dropped = 0;
+    this.repeated = 0;
+    this.lastMs = null;
+    this.meanMs = null;
+    this.maxErrorMs = 0;
+  }
+
+  record(measuredMs, targetMs) {
+    this.released += 1;
+    this.lastMs = measuredMs;
+    this.meanMs = this.meanMs === null ? measuredMs : this.meanMs + (measuredMs - this.meanMs) * MEAN_WEIGHT;
+    this.maxErrorMs = Math.max(this.maxErrorMs, Math.abs(measuredMs - targetMs));
+  }
+
+  toJSON() {
+    const round = (ms) => (ms === null ? null : Math.round(ms * 10) / 10);
+    return {
+      measuredMs: round(this.meanMs),
+      lastMs: round(this.lastMs),
+      maxErrorMs: round(this.maxErrorMs),
+      released: this.released,
+      dropped: this.dropped,
+      repeated: this.repeated,
+    };
+  }
+}
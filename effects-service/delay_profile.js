@@ -0,0 +1,289 @@
+// Delay profiles: a list of segments the relay plays through by itself, so a protocol does not
+// depend on someone changing the delay at the right moment.
+//   step:   { type: "step", delayMs, durationMs, transition? }  holds delayMs for durationMs
+//   ramp:   { type: "ramp", fromMs?, toMs, durationMs, transition? }  moves linearly to toMs over
+//           durationMs, from the delay at that point or from fromMs (reached with `transition`)
+//   jitter: { type: "jitter", delayMs, jitterMs, distribution?, intervalMs?, transition?, durationMs }
+//           draws a new delay around delayMs every intervalMs (default 1000): uniform within
+//           ±jitterMs, or normal with jitterMs as standard deviation (cut off at 3σ)
+// Random draws come from a seeded generator, so a profile with the same seed replays the same
+// delays. The profile applies to `tracks` (default both) and optionally `loop`s.
+// Every ramp a profile asks for (ramp segments, ramp transitions of steps and between jitter
+// draws) has to fit its segment or interval at the relay's ramp rate limits; profiles that would
+// need a longer window are rejected rather than cut off mid-ramp by the next segment.
+
+export const PROFILE_SEGMENT_TYPES = ["step", "ramp", "jitter"];
+export const JITTER_DISTRIBUTIONS = ["uniform", "normal"];
+
+const MAX_SEGMENTS = 1000;
+const MAX_SEGMENT_MS = 24 * 60 * 60 * 1000;
+const MIN_JITTER_INTERVAL_MS = 100;
+const DEFAULT_JITTER_INTERVAL_MS = 1000;
+
+/** mulberry32: small, fast and good enough to make jitter repeatable. Returns floats in [0, 1). */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function isNumberIn(value, min, max) {
+  return typeof value === "number" && value >= min && value <= max;
+}
+
+// Lowest and highest delay a jitter segment can draw.
+function jitterRange({ delayMs, jitterMs, distribution }, maxDelayMs) {
+  const reach = distribution === "normal" ? 3 * jitterMs : jitterMs;
+  return { lo: Math.max(0, delayMs - reach), hi: Math.min(maxDelayMs, delayMs + reach) };
+}
+
+// Checks the ramps of a parsed segment entered with a delay somewhere in `start` ({ lo, hi }).
+// Returns { end } (the delays it can leave behind) or { error }.
+function checkRamps(segment, where, start, { maxDelayMs, rampWindowMs }) {
+  const largestChange = (to, from) => Math.max(Math.abs(to - from.lo), Math.abs(to - from.hi));
+  if (segment.type === "step") {
+    if (segment.transition === "ramp") {
+      const windowMs = rampWindowMs(largestChange(segment.delayMs, start), null);
+      if (windowMs > segment.durationMs) {
+        return { error: `${where}: ramping to ${segment.delayMs} ms takes up to ${windowMs} ms, longer than durationMs` };
+      }
+    }
+    return { end: { lo: segment.delayMs, hi: segment.delayMs } };
+  }
+  if (segment.type === "ramp") {
+    const from = segment.fromMs !== undefined ? { lo: segment.fromMs, hi: segment.fromMs } : start;
+    const windowMs = rampWindowMs(largestChange(segment.toMs, from), segment.durationMs);
+    if (windowMs > segment.durationMs) {
+      return { error: `${where}: ramping to ${segment.toMs} ms this fast needs durationMs of at least ${windowMs}` };
+    }
+    return { end: { lo: segment.toMs, hi: segment.toMs } };
+  }
+  const range = jitterRange(segment, maxDelayMs);
+  if (segment.transition === "ramp") {
+    const betweenMs = rampWindowMs(range.hi - range.lo, segment.intervalMs);
+    if (betweenMs > segment.intervalMs) {
+      return { error: `${where}: ramping between draws this far apart needs intervalMs of at least ${betweenMs}` };
+    }
+    const firstChange = Math.max(largestChange(range.lo, start), largestChange(range.hi, start));
+    const firstMs = rampWindowMs(firstChange, segment.intervalMs);
+    if (firstMs > segment.intervalMs) {
+      return {
+        error:
+          `${where}: the first draw can be ${firstChange} ms away from the delay before; ` +
+          `step or ramp to about ${segment.delayMs} ms first, or make intervalMs at least ${firstMs}`,
+      };
+    }
+  }
+  return { end: range };
+}
+
+/**
+ * Validates a profile from a request body. Delays must lie within 0..maxDelayMs and step / jitter
+ * transitions be one of `transitions`. `rampWindowMs(changeMs, requestedMs)` is the window the
+ * relay would use for a ramp and `startDelays` ({ audio, video }) the delays the profile starts
+ * from. Returns { profile } (with defaults filled in and a seed drawn when none was given) or
+ * { error }.
+ */
+export function parseDelayProfile(
+  raw,
+  { maxDelayMs, transitions, trackKinds, rampWindowMs, startDelays = { audio: 0, video: 0 } }
+) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "profile must be an object" };
+  const { segments, seed, loop = false, tracks = trackKinds } = raw;
+  if (!Array.isArray(segments) || segments.length === 0 || segments.length > MAX_SEGMENTS) {
+    return { error: `profile needs 1 to ${MAX_SEGMENTS} segments` };
+  }
+  if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+    return { error: "seed must be an integer between 0 and 4294967295" };
+  }
+  if (!Array.isArray(tracks) || tracks.length === 0 || tracks.some((kind) => !trackKinds.includes(kind))) {
+    return { error: `tracks must list ${trackKinds.join(" and/or ")}` };
+  }
+
+  const delay = (value) => isNumberIn(value, 0, maxDelayMs);
+  const parsed = [];
+  for (const [i, segment] of segments.entries()) {
+    const where = `segment ${i + 1}`;
+    if (!segment || !PROFILE_SEGMENT_TYPES.includes(segment.type)) {
+      return { error: `${where}: type must be one of ${PROFILE_SEGMENT_TYPES.join(", ")}` };
+    }
+    if (!isNumberIn(segment.durationMs, 1, MAX_SEGMENT_MS)) {
+      return { error: `${where}: durationMs must be between 1 and ${MAX_SEGMENT_MS}` };
+    }
+    const transition = segment.transition ?? (segment.type === "jitter" ? "ramp" : "instant");
+    if (!transitions.includes(transition)) {
+      return { error: `${where}: transition must be one of ${transitions.join(", ")}` };
+    }
+
+    if (segment.type === "step") {
+      if (!delay(segment.delayMs)) return { error: `${where}: delayMs must be between 0 and ${maxDelayMs}` };
+      parsed.push({ type: "step", delayMs: segment.delayMs, durationMs: segment.durationMs, transition });
+    } else if (segment.type === "ramp") {
+      if (!delay(segment.toMs)) return { error: `${where}: toMs must be between 0 and ${maxDelayMs}` };
+      if (segment.fromMs !== undefined && !delay(segment.fromMs)) {
+        return { error: `${where}: fromMs must be between 0 and ${maxDelayMs}` };
+      }
+      if (segment.fromMs !== undefined && transition === "ramp") {
+        return { error: `${where}: fromMs is reached with an instant or hold transition` };
+      }
+      parsed.push({
+        type: "ramp",
+        ...(segment.fromMs !== undefined ? { fromMs: segment.fromMs } : {}),
+        toMs: segment.toMs,
+        durationMs: segment.durationMs,
+        transition,
+      });
+    } else {
+      const distribution = segment.distribution ?? "uniform";
+      const intervalMs = segment.intervalMs ?? DEFAULT_JITTER_INTERVAL_MS;
+      if (!delay(segment.delayMs)) return { error: `${where}: delayMs must be between 0 and ${maxDelayMs}` };
+      if (!isNumberIn(segment.jitterMs, 0, maxDelayMs)) {
+        return { error: `${where}: jitterMs must be between 0 and ${maxDelayMs}` };
+      }
+      if (!JITTER_DISTRIBUTIONS.includes(distribution)) {
+        return { error: `${where}: distribution must be one of ${JITTER_DISTRIBUTIONS.join(", ")}` };
+      }
+      if (!isNumberIn(intervalMs, MIN_JITTER_INTERVAL_MS, segment.durationMs)) {
+        return { error: `${where}: intervalMs must be between ${MIN_JITTER_INTERVAL_MS} and durationMs` };
+      }
+      parsed.push({
+        type: "jitter",
+        delayMs: segment.delayMs,
+        jitterMs: segment.jitterMs,
+        distribution,
+        intervalMs,
+        durationMs: segment.durationMs,
+        transition,
+      });
+    }
+  }
+
+  // A looping profile enters its first segment again from wherever the last one left the delay.
+  const startValues = [...new Set(tracks)].map((kind) => startDelays[kind] ?? 0);
+  let reach = { lo: Math.min(...startValues), hi: Math.max(...startValues) };
+  const checks = loop ? [...parsed.keys(), 0] : [...parsed.keys()];
+  for (const i of checks) {
+    const result = checkRamps(parsed[i], `segment ${i + 1}`, reach, { maxDelayMs, rampWindowMs });
+    if (result.error) return { error: result.error };
+    reach = result.end;
+  }
+
+  return {
+    profile: {
+      segments: parsed,
+      seed: seed ?? Math.floor(Math.random() * 0x100000000),
+      loop: Boolean(loop),
+      tracks: [...new Set(tracks)],
+    },
+  };
+}
+
+/**
+ * Plays a parsed profile by calling `apply(delayMs, { transition, transitionMs })` at each change,
+ * one timer at a time. `maxDelayMs` bounds the jitter draws.
+ */
+export class DelayProfileRunner {
+  constructor(profile, apply, { maxDelayMs }) {
+    this.profile = profile;
+    this.apply = apply;
+    this.maxDelayMs = maxDelayMs;
+    this.random = seededRandom(profile.seed);
+    this.timer = null;
+    this.startedAt = null;
+    this.segmentIndex = -1;
+    this.segmentStartedAt = null;
+    this.round = 0;
+    this.targetMs = null;
+    this.finished = false;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this._enterSegment(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /** Where the profile is, for GET /effects/delay/status. */
+  status() {
+    const segment = this.profile.segments[this.segmentIndex];
+    return {
+      profile: this.profile,
+      startedAt: new Date(this.startedAt).toISOString(),
+      elapsedMs: Date.now() - this.startedAt,
+      round: this.round,
+      segment: this.finished ? null : { index: this.segmentIndex, type: segment.type },
+      segmentElapsedMs: this.finished ? null : Date.now() - this.segmentStartedAt,
+      targetMs: this.targetMs,
+      finished: this.finished,
+    };
+  }
+
+  _enterSegment(index) {
+    if (index >= this.profile.segments.length) {
+      if (!this.profile.loop) {
+        this.finished = true;
+        this.timer = null;
+        return;
+      }
+      this.round += 1;
+      index = 0;
+    }
+    const segment = this.profile.segments[index];
+    this.segmentIndex = index;
+    this.segmentStartedAt = Date.now();
+
+    if (segment.type === "step") {
+      this._set(segment.delayMs, { transition: segment.transition });
+    } else if (segment.type === "ramp") {
+      if (segment.fromMs !== undefined) this._set(segment.fromMs, { transition: segment.transition });
+      this._set(segment.toMs, { transition: "ramp", transitionMs: segment.durationMs });
+    } else {
+      this._jitter(segment);
+      return;
+    }
+    this._after(segment.durationMs, () => this._enterSegment(index + 1));
+  }
+
+  // Draws only where a whole interval is left, so a ramp between draws never runs into the next
+  // segment; the last value holds until the segment ends.
+  _jitter(segment, draw = 0) {
+    this._set(this._draw(segment), { transition: segment.transition, transitionMs: segment.intervalMs });
+    const endsAt = this.segmentStartedAt + segment.durationMs;
+    const nextAt = this.segmentStartedAt + (draw + 1) * segment.intervalMs;
+    if (nextAt + segment.intervalMs <= endsAt) this._after(nextAt - Date.now(), () => this._jitter(segment, draw + 1));
+    else this._after(endsAt - Date.now(), () => this._enterSegment(this.segmentIndex + 1));
+  }
+
+  _draw({ delayMs, jitterMs, distribution }) {
+    let offset;
+    if (distribution === "normal") {
+      // Box-Muller; 1 - random() keeps the logarithm finite.
+      const z = Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+      offset = Math.max(-3, Math.min(3, z)) * jitterMs;
+    } else {
+      offset = (this.random() * 2 - 1) * jitterMs;
+    }
+    return Math.min(this.maxDelayMs, Math.max(0, Math.round(delayMs + offset)));
+  }
+
+  _set(delayMs, options) {
+    this.targetMs = delayMs;
+    Promise.resolve(this.apply(delayMs, options)).catch((err) => {
+      console.warn("delay profile apply failed:", err?.message || err);
+    });
+  }
+
+  _after(ms, fn) {
+    this.timer = setTimeout(fn, Math.max(0, ms));
+    this.timer.unref?.();
+  }
+}
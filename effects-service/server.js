@@ -1,4 +1,5 @@
 import express from "express";
+import { pathToFileURL } from "url";
 import {
   AccessToken,
   RoomServiceClient,
@@ -18,6 +19,8 @@ import {
   VideoSource,
   VideoStream,
 } from "@livekit/rtc-node";
+import { DelayStats, FrameRing, PacingClock, now, resampleInterleaved } from "./delay_buffer.js";
+import { DelayProfileRunner, parseDelayProfile } from "./delay_profile.js";
 
 const app = express();
 app.use(express.json());
@@ -36,6 +39,8 @@ const LIVEKIT_URL_INTERNAL = process.env.LIVEKIT_URL_INTERNAL || LIVEKIT_URL;
 const LIVEKIT_API_KEY = mustEnv("LIVEKIT_API_KEY");
 const LIVEKIT_API_SECRET = mustEnv("LIVEKIT_API_SECRET");
 const ADMIN_KEY = mustEnv("ADMIN_KEY");
+// token-service, told about the delays a profile applies so recordings log them; unset: not told.
+const TOKEN_SERVICE_URL = (process.env.TOKEN_SERVICE_URL || "").replace(/\/$/, "");
 
 const roomService = new RoomServiceClient(
   toHttpUrl(LIVEKIT_URL_INTERNAL),
@@ -46,6 +51,24 @@ const roomService = new RoomServiceClient(
 // room -> Map(participantIdentity -> DelayEffectSession)
 const roomEffects = new Map();
 
+const MAX_DELAY_MS = 10000;
+const TRACK_KINDS = ["audio", "video"];
+const DELAY_BODY_KEYS = ["delayMs", "audioDelayMs", "videoDelayMs"];
+// Room for MAX_DELAY_MS plus slack: 10 ms audio frames, video at up to 60 fps.
+const AUDIO_RING_CAPACITY = Math.ceil((MAX_DELAY_MS + 2000) / 10);
+const VIDEO_RING_CAPACITY = Math.ceil(((MAX_DELAY_MS + 2000) * 60) / 1000);
+
+// How a delay change reaches the relay, see DelayEffectSession.setDelay().
+const DELAY_TRANSITIONS = ["instant", "ramp", "hold"];
+const MAX_TRANSITION_MS = 300000;
+// Without a window a ramp plays 5% slower or faster; a shorter window is stretched so the
+// speed never changes by more than 25%.
+const DEFAULT_RAMP_RATE = 0.05;
+const MAX_RAMP_RATE = 0.25;
+// Source frame interval until measured; longer gaps (paused camera) are not averaged in.
+const DEFAULT_VIDEO_FRAME_INTERVAL_MS = 1000 / 30;
+const MAX_VIDEO_FRAME_INTERVAL_MS = 200;
+
 function mustEnv(name) {
   const v = process.env[name];
   if (!v) throw new Error(`Missing env var: ${name}`);
@@ -66,13 +89,19 @@ function effectIdentityFor(participant) {
   return `fx_${participant}`;
 }
 
+// Extra relay for the viewers who get the participant with their own delay ("@" never occurs in
+// participant identities).
+function viewerRelayIdentity(participant, delayMs) {
+  return `${effectIdentityFor(participant)}@${delayMs}`;
+}
+
 function parseEgressMode(participantInfo) {
   if (!participantInfo) return null;
   const attrs = participantInfo.attributes || {};
   if (attrs.egressMode) return String(attrs.egressMode);
   const metadata = participantInfo.metadata;
   if (typeof metadata === "string") {
-    const match = metadata.match(/(?:^|;)\s*egressMode=([a-z]+)/i);
+    const match = metadata.match(/(?:^|;)\s*egressMode=([a-z_]+)/i);
     if (match) return match[1].toLowerCase();
   }
   return null;
@@ -84,14 +113,37 @@ function isSubscriberParticipant(participantInfo, sourceIdentity) {
   if (identity === sourceIdentity) return false;
   if (identity.startsWith("fx_")) return false;
   if (identity.startsWith("EG_")) {
+    // Composite recordings (video or audio-only) capture what participants see and hear;
+    // per-participant recordings (individual, delayed, audio, tracks) keep the undelayed original.
     const mode = parseEgressMode(participantInfo);
-    if (mode === "individual") return false;
-    if (mode === "composite") return true;
+    if (mode === "composite" || mode === "composite_audio") return true;
     return false;
   }
   return true;
 }
 
+// Per-track delays from a request body: audioDelayMs / videoDelayMs override delayMs, which sets
+// both; a track given neither keeps `current`. Returns { delays: { audio, video } } or { error }.
+function parseTrackDelays(body, current = { audio: 0, video: 0 }) {
+  const delays = {};
+  for (const kind of TRACK_KINDS) {
+    const raw = body[`${kind}DelayMs`] ?? body.delayMs;
+    const value = raw === undefined || raw === null || raw === "" ? current[kind] : Number(raw);
+    if (!(value >= 0 && value <= MAX_DELAY_MS)) {
+      return { error: `${kind}DelayMs must be between 0 and ${MAX_DELAY_MS}` };
+    }
+    delays[kind] = value;
+  }
+  return { delays };
+}
+
+function rampWindowMs(changeMs, requestedMs) {
+  const change = Math.abs(changeMs);
+  if (change === 0) return 0;
+  const requested = requestedMs > 0 ? requestedMs : change / DEFAULT_RAMP_RATE;
+  return Math.ceil(Math.max(requested, change / MAX_RAMP_RATE));
+}
+
 function getEffectMap(room) {
   if (!roomEffects.has(room)) {
     roomEffects.set(room, new Map());
@@ -105,73 +157,80 @@ app.get("/healthz", (_req, res) => {
 
 /**
  * POST /effects/delay
- * body: { room, participant, delayMs, keepAlive?, participantName? }
+ * body: { room, participant, delayMs?, audioDelayMs?, videoDelayMs?, keepAlive?, participantName?,
+ *         transition?, transitionMs? }
+ *
+ * delayMs sets both tracks; audioDelayMs / videoDelayMs override it per track, and a track given
+ * neither keeps its current delay. transition: "instant" (default) | "ramp" | "hold";
+ * transitionMs is the ramp window. Giving any delay stops a delay profile playing for the
+ * participant; a keepAlive without delays keeps the current ones (0 for a new relay).
+ * returns: { success, room, participant, delayMs, audioDelayMs, videoDelayMs, active,
+ *            transition: { mode, windowMs } }, delayMs being the larger of the two
  */
 app.post("/effects/delay", requireAdmin, async (req, res) => {
   const started = Date.now();
   console.log("[effects-service] POST /effects/delay", req.body || {});
   try {
-    const { room, participant, delayMs, keepAlive, participantName } = req.body || {};
+    const { room, participant, keepAlive, participantName, transition, transitionMs } = req.body || {};
     if (!room || !participant) {
       console.warn("[effects-service] POST /effects/delay -> 400 missing params");
       return res.status(400).json({ error: "missing room or participant" });
     }
 
-    const delay = Number(delayMs) || 0;
-    if (delay < 0 || delay > 10000) {
-      return res.status(400).json({ error: "delayMs must be between 0 and 10000" });
-    }
-
     const effectSessions = getEffectMap(room);
     const existing = effectSessions.get(participant);
 
-    if (delay === 0) {
-      if (keepAlive) {
-        if (existing) {
-          if (participantName) existing.setParticipantName(participantName);
-          await existing.setDelay(0);
-        } else {
-          const effectSession = new DelayEffectSession({
-            room,
-            participant,
-            participantName,
-            delayMs: 0,
-            livekitUrl: LIVEKIT_URL_INTERNAL,
-            apiKey: LIVEKIT_API_KEY,
-            apiSecret: LIVEKIT_API_SECRET,
-            roomService,
-          });
-          await effectSession.start();
-          effectSessions.set(participant, effectSession);
-        }
-        const ms = Date.now() - started;
-        console.log(`[effects-service] POST /effects/delay -> 200 (${ms}ms) active=true`);
-        return res.json({ success: true, room, participant, delayMs: 0, active: true });
-      }
+    const { delays, error } = parseTrackDelays(req.body, existing?.delays);
+    if (error) return res.status(400).json({ error });
 
+    const mode = transition || "instant";
+    if (!DELAY_TRANSITIONS.includes(mode)) {
+      return res.status(400).json({ error: `transition must be one of ${DELAY_TRANSITIONS.join(", ")}` });
+    }
+    const windowMs = transitionMs === undefined || transitionMs === null || transitionMs === "" ? null : Number(transitionMs);
+    if (windowMs !== null && !(windowMs >= 0 && windowMs <= MAX_TRANSITION_MS)) {
+      return res.status(400).json({ error: `transitionMs must be between 0 and ${MAX_TRANSITION_MS}` });
+    }
+    const transitionOptions = { transition: mode, transitionMs: windowMs };
+
+    const reply = (active, applied = { mode: "instant", windowMs: 0 }) => {
+      const ms = Date.now() - started;
+      console.log(`[effects-service] POST /effects/delay -> 200 (${ms}ms) active=${active}`);
+      return res.json({
+        success: true,
+        room,
+        participant,
+        delayMs: Math.max(delays.audio, delays.video),
+        audioDelayMs: delays.audio,
+        videoDelayMs: delays.video,
+        active,
+        transition: applied,
+      });
+    };
+
+    // A delay set by hand takes over from a profile; a keep-alive without delays (sent whenever the
+    // participant joins or rejoins) leaves it playing.
+    if (DELAY_BODY_KEYS.some((key) => ![undefined, null, ""].includes(req.body[key]))) existing?.stopProfile();
+
+    if (delays.audio === 0 && delays.video === 0 && !keepAlive) {
       if (existing) {
         await existing.stop();
         effectSessions.delete(participant);
       }
       if (effectSessions.size === 0) roomEffects.delete(room);
-      const ms = Date.now() - started;
-      console.log(`[effects-service] POST /effects/delay -> 200 (${ms}ms) active=false`);
-      return res.json({ success: true, room, participant, delayMs: 0, active: false });
+      return reply(false);
     }
 
     if (existing) {
       if (participantName) existing.setParticipantName(participantName);
-      await existing.setDelay(delay);
-      const ms = Date.now() - started;
-      console.log(`[effects-service] POST /effects/delay -> 200 (${ms}ms) active=true`);
-      return res.json({ success: true, room, participant, delayMs: delay, active: true });
+      return reply(true, await existing.setDelay(delays, transitionOptions));
     }
 
     const effectSession = new DelayEffectSession({
       room,
       participant,
       participantName,
-      delayMs: delay,
+      delays,
       livekitUrl: LIVEKIT_URL_INTERNAL,
       apiKey: LIVEKIT_API_KEY,
       apiSecret: LIVEKIT_API_SECRET,
@@ -179,10 +238,7 @@ app.post("/effects/delay", requireAdmin, async (req, res) => {
     });
     await effectSession.start();
     effectSessions.set(participant, effectSession);
-
-    const ms = Date.now() - started;
-    console.log(`[effects-service] POST /effects/delay -> 200 (${ms}ms) active=true`);
-    res.json({ success: true, room, participant, delayMs: delay, active: true });
+    reply(true);
   } catch (err) {
     console.error("effects/delay start error:", err);
     console.error(`[effects-service] POST /effects/delay -> 500 (${Date.now() - started}ms)`);
@@ -190,6 +246,117 @@ app.post("/effects/delay", requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /effects/delay/viewers
+ * body: { room, participant, viewers: { viewerIdentity: delayMs | null } }
+ *
+ * Gives single viewers their own delay of the participant (both tracks); null returns a viewer
+ * to the participant's delay. Needs the participant's relay to be running.
+ * returns: { success, room, participant, viewers: { viewerIdentity: delayMs } }
+ */
+app.post("/effects/delay/viewers", requireAdmin, async (req, res) => {
+  try {
+    const { room, participant, viewers } = req.body || {};
+    if (!room || !participant || !viewers || typeof viewers !== "object") {
+      return res.status(400).json({ error: "missing room, participant or viewers" });
+    }
+
+    const updates = {};
+    for (const [viewer, raw] of Object.entries(viewers)) {
+      if (viewer === participant || !isSubscriberParticipant(viewer, participant)) {
+        return res.status(400).json({ error: `${viewer} cannot have a viewer delay` });
+      }
+      if (raw === null) {
+        updates[viewer] = null;
+        continue;
+      }
+      const delayMs = Math.round(Number(raw));
+      if (!(delayMs >= 0 && delayMs <= MAX_DELAY_MS)) {
+        return res.status(400).json({ error: `delay for ${viewer} must be between 0 and ${MAX_DELAY_MS}` });
+      }
+      updates[viewer] = delayMs;
+    }
+
+    const effectSession = roomEffects.get(room)?.get(participant);
+    if (!effectSession) return res.status(404).json({ error: "no delay relay for participant" });
+
+    const result = await effectSession.setViewerDelays(updates);
+    console.log(`[effects-service] viewer delays for ${participant} in ${room}:`, result);
+    res.json({ success: true, room, participant, viewers: result });
+  } catch (err) {
+    console.error("effects/delay/viewers error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * POST /effects/delay/profile
+ * body: { room, participant, participantName?, profile: { segments, seed?, loop?, tracks? } | null }
+ *
+ * Plays a delay profile (see delay_profile.js) on the participant's relay, starting the relay if
+ * needed; null stops it and leaves the delay where it is. The seed is drawn when left out and
+ * returned, so the same jitter can be replayed.
+ * returns: { success, room, participant, profile: { segments, seed, loop, tracks } | null,
+ *            status: { profile, startedAt, elapsedMs, round, segment, segmentElapsedMs, targetMs, finished } | null }
+ */
+app.post("/effects/delay/profile", requireAdmin, async (req, res) => {
+  try {
+    const { room, participant, participantName, profile: raw } = req.body || {};
+    if (!room || !participant || raw === undefined) {
+      return res.status(400).json({ error: "missing room, participant or profile" });
+    }
+
+    const effectSessions = getEffectMap(room);
+    let effectSession = effectSessions.get(participant);
+
+    if (raw === null) {
+      effectSession?.stopProfile();
+      if (effectSessions.size === 0) roomEffects.delete(room);
+      console.log(`[effects-service] delay profile stopped for ${participant} in ${room}`);
+      return res.json({ success: true, room, participant, profile: null, status: null });
+    }
+
+    const startTiming = effectSession?.timing();
+    const { profile, error } = parseDelayProfile(raw, {
+      maxDelayMs: MAX_DELAY_MS,
+      transitions: DELAY_TRANSITIONS,
+      trackKinds: TRACK_KINDS,
+      rampWindowMs,
+      startDelays: {
+        audio: startTiming?.audio.effectiveMs ?? 0,
+        video: startTiming?.video.effectiveMs ?? 0,
+      },
+    });
+    if (error) return res.status(400).json({ error });
+
+    if (!effectSession) {
+      effectSession = new DelayEffectSession({
+        room,
+        participant,
+        participantName,
+        delays: { audio: 0, video: 0 },
+        livekitUrl: LIVEKIT_URL_INTERNAL,
+        apiKey: LIVEKIT_API_KEY,
+        apiSecret: LIVEKIT_API_SECRET,
+        roomService,
+      });
+      await effectSession.start();
+      effectSessions.set(participant, effectSession);
+    } else if (participantName) {
+      effectSession.setParticipantName(participantName);
+    }
+
+    const status = effectSession.startProfile(profile);
+    console.log(
+      `[effects-service] delay profile started for ${participant} in ${room}: ${profile.segments.length} segment(s), seed ${profile.seed}`
+    );
+    res.json({ success: true, room, participant, profile, status });
+  } catch (err) {
+    console.error("effects/delay/profile error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
 /**
  * POST /effects/delay/remove
  * body: { room, participant }
@@ -218,6 +385,15 @@ app.post("/effects/delay/remove", requireAdmin, async (req, res) => {
 
 /**
  * GET /effects/delay/status?room=roomName
+ * returns: { room, delays: { participant: delayMs }, trackDelays: { participant: { audioDelayMs, videoDelayMs } },
+ *            viewerDelays: { participant: { viewer: delayMs } }, effectiveDelays: { participant: { audioDelayMs, videoDelayMs } },
+ *            profiles: { participant: profile status }, timing: { participant: { targetMs, audio, video } } }
+ * delays holds the larger of the two track delays. timing audio / video: { targetMs, effectiveMs,
+ * transition, measuredMs, lastMs, maxErrorMs, released, dropped, repeated, bufferedFrames, bufferedMs },
+ * measured from arrival to release (audio incl. the AudioSource queue) since the last delay change.
+ * effectiveDelays is the delay applied right now, which trails the target during a ramp (as when
+ * a profile ramps or jitters); profiles lists the profile of each relay with where it is, as
+ * returned by POST /effects/delay/profile.
  */
 app.get("/effects/delay/status", requireAdmin, async (req, res) => {
   const started = Date.now();
@@ -227,13 +403,32 @@ app.get("/effects/delay/status", requireAdmin, async (req, res) => {
 
     const effectSessions = roomEffects.get(String(room));
     const delays = {};
+    const trackDelays = {};
+    const viewerDelays = {};
+    const effectiveDelays = {};
+    const profiles = {};
+    const timing = {};
     if (effectSessions) {
       for (const [participant, effectSession] of effectSessions.entries()) {
         delays[participant] = effectSession.delayMs;
+        trackDelays[participant] = {
+          audioDelayMs: effectSession.delays.audio,
+          videoDelayMs: effectSession.delays.video,
+        };
+        if (effectSession.viewerDelays.size > 0) {
+          viewerDelays[participant] = Object.fromEntries(effectSession.viewerDelays);
+        }
+        const sessionTiming = effectSession.timing();
+        effectiveDelays[participant] = {
+          audioDelayMs: sessionTiming.audio.effectiveMs,
+          videoDelayMs: sessionTiming.video.effectiveMs,
+        };
+        if (effectSession.profile) profiles[participant] = effectSession.profile.status();
+        timing[participant] = sessionTiming;
       }
     }
     console.log(`[effects-service] GET /effects/delay/status -> 200 (${Date.now() - started}ms)`);
-    res.json({ room: String(room), delays });
+    res.json({ room: String(room), delays, trackDelays, viewerDelays, effectiveDelays, profiles, timing });
   } catch (err) {
     console.error("effects/delay/status error:", err);
     console.error(`[effects-service] GET /effects/delay/status -> 500 (${Date.now() - started}ms)`);
@@ -241,33 +436,65 @@ app.get("/effects/delay/status", requireAdmin, async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`effects-service listening on http://127.0.0.1:${PORT}`);
-});
+// Tests import the app and the sessions without starting the server.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(PORT, () => {
+    console.log(`effects-service listening on http://127.0.0.1:${PORT}`);
+  });
+}
+
+export { app, roomEffects, DelayEffectSession };
 
 class DelayEffectSession {
-  constructor({ room, participant, participantName, delayMs, livekitUrl, apiKey, apiSecret, roomService }) {
+  constructor({ room, participant, participantName, delays, livekitUrl, apiKey, apiSecret, roomService, parent = null }) {
     this.roomName = room;
     this.participant = participant;
     this.participantName = participantName || null;
-    this.delayMs = delayMs;
+    // Target delay per track; audio may lead or lag video.
+    this.delays = { audio: delays.audio, video: delays.video };
     this.livekitUrl = livekitUrl;
     this.apiKey = apiKey;
     this.apiSecret = apiSecret;
     this.roomService = roomService;
 
-    this.effectIdentity = effectIdentityFor(participant);
+    // A viewer relay is started by the participant's main session, which routes all viewers.
+    this.parent = parent;
+    this.effectIdentity = parent ? viewerRelayIdentity(participant, delays.video) : effectIdentityFor(participant);
     this.room = null;
 
+    // Per-viewer delays (viewer identity -> ms, both tracks) and the viewer relay for each value.
+    this.viewerDelays = new Map();
+    this.viewerRelays = new Map();
+
+    // Delay profile playing on this relay, see startProfile(), and its changes on their way to
+    // token-service, in order.
+    this.profile = null;
+    this.profileReports = Promise.resolve();
+
     this.audioSource = null;
     this.audioTrack = null;
     this.videoSource = null;
     this.videoTrack = null;
 
     this.running = false;
-    this.generation = 0;
     this.trackSids = new Set();
 
+    // Frames waiting for their release time, released by one clock for both tracks.
+    this.audioRing = new FrameRing(AUDIO_RING_CAPACITY);
+    this.videoRing = new FrameRing(VIDEO_RING_CAPACITY);
+    this.audioStats = new DelayStats();
+    this.videoStats = new DelayStats();
+    this.clock = new PacingClock(() => this._releaseDueFrames());
+
+    // Ramp or hold in progress per track: { mode, fromMs, toMs, startedAt, windowMs }, see setDelay().
+    this.transitions = { audio: null, video: null };
+    this.transitionTimers = { audio: null, video: null };
+    this.audioStretchCarry = 0;
+    this.lastVideoFrame = null;
+    this.lastVideoCapturedAt = null;
+    this.videoFrameIntervalMs = DEFAULT_VIDEO_FRAME_INTERVAL_MS;
+    this.nextVideoTickAt = 0;
+
     this.lastAudioInfo = null;
     this.lastVideoInfo = null;
     this.lastVideoDataLength = null;
@@ -294,12 +521,19 @@ class DelayEffectSession {
 
   async stop() {
     this.running = false;
-    this.generation += 1;
+    this.stopProfile();
+    for (const kind of TRACK_KINDS) this._clearTransition(kind);
+    this._dropQueuedFrames();
 
-    try {
-      await this._applyResubscribeToAll();
-    } catch (err) {
-      console.warn("resubscribe failed:", err.message || err);
+    for (const relay of this.viewerRelays.values()) await relay.stop();
+    this.viewerRelays.clear();
+
+    if (!this.parent) {
+      try {
+        await this._applyResubscribeToAll();
+      } catch (err) {
+        console.warn("resubscribe failed:", err.message || err);
+      }
     }
 
     this._stopEffectIdle();
@@ -317,18 +551,204 @@ class DelayEffectSession {
     this.videoTrack = null;
   }
 
-  async setDelay(delayMs) {
-    const prev = this.delayMs;
-    this.delayMs = delayMs;
-    // invalidate queued frames so change can take effect (freeze is OK)
-    this.generation += 1;
-    if (prev !== delayMs) {
+  /** The larger of the two track delays, i.e. how far the relay as a whole lags the original. */
+  get delayMs() {
+    return Math.max(this.delays.audio, this.delays.video);
+  }
+
+  // Sets the target delay of each track in `delays` ({ audio, video }). `transition` decides what
+  // viewers of the relay get while a track's delay changes:
+  //   instant: its queued frames are dropped and the new delay starts from scratch (the video
+  //            freezes or the audio stops for the whole new delay);
+  //   hold:    the queue is kept and the new delay applies at once. A longer delay repeats the
+  //            last video frame (audio is silent) for the difference; a shorter one skips ahead;
+  //   ramp:    the delay moves linearly over the window. Audio is resampled to play slightly
+  //            slower or faster and video frames are duplicated or dropped on a fixed tick.
+  // Returns the transition applied, { mode, windowMs } with the longer window of the two tracks.
+  async setDelay(delays, { transition = "instant", transitionMs = null } = {}) {
+    const at = now();
+    let changed = false;
+    let windowMs = 0;
+    for (const kind of TRACK_KINDS) {
+      if (delays[kind] === this.delays[kind]) continue;
+      changed = true;
+      windowMs = Math.max(windowMs, this._changeTrackDelay(kind, delays[kind], transition, transitionMs, at));
+    }
+
+    if (changed) {
       try {
         await this._applySubscriptionState();
       } catch (err) {
         console.warn("apply subscription state failed:", err.message || err);
       }
     }
+    return { mode: transition, windowMs };
+  }
+
+  /** Plays a parsed delay profile on the profile's tracks, replacing one already playing. */
+  startProfile(profile) {
+    this.stopProfile();
+    const apply = async (delayMs, options) => {
+      const delays = { ...this.delays };
+      for (const kind of profile.tracks) delays[kind] = delayMs;
+      const changed = TRACK_KINDS.some((kind) => delays[kind] !== this.delays[kind]);
+      const at = new Date();
+      const transition = await this.setDelay(delays, options);
+      if (changed) this._reportProfileDelay(profile, delays, transition, at);
+      return transition;
+    };
+    this.profile = new DelayProfileRunner(profile, apply, { maxDelayMs: MAX_DELAY_MS });
+    this.profile.start();
+    return this.profile.status();
+  }
+
+  /** Tells token-service about a delay the profile applied; failures only cost the timeline entry. */
+  _reportProfileDelay(profile, delays, transition, at) {
+    if (!TOKEN_SERVICE_URL) return;
+    const body = {
+      room: this.roomName,
+      participant: this.participant,
+      at: at.toISOString(),
+      audioDelayMs: delays.audio,
+      videoDelayMs: delays.video,
+      transition,
+      seed: profile.seed,
+    };
+    this.profileReports = this.profileReports.then(async () => {
+      try {
+        const res = await fetch(`${TOKEN_SERVICE_URL}/api/effects/delay-events`, {
+          method: "POST",
+          headers: { "content-type": "application/json", "x-admin-key": ADMIN_KEY },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(5000),
+        });
+        if (!res.ok) throw new Error(`token-service answered ${res.status}`);
+      } catch (err) {
+        console.warn(`report profile delay for ${this.participant} failed:`, err.message || err);
+      }
+    });
+  }
+
+  /** Stops the profile; the delay stays where the profile left it. */
+  stopProfile() {
+    this.profile?.stop();
+    this.profile = null;
+  }
+
+  _changeTrackDelay(kind, delayMs, transition, transitionMs, at) {
+    const fromMs = this._effectiveDelay(kind, at);
+    const { ring, stats } = this._track(kind);
+    this.delays[kind] = delayMs;
+    this._clearTransition(kind);
+    stats.reset();
+
+    if (transition === "instant") {
+      ring.clear();
+      if (kind === "video") this.lastVideoFrame = null;
+      return 0;
+    }
+
+    const changeMs = delayMs - fromMs;
+    const windowMs = transition === "ramp" ? rampWindowMs(changeMs, transitionMs) : Math.max(0, Math.ceil(changeMs));
+    if (windowMs > 0) {
+      this.transitions[kind] = { mode: transition, fromMs, toMs: delayMs, startedAt: at, windowMs };
+      this.transitionTimers[kind] = setTimeout(() => this._endTransition(kind), windowMs);
+      this.transitionTimers[kind].unref?.();
+    }
+    if (kind === "audio" && transition === "hold" && changeMs < 0) this._skipOverdueAudio(at);
+    this._scheduleRelease();
+    return windowMs;
+  }
+
+  _track(kind) {
+    return kind === "audio"
+      ? { ring: this.audioRing, stats: this.audioStats }
+      : { ring: this.videoRing, stats: this.videoStats };
+  }
+
+  _clearTransition(kind) {
+    clearTimeout(this.transitionTimers[kind]);
+    this.transitionTimers[kind] = null;
+    this.transitions[kind] = null;
+    if (kind === "audio") this.audioStretchCarry = 0;
+  }
+
+  _endTransition(kind) {
+    this._clearTransition(kind);
+    if (!this.running) return;
+    this._scheduleRelease();
+    // Subscribers stay on the relay until a transition down to 0 ms has played out.
+    if (!this._relayInUse()) {
+      this._applySubscriptionState().catch((err) => {
+        console.warn("apply subscription state failed:", err.message || err);
+      });
+    }
+  }
+
+  _inTransition(kind, at) {
+    const t = this.transitions[kind];
+    return t !== null && at < t.startedAt + t.windowMs;
+  }
+
+  _relayInUse() {
+    return TRACK_KINDS.some((kind) => this.delays[kind] > 0 || this.transitions[kind] !== null);
+  }
+
+  /** Delay applied to the track's frames released at `at`; differs from its target only during a ramp. */
+  _effectiveDelay(kind, at) {
+    const t = this.transitions[kind];
+    if (t?.mode !== "ramp" || !this._inTransition(kind, at)) return this.delays[kind];
+    return t.fromMs + ((t.toMs - t.fromMs) * (at - t.startedAt)) / t.windowMs;
+  }
+
+  // Playback speed of the audio during a ramp: below 1 while the delay grows, above 1 while it shrinks.
+  _audioRate(at) {
+    const t = this.transitions.audio;
+    if (t?.mode !== "ramp" || !this._inTransition("audio", at)) return 1;
+    return 1 - (t.toMs - t.fromMs) / t.windowMs;
+  }
+
+  /**
+   * Sets or, with null, clears per-viewer delays ({ viewer: delayMs | null }). Viewers without one
+   * get this session's delay; the others get the viewer relay for their delay, or the original at 0.
+   */
+  async setViewerDelays(updates) {
+    for (const [viewer, delayMs] of Object.entries(updates)) {
+      if (delayMs === null) this.viewerDelays.delete(viewer);
+      else this.viewerDelays.set(viewer, delayMs);
+    }
+
+    // Start relays for new values, move the viewers over, then stop the relays nobody uses.
+    const needed = new Set([...this.viewerDelays.values()].filter((delayMs) => delayMs > 0));
+    for (const delayMs of needed) {
+      if (this.viewerRelays.has(delayMs)) continue;
+      const relay = new DelayEffectSession({
+        room: this.roomName,
+        participant: this.participant,
+        participantName: this.participantName,
+        delays: { audio: delayMs, video: delayMs },
+        livekitUrl: this.livekitUrl,
+        apiKey: this.apiKey,
+        apiSecret: this.apiSecret,
+        roomService: this.roomService,
+        parent: this,
+      });
+      this.viewerRelays.set(delayMs, relay);
+      try {
+        await relay.start();
+      } catch (err) {
+        this.viewerRelays.delete(delayMs);
+        await relay.stop().catch(() => {});
+        throw err;
+      }
+    }
+    await this._applySubscriptionState();
+    for (const [delayMs, relay] of this.viewerRelays) {
+      if (needed.has(delayMs)) continue;
+      this.viewerRelays.delete(delayMs);
+      await relay.stop();
+    }
+    return Object.fromEntries(this.viewerDelays);
   }
 
   setParticipantName(name) {
@@ -357,7 +777,7 @@ class DelayEffectSession {
       .on(RoomEvent.TrackUnsubscribed, (_track, _pub, participant) => {
         if (participant.identity !== this.participant) return;
         // If the source track disappears, drop output until it returns.
-        this.generation += 1;
+        this._dropQueuedFrames();
         this.sourceActive = false;
         this._startEffectIdle();
       })
@@ -365,7 +785,7 @@ class DelayEffectSession {
         if (!this.running) return;
         if (participant.identity !== this.participant) return;
         // Source participant left; keep effect tracks alive (black screen), reset state.
-        this.generation += 1;
+        this._dropQueuedFrames();
         this.trackSids = new Set();
         this.sourceActive = false;
         this._startEffectIdle();
@@ -374,57 +794,28 @@ class DelayEffectSession {
         if (!this.running) return;
         this._stopEffectIdle();
       })
+      // Viewer routing is done by the main session only.
       .on(RoomEvent.ParticipantConnected, async (participant) => {
-        if (!this.running) return;
+        if (!this.running || this.parent) return;
         if (participant.identity === this.participant) return;
-        const info = {
-          identity: participant.identity,
-          attributes: participant.attributes,
-          metadata: participant.metadata,
-        };
-        if (!isSubscriberParticipant(info, this.participant)) return;
-        if (this.trackSids.size === 0) return;
-        try {
-          await this.roomService.updateSubscriptions(
-            this.roomName,
-            participant.identity,
-            Array.from(this.trackSids),
-            false
-          );
-        } catch (err) {
-          console.warn("updateSubscriptions (join) failed:", err.message || err);
-        }
+        await this._applySubscriptionState(participant.identity);
       })
       .on(RoomEvent.ParticipantAttributesChanged, async (_changed, participant) => {
-        if (!this.running) return;
+        if (!this.running || this.parent) return;
         if (participant.identity === this.participant) return;
-        if (this.trackSids.size === 0) return;
-        const info = {
-          identity: participant.identity,
-          attributes: participant.attributes,
-          metadata: participant.metadata,
-        };
-        const shouldUnsubscribe = this.delayMs > 0 && isSubscriberParticipant(info, this.participant);
-        try {
-          await this.roomService.updateSubscriptions(
-            this.roomName,
-            participant.identity,
-            Array.from(this.trackSids),
-            !shouldUnsubscribe
-          );
-        } catch (err) {
-          console.warn("updateSubscriptions (attrs) failed:", err.message || err);
-        }
+        // egressMode decides whether an egress participant is a viewer.
+        await this._applySubscriptionState(participant.identity);
       })
       .on(RoomEvent.TrackPublished, async (_pub, participant) => {
         if (participant.identity !== this.participant) return;
         this.sourceActive = true;
         this._stopEffectIdle();
+        if (this.parent) return;
         await this._syncTrackSids();
         await this._applySubscriptionState();
       })
       .on(RoomEvent.TrackUnpublished, async (_pub, participant) => {
-        if (participant.identity !== this.participant) return;
+        if (participant.identity !== this.participant || this.parent) return;
         await this._syncTrackSids();
         await this._applySubscriptionState();
       });
@@ -465,7 +856,7 @@ class DelayEffectSession {
     }
   }
 
-  async _applyUnsubscribeToAll() {
+  async _applyResubscribeToAll() {
     if (this.trackSids.size === 0) return;
     try {
       const participants = await this.roomService.listParticipants(this.roomName);
@@ -478,47 +869,74 @@ class DelayEffectSession {
             this.roomName,
             p.identity,
             trackSids,
-            false
+            true
           );
         } catch (err) {
-          console.warn(`updateSubscriptions failed for ${p.identity}:`, err.message || err);
+          console.warn(`resubscribe failed for ${p.identity}:`, err.message || err);
         }
       }
     } catch (err) {
-      console.warn("applyUnsubscribe failed:", err.message || err);
+      console.warn("applyResubscribe failed:", err.message || err);
     }
   }
 
-  async _applyResubscribeToAll() {
-    if (this.trackSids.size === 0) return;
+  // Which version of the participant a viewer gets: null for the original, else the relay session.
+  _routeFor(viewer) {
+    const delayMs = this.viewerDelays.get(viewer);
+    if (delayMs === undefined) return this._relayInUse() ? this : null;
+    return delayMs > 0 ? this.viewerRelays.get(delayMs) || null : null;
+  }
+
+  // Subscribes every viewer (or just `only`) to exactly one version of the participant: the
+  // original, this relay or their viewer relay, and unsubscribes them from the others. A viewer
+  // stays where they are until their relay has published its tracks.
+  async _applySubscriptionState(only = null) {
+    if (this.parent) return this.parent._applySubscriptionState(only);
+    let participants;
     try {
-      const participants = await this.roomService.listParticipants(this.roomName);
-      const trackSids = Array.from(this.trackSids);
+      participants = await this.roomService.listParticipants(this.roomName);
+    } catch (err) {
+      console.warn("applySubscriptionState failed:", err.message || err);
+      return;
+    }
 
-      for (const p of participants) {
-        if (!isSubscriberParticipant(p, this.participant)) continue;
-        try {
-          await this.roomService.updateSubscriptions(
-            this.roomName,
-            p.identity,
-            trackSids,
-            true
-          );
-        } catch (err) {
-          console.warn(`resubscribe failed for ${p.identity}:`, err.message || err);
+    const relays = [this, ...this.viewerRelays.values()];
+    const relaySids = new Map(
+      relays.map((relay) => {
+        const info = participants.find((p) => p.identity === relay.effectIdentity);
+        return [relay, (info?.tracks || []).map((t) => t.sid).filter(Boolean)];
+      })
+    );
+    const originalSids = Array.from(this.trackSids);
+
+    for (const p of participants) {
+      if (only && p.identity !== only) continue;
+      if (!isSubscriberParticipant(p, this.participant)) continue;
+      const target = this._routeFor(p.identity);
+      if (target && relaySids.get(target).length === 0) continue;
+      const subscribe = target ? relaySids.get(target) : originalSids;
+      const unsubscribe = [
+        ...(target ? originalSids : []),
+        ...relays.filter((relay) => relay !== target).flatMap((relay) => relaySids.get(relay)),
+      ];
+      try {
+        if (subscribe.length > 0) {
+          await this.roomService.updateSubscriptions(this.roomName, p.identity, subscribe, true);
+        }
+        if (unsubscribe.length > 0) {
+          await this.roomService.updateSubscriptions(this.roomName, p.identity, unsubscribe, false);
         }
+      } catch (err) {
+        console.warn(`updateSubscriptions failed for ${p.identity}:`, err.message || err);
       }
-    } catch (err) {
-      console.warn("applyResubscribe failed:", err.message || err);
     }
   }
 
-  async _applySubscriptionState() {
-    if (this.delayMs > 0) {
-      await this._applyUnsubscribeToAll();
-    } else {
-      await this._applyResubscribeToAll();
-    }
+  // Viewers are only moved to a relay once it has tracks, so route again after publishing.
+  _relayPublished() {
+    this._applySubscriptionState().catch((err) => {
+      console.warn("apply subscription state failed:", err.message || err);
+    });
   }
 
   _handleCaptureError(kind, err) {
@@ -558,7 +976,7 @@ class DelayEffectSession {
 
     for await (const frame of audioStream) {
       if (!this.running) break;
-      const generation = this.generation;
+      const capturedAt = now();
       this.lastAudioInfo = {
         sampleRate: frame.sampleRate,
         channels: frame.channels,
@@ -571,6 +989,7 @@ class DelayEffectSession {
         const options = new TrackPublishOptions();
         options.source = TrackSource.SOURCE_MICROPHONE;
         await this.room.localParticipant.publishTrack(this.audioTrack, options);
+        this._relayPublished();
       }
 
       const dataCopy = new Int16Array(frame.data);
@@ -581,11 +1000,8 @@ class DelayEffectSession {
         frame.samplesPerChannel
       );
 
-      setTimeout(() => {
-        if (!this.running) return;
-        if (generation !== this.generation) return;
-        this._safeCaptureAudio(delayedFrame);
-      }, this.delayMs);
+      if (this.audioRing.push(capturedAt, delayedFrame)) this.audioStats.dropped += 1;
+      this._scheduleRelease();
     }
   }
 
@@ -596,7 +1012,14 @@ class DelayEffectSession {
 
     for await (const ev of videoStream) {
       if (!this.running) break;
-      const generation = this.generation;
+      const capturedAt = now();
+      if (this.lastVideoCapturedAt !== null) {
+        const interval = capturedAt - this.lastVideoCapturedAt;
+        if (interval > 0 && interval < MAX_VIDEO_FRAME_INTERVAL_MS) {
+          this.videoFrameIntervalMs += (interval - this.videoFrameIntervalMs) * 0.1;
+        }
+      }
+      this.lastVideoCapturedAt = capturedAt;
       const frame = ev.frame;
       this.lastVideoInfo = {
         width: frame.width,
@@ -611,6 +1034,7 @@ class DelayEffectSession {
         const options = new TrackPublishOptions();
         options.source = TrackSource.SOURCE_CAMERA;
         await this.room.localParticipant.publishTrack(this.videoTrack, options);
+        this._relayPublished();
       }
 
       const dataCopy = new Uint8Array(frame.data);
@@ -621,12 +1045,139 @@ class DelayEffectSession {
         frame.type
       );
 
-      setTimeout(() => {
-        if (!this.running) return;
-        if (generation !== this.generation) return;
-        this._safeCaptureVideo(delayedFrame);
-      }, this.delayMs);
+      if (this.videoRing.push(capturedAt, delayedFrame)) this.videoStats.dropped += 1;
+      this._scheduleRelease();
+    }
+  }
+
+  _scheduleRelease() {
+    if (!this.running) return;
+    const at = now();
+    const audioAt = this.audioRing.peekTime() + this._effectiveDelay("audio", at);
+    const videoAt = this._videoTicking(at)
+      ? this.nextVideoTickAt
+      : this.videoRing.peekTime() + this._effectiveDelay("video", at);
+    this.clock.wakeAt(Math.min(audioAt, videoAt));
+  }
+
+  // Releases every frame whose arrival time + delay has passed. Audio goes out in order (the
+  // AudioSource queue plays it at real-time pace); of several overdue video frames, e.g. after
+  // the event loop stalled, only the newest is sent.
+  _releaseDueFrames() {
+    if (!this.running) return;
+    const releaseAt = now();
+    const audioDelayMs = this._effectiveDelay("audio", releaseAt);
+    const rate = this._audioRate(releaseAt);
+    const audioDue = releaseAt - audioDelayMs;
+
+    while (this.audioRing.size > 0 && this.audioRing.peekTime() <= audioDue) {
+      const { capturedAt, frame } = this.audioRing.shift();
+      this._safeCaptureAudio(rate === 1 ? frame : this._stretchAudio(frame, rate));
+      const queuedMs = this.audioSource?.queuedDuration ?? 0;
+      this.audioStats.record(releaseAt - capturedAt + queuedMs, audioDelayMs);
+    }
+
+    const videoDelayMs = this._effectiveDelay("video", releaseAt);
+    const videoDue = releaseAt - videoDelayMs;
+    if (!this._videoTicking(releaseAt)) {
+      const latest = this._takeDueVideo(videoDue);
+      if (latest) this._sendVideo(latest, releaseAt, videoDelayMs);
+    } else if (releaseAt >= this.nextVideoTickAt) {
+      const latest = this._takeDueVideo(videoDue);
+      if (latest) {
+        this._sendVideo(latest, releaseAt, videoDelayMs);
+      } else {
+        this._safeCaptureVideo(this.lastVideoFrame);
+        this.videoStats.repeated += 1;
+      }
+      const next = this.nextVideoTickAt + this.videoFrameIntervalMs;
+      this.nextVideoTickAt = next > releaseAt ? next : releaseAt + this.videoFrameIntervalMs;
+    }
+
+    this._scheduleRelease();
+  }
+
+  // During a ramp or hold, video goes out on a tick at the source frame rate: each tick sends
+  // the newest due frame or, when none is due yet, repeats the last one.
+  _videoTicking(at) {
+    return this.sourceActive && this.lastVideoFrame !== null && this._inTransition("video", at);
+  }
+
+  _takeDueVideo(due) {
+    let latest = null;
+    while (this.videoRing.size > 0 && this.videoRing.peekTime() <= due) {
+      if (latest) this.videoStats.dropped += 1;
+      latest = this.videoRing.shift();
     }
+    return latest;
+  }
+
+  _sendVideo({ capturedAt, frame }, releaseAt, delayMs) {
+    this._safeCaptureVideo(frame);
+    this.lastVideoFrame = frame;
+    this.videoStats.record(releaseAt - capturedAt, delayMs);
+  }
+
+  // Resamples a frame to samplesPerChannel / rate, carrying the rounding over to the next frame,
+  // so the AudioSource neither runs dry nor builds up a queue while the delay ramps.
+  _stretchAudio(frame, rate) {
+    const exact = frame.samplesPerChannel / rate + this.audioStretchCarry;
+    const samples = Math.max(1, Math.round(exact));
+    this.audioStretchCarry = exact - samples;
+    if (samples === frame.samplesPerChannel) return frame;
+    return new AudioFrame(
+      resampleInterleaved(frame.data, frame.channels, samples),
+      frame.sampleRate,
+      frame.channels,
+      samples
+    );
+  }
+
+  // A hold to a shorter delay jumps ahead: audio already past its new release time is skipped
+  // rather than played late. Video needs no help, only the newest due frame is sent anyway.
+  _skipOverdueAudio(at) {
+    const due = at - this.delays.audio;
+    while (this.audioRing.size > 0 && this.audioRing.peekTime() < due) {
+      this.audioRing.shift();
+      this.audioStats.dropped += 1;
+    }
+  }
+
+  _dropQueuedFrames() {
+    this.audioRing.clear();
+    this.videoRing.clear();
+    this.clock.stop();
+    this.audioStats.reset();
+    this.videoStats.reset();
+    this.lastVideoFrame = null;
+  }
+
+  /** Target, effective and measured delay per track, for GET /effects/delay/status. */
+  timing() {
+    const at = now();
+    const track = (kind) => {
+      const { ring, stats } = this._track(kind);
+      const t = this._inTransition(kind, at) ? this.transitions[kind] : null;
+      return {
+        targetMs: this.delays[kind],
+        effectiveMs: Math.round(this._effectiveDelay(kind, at)),
+        transition: t && {
+          mode: t.mode,
+          fromMs: Math.round(t.fromMs),
+          toMs: t.toMs,
+          windowMs: t.windowMs,
+          remainingMs: Math.round(t.startedAt + t.windowMs - at),
+        },
+        ...stats.toJSON(),
+        bufferedFrames: ring.size,
+        bufferedMs: ring.size > 0 ? Math.round(at - ring.peekTime()) : 0,
+      };
+    };
+    return {
+      targetMs: this.delayMs,
+      audio: track("audio"),
+      video: track("video"),
+    };
   }
 
   async _ensureEffectTracks() {
@@ -642,6 +1193,7 @@ class DelayEffectSession {
       await local.publishTrack(track, options);
       this.audioSource = source;
       this.audioTrack = track;
+      this._relayPublished();
     }
 
     if (!this.videoSource && this.lastVideoInfo) {
@@ -653,6 +1205,7 @@ class DelayEffectSession {
       await local.publishTrack(track, options);
       this.videoSource = source;
       this.videoTrack = track;
+      this._relayPublished();
     }
   }
 
@@ -0,0 +1,222 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DelayProfileRunner, parseDelayProfile, seededRandom } from "../delay_profile.js";
+
+// The relay's ramp limits (server.js): 5% of real time by default, at most 25%.
+function rampWindowMs(changeMs, requestedMs) {
+  const change = Math.abs(changeMs);
+  if (change === 0) return 0;
+  return Math.ceil(Math.max(requestedMs > 0 ? requestedMs : change / 0.05, change / 0.25));
+}
+
+const options = {
+  maxDelayMs: 10000,
+  transitions: ["instant", "ramp", "hold"],
+  trackKinds: ["audio", "video"],
+  rampWindowMs,
+};
+
+function parse(raw, extra = {}) {
+  return parseDelayProfile(raw, { ...options, ...extra });
+}
+
+// Plays `profile` on mocked timers for `ms` and returns the runner and every apply call as
+// [ms since start, delayMs, options].
+function play(t, profile, ms) {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 });
+  const calls = [];
+  const runner = new DelayProfileRunner(profile, (delayMs, opts) => calls.push([Date.now(), delayMs, opts]), {
+    maxDelayMs: 10000,
+  });
+  runner.start();
+  for (let elapsed = 0; elapsed < ms; elapsed += 100) t.mock.timers.tick(100);
+  return { runner, calls };
+}
+
+test("fills in defaults and draws a seed when none is given", () => {
+  const { profile, error } = parse({
+    segments: [
+      { type: "step", delayMs: 200, durationMs: 1000 },
+      { type: "ramp", toMs: 400, durationMs: 4000 },
+      { type: "jitter", delayMs: 400, jitterMs: 20, durationMs: 5000 },
+    ],
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(profile.segments, [
+    { type: "step", delayMs: 200, durationMs: 1000, transition: "instant" },
+    { type: "ramp", toMs: 400, durationMs: 4000, transition: "instant" },
+    { type: "jitter", delayMs: 400, jitterMs: 20, distribution: "uniform", intervalMs: 1000, durationMs: 5000, transition: "ramp" },
+  ]);
+  assert.ok(Number.isInteger(profile.seed) && profile.seed >= 0 && profile.seed <= 0xffffffff);
+  assert.equal(profile.loop, false);
+  assert.deepEqual(profile.tracks, ["audio", "video"]);
+  const once = parse({ seed: 7, tracks: ["video", "video"], segments: [{ type: "step", delayMs: 0, durationMs: 1 }] });
+  assert.deepEqual(once.profile.tracks, ["video"]);
+});
+
+test("rejects malformed profiles with the reason", () => {
+  const step = { type: "step", delayMs: 100, durationMs: 1000 };
+  const cases = [
+    [null, "profile must be an object"],
+    [{ segments: [] }, "profile needs 1 to 1000 segments"],
+    [{ seed: -1, segments: [step] }, "seed must be an integer between 0 and 4294967295"],
+    [{ seed: 1.5, segments: [step] }, "seed must be an integer between 0 and 4294967295"],
+    [{ tracks: ["screen"], segments: [step] }, "tracks must list audio and/or video"],
+    [{ segments: [{ ...step, type: "wave" }] }, "segment 1: type must be one of step, ramp, jitter"],
+    [{ segments: [step, { ...step, durationMs: 0 }] }, "segment 2: durationMs must be between 1 and 86400000"],
+    [{ segments: [{ ...step, delayMs: 10001 }] }, "segment 1: delayMs must be between 0 and 10000"],
+    [{ segments: [{ ...step, transition: "fade" }] }, "segment 1: transition must be one of instant, ramp, hold"],
+    [
+      { segments: [{ type: "ramp", fromMs: 0, toMs: 100, durationMs: 1000, transition: "ramp" }] },
+      "segment 1: fromMs is reached with an instant or hold transition",
+    ],
+    [
+      { segments: [{ type: "jitter", delayMs: 100, jitterMs: 10, intervalMs: 50, durationMs: 1000 }] },
+      "segment 1: intervalMs must be between 100 and durationMs",
+    ],
+    [
+      { segments: [{ type: "jitter", delayMs: 100, jitterMs: 10, distribution: "pareto", durationMs: 1000 }] },
+      "segment 1: distribution must be one of uniform, normal",
+    ],
+  ];
+  for (const [raw, error] of cases) assert.deepEqual(parse(raw), { error }, JSON.stringify(raw));
+});
+
+test("rejects ramps that cannot finish inside their segment", () => {
+  // 0 → 1000 ms takes at least 4000 ms at the fastest ramp rate.
+  assert.deepEqual(parse({ segments: [{ type: "ramp", toMs: 1000, durationMs: 2000 }] }), {
+    error: "segment 1: ramping to 1000 ms this fast needs durationMs of at least 4000",
+  });
+  assert.ok(parse({ segments: [{ type: "ramp", toMs: 1000, durationMs: 4000 }] }).profile);
+  // The default ramp of a step transition takes 20 s per second of change.
+  assert.deepEqual(parse({ segments: [{ type: "step", delayMs: 500, durationMs: 5000, transition: "ramp" }] }), {
+    error: "segment 1: ramping to 500 ms takes up to 10000 ms, longer than durationMs",
+  });
+  // Ramps start from the delay the relay has now.
+  const down = { segments: [{ type: "ramp", toMs: 0, durationMs: 2000 }] };
+  assert.ok(parse(down).profile);
+  assert.match(parse(down, { startDelays: { audio: 1000, video: 0 } }).error, /at least 4000/);
+  // Jitter ramps between draws within one interval.
+  assert.match(
+    parse({ segments: [{ type: "jitter", delayMs: 500, jitterMs: 500, intervalMs: 1000, durationMs: 5000 }] }).error,
+    /between draws this far apart needs intervalMs of at least 4000/
+  );
+  assert.match(
+    parse({ segments: [{ type: "jitter", delayMs: 2000, jitterMs: 50, intervalMs: 1000, durationMs: 5000 }] }).error,
+    /the first draw can be 2050 ms away from the delay before/
+  );
+});
+
+test("a looping profile has to ramp back into its first segment", () => {
+  const raw = {
+    segments: [
+      { type: "ramp", toMs: 200, durationMs: 1000 },
+      { type: "step", delayMs: 2000, durationMs: 1000 },
+    ],
+  };
+  assert.ok(parse(raw).profile);
+  assert.match(parse({ ...raw, loop: true }).error, /^segment 1: ramping to 200 ms this fast needs durationMs of at least 7200/);
+});
+
+test("plays steps and ramps at their segment boundaries", (t) => {
+  const { profile } = parse({
+    seed: 1,
+    segments: [
+      { type: "step", delayMs: 200, durationMs: 1000 },
+      { type: "ramp", toMs: 800, durationMs: 3000 },
+      { type: "ramp", fromMs: 100, toMs: 300, durationMs: 1000, transition: "hold" },
+      { type: "step", delayMs: 0, durationMs: 500, transition: "hold" },
+    ],
+  });
+  const { runner, calls } = play(t, profile, 6000);
+  assert.deepEqual(calls, [
+    [0, 200, { transition: "instant" }],
+    [1000, 800, { transition: "ramp", transitionMs: 3000 }],
+    [4000, 100, { transition: "hold" }],
+    [4000, 300, { transition: "ramp", transitionMs: 1000 }],
+    [5000, 0, { transition: "hold" }],
+  ]);
+  const status = runner.status();
+  assert.equal(status.finished, true);
+  assert.equal(status.segment, null);
+  assert.equal(status.targetMs, 0);
+});
+
+test("jitter replays the same draws from the same seed", (t) => {
+  const raw = {
+    seed: 42,
+    segments: [{ type: "jitter", delayMs: 500, jitterMs: 100, intervalMs: 300, durationMs: 1000, transition: "instant" }],
+  };
+  const { calls } = play(t, parse(raw).profile, 1000);
+  t.mock.timers.reset();
+  const { calls: replay } = play(t, parse(raw).profile, 1000);
+  t.mock.timers.reset();
+  const { calls: other } = play(t, parse({ ...raw, seed: 43 }).profile, 1000);
+
+  const random = seededRandom(42);
+  const expected = [0, 300, 600].map((at) => [
+    at,
+    Math.round(500 + (random() * 2 - 1) * 100),
+    { transition: "instant", transitionMs: 300 },
+  ]);
+  // Draws only where a whole interval is left: none at 900 ms.
+  assert.deepEqual(calls, expected);
+  assert.deepEqual(replay, calls);
+  assert.notDeepEqual(
+    other.map(([, delayMs]) => delayMs),
+    calls.map(([, delayMs]) => delayMs)
+  );
+});
+
+test("normal jitter stays within 3 standard deviations", (t) => {
+  const { profile } = parse({
+    seed: 9,
+    segments: [
+      {
+        type: "jitter",
+        delayMs: 1000,
+        jitterMs: 50,
+        distribution: "normal",
+        intervalMs: 100,
+        durationMs: 30000,
+        transition: "hold",
+      },
+    ],
+  });
+  const { calls } = play(t, profile, 30000);
+  assert.equal(calls.length, 300);
+  for (const [, delayMs] of calls) assert.ok(delayMs >= 850 && delayMs <= 1150, String(delayMs));
+  assert.ok(new Set(calls.map(([, delayMs]) => delayMs)).size > 20);
+});
+
+test("a looping profile starts over and counts its rounds until stopped", (t) => {
+  const { profile } = parse({
+    seed: 3,
+    loop: true,
+    segments: [
+      { type: "step", delayMs: 100, durationMs: 1000 },
+      { type: "step", delayMs: 300, durationMs: 1000 },
+    ],
+  });
+  const { runner, calls } = play(t, profile, 4500);
+  assert.deepEqual(
+    calls.map(([at, delayMs]) => [at, delayMs]),
+    [
+      [0, 100],
+      [1000, 300],
+      [2000, 100],
+      [3000, 300],
+      [4000, 100],
+    ]
+  );
+  const status = runner.status();
+  assert.equal(status.round, 2);
+  assert.deepEqual(status.segment, { index: 0, type: "step" });
+  assert.equal(status.segmentElapsedMs, 500);
+  assert.equal(status.elapsedMs, 4500);
+  assert.equal(status.finished, false);
+
+  runner.stop();
+  t.mock.timers.tick(5000);
+  assert.equal(calls.length, 5);
+});
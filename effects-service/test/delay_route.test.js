@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+
+// Stands in for token-service and keeps the delay events effects-service reports.
+const reports = [];
+const tokenService = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    reports.push({ path: req.url, key: req.headers["x-admin-key"], body: JSON.parse(body) });
+    res.end("{}");
+  });
+});
+await new Promise((resolve) => tokenService.listen(0, "127.0.0.1", resolve));
+process.env.TOKEN_SERVICE_URL = `http://127.0.0.1:${tokenService.address().port}`;
+
+process.env.LIVEKIT_URL ||= "ws://127.0.0.1:7880";
+process.env.LIVEKIT_API_KEY ||= "test";
+process.env.LIVEKIT_API_SECRET ||= "test-secret";
+process.env.ADMIN_KEY ||= "test-admin";
+
+const { app, roomEffects, DelayEffectSession } = await import("../server.js");
+const { parseDelayProfile } = await import("../delay_profile.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  tokenService.close();
+});
+
+// A relay that is not connected to LiveKit: routing is a no-op, the delay bookkeeping is real.
+function offlineSession(participant) {
+  const session = new DelayEffectSession({
+    room: "lab",
+    participant,
+    delays: { audio: 0, video: 0 },
+    roomService: { listParticipants: async () => [] },
+  });
+  session.running = true;
+  session._applySubscriptionState = async () => {};
+  session._applyResubscribeToAll = async () => {};
+  return session;
+}
+
+function postDelay(body) {
+  return fetch(`${baseUrl}/effects/delay`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-admin-key": process.env.ADMIN_KEY },
+    body: JSON.stringify({ room: "lab", ...body }),
+  });
+}
+
+const profileOptions = { maxDelayMs: 10000, transitions: ["instant", "ramp", "hold"], trackKinds: ["audio", "video"] };
+const { profile } = parseDelayProfile(
+  { seed: 1, segments: [{ type: "step", delayMs: 300, durationMs: 60000 }] },
+  profileOptions
+);
+
+test("a keep-alive from a rejoin leaves the delay profile playing", async () => {
+  const session = offlineSession("p_keep");
+  roomEffects.set("lab", new Map([["p_keep", session]]));
+  session.startProfile(profile);
+  const runner = session.profile;
+
+  const res = await postDelay({ participant: "p_keep", keepAlive: true, participantName: "Ann" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.audioDelayMs, 300);
+  assert.equal(session.profile, runner);
+  assert.deepEqual(session.delays, { audio: 300, video: 300 });
+
+  await session.stop();
+  roomEffects.clear();
+});
+
+test("setting a delay stops the delay profile", async () => {
+  const session = offlineSession("p_set");
+  roomEffects.set("lab", new Map([["p_set", session]]));
+  session.startProfile(profile);
+
+  const res = await postDelay({ participant: "p_set", delayMs: 100, keepAlive: true });
+  assert.equal(res.status, 200);
+  assert.equal(session.profile, null);
+  assert.deepEqual(session.delays, { audio: 100, video: 100 });
+
+  await session.stop();
+  roomEffects.clear();
+});
+
+test("each delay a profile applies is reported to token-service", async () => {
+  const session = offlineSession("p_report");
+  const { profile: steps } = parseDelayProfile(
+    {
+      seed: 7,
+      tracks: ["audio"],
+      segments: [
+        { type: "step", delayMs: 200, durationMs: 30 },
+        { type: "step", delayMs: 200, durationMs: 30 },
+        { type: "step", delayMs: 400, durationMs: 30 },
+      ],
+    },
+    profileOptions
+  );
+  reports.length = 0;
+  session.startProfile(steps);
+  while (!session.profile.status().finished) await new Promise((resolve) => setTimeout(resolve, 10));
+  await session.profileReports;
+
+  // The repeated 200 ms step changes nothing and is not reported.
+  assert.deepEqual(
+    reports.map(({ body }) => [body.audioDelayMs, body.videoDelayMs]),
+    [
+      [200, 0],
+      [400, 0],
+    ]
+  );
+  for (const { path, key, body } of reports) {
+    assert.equal(path, "/api/effects/delay-events");
+    assert.equal(key, process.env.ADMIN_KEY);
+    assert.equal(body.room, "lab");
+    assert.equal(body.participant, "p_report");
+    assert.equal(body.seed, 7);
+    assert.deepEqual(body.transition, { mode: "instant", windowMs: 0 });
+    assert.ok(!Number.isNaN(Date.parse(body.at)));
+  }
+
+  await session.stop();
+});
@@ -0,0 +1,61 @@
+import fs from "fs";
+import readline from "readline";
+
+// Append-only audit trail of admin and participant actions, one JSON object per line:
+//   { ts, type, room, actor: { kind, id }, target, details }
+// Writes are serialized so lines never interleave; failures are logged, never thrown,
+// so auditing cannot break the action being audited.
+
+export class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = Promise.resolve();
+  }
+
+  record(type, { room = null, actor = null, target = null, details = null } = {}) {
+    const event = { ts: new Date().toISOString(), type, room, actor, target, details };
+    const line = `${JSON.stringify(event)}\n`;
+    this.pending = this.pending
+      .then(() => fs.promises.appendFile(this.filePath, line, { mode: 0o640 }))
+      .catch((err) => {
+        console.error(`audit log write failed (${type}):`, err?.message || err);
+      });
+    return this.pending;
+  }
+
+  /**
+   * Events matching the filters, oldest first. `from`/`to` are epoch ms (inclusive).
+   * Returns at most `limit` events (the newest ones) and whether more matched.
+   */
+  async query({ room, type, from, to, limit = 1000 } = {}) {
+    await this.pending;
+    if (!fs.existsSync(this.filePath)) return { events: [], truncated: false };
+
+    const events = [];
+    let matched = 0;
+    const rl = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+    for await (const line of rl) {
+      if (!line) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (room && event.room !== room) continue;
+      if (type && event.type !== type && !String(event.type).startsWith(`${type}.`)) continue;
+      const t = Date.parse(event.ts);
+      if (from !== undefined && t < from) continue;
+      if (to !== undefined && t > to) continue;
+      matched += 1;
+      events.push(event);
+      // Keep only the newest matches without re-shifting the array on every line.
+      if (events.length >= limit * 2) events.splice(0, events.length - limit);
+    }
+    if (events.length > limit) events.splice(0, events.length - limit);
+    return { events, truncated: matched > limit };
+  }
+}
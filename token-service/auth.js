@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// Admin authentication for token-service.
+//
+// Admins log in with a username/password from the accounts file and receive a
+// short-lived signed session token, delivered both as an HttpOnly cookie (used
+// by the admin UI) and in the response body (for `Authorization: Bearer`).
+// Sessions are also recorded in the store so logout revokes them immediately.
+//
+// Accounts file (ADMIN_ACCOUNTS_FILE), re-read on every login:
+//   { "accounts": [{ "username": "alice", "passwordHash": "scrypt$..." }] }
+// Hashes come from `npm run hash-password`. Without the file a single "admin"
+// account whose password is ADMIN_KEY is used.
+
+export const ADMIN_COOKIE_NAME = "clasp_admin";
+
+const SCRYPT_KEYLEN = 32;
+
+/** Compare two strings without leaking where they differ through timing. */
+export function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a ?? "")).digest();
+  const hb = crypto.createHash("sha256").update(String(b ?? "")).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64url");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltB64, "base64url"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name) continue;
+    try {
+      out[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      out[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return out;
+}
+
+export class AdminAuth {
+  constructor({ store, accountsFile, fallbackKey, secret, ttlSeconds, secureCookie }) {
+    this.store = store;
+    this.accountsFile = accountsFile;
+    this.fallbackKey = fallbackKey;
+    this.secret = secret;
+    this.ttlSeconds = ttlSeconds;
+    this.secureCookie = secureCookie;
+  }
+
+  loadAccounts() {
+    if (!this.accountsFile || !fs.existsSync(this.accountsFile)) {
+      return new Map([["admin", { username: "admin", key: this.fallbackKey }]]);
+    }
+    const parsed = JSON.parse(fs.readFileSync(this.accountsFile, "utf8"));
+    const accounts = new Map();
+    for (const entry of parsed?.accounts || []) {
+      if (typeof entry?.username !== "string" || typeof entry?.passwordHash !== "string") continue;
+      accounts.set(entry.username, { username: entry.username, passwordHash: entry.passwordHash });
+    }
+    return accounts;
+  }
+
+  /** Returns the account name when the credentials match, otherwise null. */
+  checkCredentials(username, password) {
+    if (typeof username !== "string" || typeof password !== "string" || !password) return null;
+    const account = this.loadAccounts().get(username);
+    if (!account) {
+      // Burn comparable time so unknown usernames are not distinguishable.
+      verifyPassword(password, `scrypt$${"A".repeat(22)}$${"A".repeat(43)}`);
+      return null;
+    }
+    const ok = account.passwordHash
+      ? verifyPassword(password, account.passwordHash)
+      : safeEqual(password, account.key);
+    return ok ? account.username : null;
+  }
+
+  _sign(payloadB64) {
+    return crypto.createHmac("sha256", this.secret).update(payloadB64).digest("base64url");
+  }
+
+  async createSession(username) {
+    const sid = crypto.randomBytes(16).toString("base64url");
+    const exp = Math.floor(Date.now() / 1000) + this.ttlSeconds;
+    const payloadB64 = Buffer.from(JSON.stringify({ sub: username, sid, exp })).toString("base64url");
+    await this.store.saveAdminSession(sid, { username, createdAt: new Date().toISOString() }, exp);
+    return { token: `${payloadB64}.${this._sign(payloadB64)}`, username, exp };
+  }
+
+  /** Verifies signature, expiry and that the session was not logged out. */
+  async verifySession(token) {
+    const [payloadB64, sig] = String(token || "").split(".");
+    if (!payloadB64 || !sig || !safeEqual(sig, this._sign(payloadB64))) return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(payloadB64, "base64url").toString("utf8"));
+    } catch {
+      return null;
+    }
+    if (!payload?.sid || !payload?.sub || !(payload.exp > Math.floor(Date.now() / 1000))) return null;
+    const session = await this.store.getAdminSession(payload.sid);
+    if (!session || session.username !== payload.sub) return null;
+    return { username: payload.sub, sid: payload.sid, exp: payload.exp };
+  }
+
+  async revokeSession(sid) {
+    await this.store.deleteAdminSession(sid);
+  }
+
+  /** Session token from `Authorization: Bearer` or the admin cookie. */
+  tokenFromRequest(req) {
+    const authz = req.header("authorization") || "";
+    const m = authz.match(/^Bearer\s+(.+)$/i);
+    if (m) return m[1].trim();
+    return parseCookies(req.header("cookie"))[ADMIN_COOKIE_NAME] || null;
+  }
+
+  sessionCookie(token, maxAgeSeconds) {
+    const parts = [
+      `${ADMIN_COOKIE_NAME}=${encodeURIComponent(token)}`,
+      "Path=/api",
+      "HttpOnly",
+      "SameSite=Strict",
+      `Max-Age=${Math.max(0, Math.floor(maxAgeSeconds))}`,
+    ];
+    if (this.secureCookie) parts.push("Secure");
+    return parts.join("; ");
+  }
+
+  clearedCookie() {
+    return this.sessionCookie("", 0);
+  }
+}
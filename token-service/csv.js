@@ -0,0 +1,21 @@
+// CSV exports (invites, audit log, delay timelines): RFC 4180 quoting, CRLF line ends.
+//
+// Text starting with =, +, -, @, tab or CR is a formula to spreadsheet apps, and labels, names and
+// audit details are user input, so such text is prefixed with ' (shown as plain text). Numbers are
+// written as they are.
+
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+
+export function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_START_RE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
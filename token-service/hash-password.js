@@ -0,0 +1,20 @@
+import readline from "readline";
+import { hashPassword } from "./auth.js";
+
+// Prints a passwordHash for ADMIN_ACCOUNTS_FILE.
+// usage: npm run hash-password [-- PASSWORD]   (prompts when no argument is given)
+
+async function readPassword() {
+  if (process.argv[2]) return process.argv[2];
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise((resolve) => rl.question("Password: ", resolve));
+  rl.close();
+  return answer;
+}
+
+const password = await readPassword();
+if (!password) {
+  console.error("Password must not be empty.");
+  process.exit(1);
+}
+console.log(hashPassword(password));
@@ -0,0 +1,220 @@
+import fs from "fs";
+
+// Metadata sidecar written next to a recording's files as `${recordingId}.manifest.json`:
+// who was in the session (names, invite labels, join/leave offsets), which egress wrote
+// which file, and every delay change, all relative to the recording start.
+// Delays are per track: `delays.initial` maps identity -> { audioDelayMs, videoDelayMs } (a plain
+// number, both tracks alike, in version 1) and timeline entries carry both next to `delayMs`,
+// the larger of the two. Per-viewer delays (one viewer gets the participant with another delay)
+// start in `delays.initialViewers` (identity -> { viewer: delayMs }) and are timeline entries
+// with a `viewer`; `delayMs: null` returns the viewer to the participant's delay. Delay profiles
+// playing at the start are in `delays.initialProfiles` (identity -> profile incl. seed and
+// startedAt); starting or stopping one is a timeline entry with `profile` (null when stopped).
+//
+// The file is rewritten (atomically) after every change, so it is usable even if
+// token-service dies mid-recording.
+
+const MANIFEST_VERSION = 2;
+
+function toNumber(value) {
+  if (value === undefined || value === null) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+export class RecordingManifest {
+  constructor({
+    filePath,
+    recordingId,
+    room,
+    mode,
+    startedAt,
+    startedBy,
+    initialDelays = {},
+    initialViewerDelays = {},
+    initialProfiles = {},
+    encoding = null,
+  }) {
+    this.filePath = filePath;
+    this.startedAtMs = Date.parse(startedAt);
+    this.pendingWrite = Promise.resolve();
+    this.data = {
+      version: MANIFEST_VERSION,
+      recordingId,
+      room,
+      mode,
+      encoding,
+      status: "recording",
+      startedAt,
+      stoppedAt: null,
+      startedBy: startedBy || null,
+      participants: [],
+      egress: [],
+      delays: {
+        initial: { ...initialDelays },
+        initialViewers: { ...initialViewerDelays },
+        initialProfiles: { ...initialProfiles },
+        timeline: [],
+      },
+    };
+  }
+
+  /** Re-opens a manifest written before a restart; null when it is missing or unreadable. */
+  static load(filePath) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const manifest = new RecordingManifest({ filePath, ...data });
+      manifest.data = data;
+      return manifest;
+    } catch {
+      return null;
+    }
+  }
+
+  _at(at = new Date()) {
+    return { at: at.toISOString(), offsetMs: Math.max(0, at.getTime() - this.startedAtMs) };
+  }
+
+  _participant(identity) {
+    return this.data.participants.find((p) => p.identity === identity) || null;
+  }
+
+  /** Records a participant being present, at recording start or when joining later. */
+  participantJoined({ identity, name, label, role }, at) {
+    let entry = this._participant(identity);
+    if (!entry) {
+      entry = { identity, name: name || null, label: label || null, role: role || null, presence: [] };
+      this.data.participants.push(entry);
+    }
+    if (name) entry.name = name;
+    const last = entry.presence[entry.presence.length - 1];
+    if (last && last.leftAt === null) return;
+    const { at: joinedAt, offsetMs } = this._at(at);
+    entry.presence.push({ joinedAt, joinOffsetMs: offsetMs, leftAt: null, leaveOffsetMs: null });
+  }
+
+  participantLeft(identity, at) {
+    const last = this._participant(identity)?.presence.at(-1);
+    if (!last || last.leftAt !== null) return;
+    const { at: leftAt, offsetMs } = this._at(at);
+    last.leftAt = leftAt;
+    last.leaveOffsetMs = offsetMs;
+  }
+
+  /**
+   * kind: "composite" | "participant" | "track" (source "audio" | "video");
+   * `file` is relative to the room's recordings directory.
+   */
+  addEgress({ egressId, kind, identity = null, name = null, label = null, source = null, file, part = 1 }, at) {
+    const { at: startedAt, offsetMs } = this._at(at);
+    this.data.egress.push({
+      egressId,
+      kind,
+      identity,
+      name,
+      label,
+      source,
+      part,
+      file,
+      startedAt,
+      startOffsetMs: offsetMs,
+      endedAt: null,
+      status: "active",
+      error: null,
+      size: null,
+      durationMs: null,
+    });
+  }
+
+  /** Applies an egress_ended EgressInfo (status name, error, file results). */
+  egressEnded(egressId, { status, error, fileResults = [] }, at) {
+    const entry = this.data.egress.find((e) => e.egressId === egressId);
+    if (!entry) return;
+    entry.endedAt = this._at(at).at;
+    entry.status = status;
+    entry.error = error || null;
+    const result = fileResults[0];
+    if (result) {
+      entry.size = toNumber(result.size);
+      // EgressInfo durations are nanoseconds.
+      const ns = toNumber(result.duration);
+      entry.durationMs = ns === null ? null : Math.round(ns / 1e6);
+    }
+  }
+
+  /**
+   * Delays in effect for the identity, { audioDelayMs, videoDelayMs }: the last change, else the
+   * delays at the start, else 0.
+   */
+  currentDelays(identity) {
+    const timeline = this.data.delays.timeline;
+    let entry = null;
+    for (let i = timeline.length - 1; i >= 0 && !entry; i -= 1) {
+      const candidate = timeline[i];
+      if (candidate.identity === identity && !candidate.viewer && !("profile" in candidate)) entry = candidate;
+    }
+    entry ??= this.data.delays.initial[identity] ?? 0;
+    const both = typeof entry === "number" ? entry : entry.delayMs ?? 0;
+    return {
+      audioDelayMs: Number(entry.audioDelayMs ?? both) || 0,
+      videoDelayMs: Number(entry.videoDelayMs ?? both) || 0,
+    };
+  }
+
+  /** The viewer's own delay of the identity, or null when they get the identity's delay. */
+  currentViewerDelay(identity, viewer) {
+    const timeline = this.data.delays.timeline;
+    for (let i = timeline.length - 1; i >= 0; i -= 1) {
+      const entry = timeline[i];
+      if (entry.identity === identity && entry.viewer === viewer) return entry.delayMs;
+    }
+    return this.data.delays.initialViewers?.[identity]?.[viewer] ?? null;
+  }
+
+  delayProfileChanged(identity, profile, by, at) {
+    this.data.delays.timeline.push({ ...this._at(at), identity, profile, by: by || null });
+  }
+
+  viewerDelayChanged(identity, viewer, delayMs, by, at) {
+    this.data.delays.timeline.push({ ...this._at(at), identity, viewer, delayMs, by: by || null });
+  }
+
+  delayChanged(identity, { audioDelayMs, videoDelayMs }, by, at, transition) {
+    this.data.delays.timeline.push({
+      ...this._at(at),
+      identity,
+      delayMs: Math.max(audioDelayMs, videoDelayMs),
+      audioDelayMs,
+      videoDelayMs,
+      by: by || null,
+      transition: transition?.mode || "instant",
+      transitionMs: transition?.windowMs || 0,
+    });
+  }
+
+  finish(status, stoppedAt) {
+    this.data.status = status;
+    this.data.stoppedAt = stoppedAt;
+    for (const entry of this.data.participants) {
+      const last = entry.presence.at(-1);
+      if (last && last.leftAt === null) this.participantLeft(entry.identity, new Date(stoppedAt));
+    }
+  }
+
+  toJSON() {
+    return this.data;
+  }
+
+  /** Queues an atomic rewrite of the manifest file; errors are logged, not thrown. */
+  save() {
+    const json = `${JSON.stringify(this.data, null, 2)}\n`;
+    const tmpPath = `${this.filePath}.tmp`;
+    this.pendingWrite = this.pendingWrite
+      .then(() => fs.promises.writeFile(tmpPath, json))
+      .then(() => fs.promises.rename(tmpPath, this.filePath))
+      .catch((err) => {
+        console.error(`manifest write failed (${this.filePath}):`, err?.message || err);
+      });
+    return this.pendingWrite;
+  }
+}
@@ -0,0 +1,86 @@
+// In-process request throttling and brute-force lockout for token-service.
+//
+// RateLimiter: fixed-window request counter per key (e.g. per client IP).
+// FailureLockout: counts failed credential checks per key (client IP, invite id,
+// admin username) and locks the key out once too many pile up inside the window.
+//
+// State is per process and resets on restart; a limit of 0 disables the check.
+
+class ExpiringCounters {
+  constructor() {
+    this.entries = new Map(); // key -> { count, resetAt, lockedUntil }
+    this.sweepTimer = setInterval(() => this._sweep(), 60_000);
+    this.sweepTimer.unref?.();
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now && (entry.lockedUntil ?? 0) <= now) this.entries.delete(key);
+    }
+  }
+}
+
+export class RateLimiter extends ExpiringCounters {
+  constructor({ windowSeconds, max }) {
+    super();
+    this.windowMs = windowSeconds * 1000;
+    this.max = max;
+  }
+
+  /** Counts one request; returns seconds to wait when over the limit, otherwise 0. */
+  hit(key) {
+    if (!(this.max > 0)) return 0;
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.count += 1;
+    if (entry.count <= this.max) return 0;
+    return Math.ceil((entry.resetAt - now) / 1000);
+  }
+}
+
+export class FailureLockout extends ExpiringCounters {
+  constructor({ maxFailures, windowSeconds, lockoutSeconds }) {
+    super();
+    this.maxFailures = maxFailures;
+    this.windowMs = windowSeconds * 1000;
+    this.lockoutMs = lockoutSeconds * 1000;
+  }
+
+  /** Seconds until the longest-locked of `keys` is released, or 0 when none is locked. */
+  retryAfter(keys) {
+    const now = Date.now();
+    let wait = 0;
+    for (const key of keys) {
+      const lockedUntil = this.entries.get(key)?.lockedUntil ?? 0;
+      if (lockedUntil > now) wait = Math.max(wait, Math.ceil((lockedUntil - now) / 1000));
+    }
+    return wait;
+  }
+
+  /** Records a failed attempt against every key; returns the keys that just got locked. */
+  fail(keys) {
+    if (!(this.maxFailures > 0)) return [];
+    const now = Date.now();
+    const locked = [];
+    for (const key of keys) {
+      let entry = this.entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + this.windowMs, lockedUntil: entry?.lockedUntil ?? 0 };
+        this.entries.set(key, entry);
+      }
+      entry.count += 1;
+      if (entry.count >= this.maxFailures) {
+        entry.count = 0;
+        entry.lockedUntil = now + this.lockoutMs;
+        entry.resetAt = Math.max(entry.resetAt, entry.lockedUntil);
+        locked.push(key);
+      }
+    }
+    return locked;
+  }
+}
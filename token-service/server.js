@@ -8,10 +8,24 @@ import {
   AccessToken,
   RoomServiceClient,
   EgressClient,
+  DirectFileOutput,
   EncodedFileOutput,
   EncodedFileType,
+  EncodingOptions,
   EncodingOptionsPreset,
+  TrackSource,
+  TrackType,
+  EgressStatus,
+  WebhookReceiver,
 } from "livekit-server-sdk";
+import { createStore } from "./store.js";
+import { AdminAuth, safeEqual } from "./auth.js";
+import { AuditLog } from "./audit.js";
+import { RateLimiter, FailureLockout } from "./ratelimit.js";
+import { RecordingManifest } from "./manifest.js";
+import { DelayTimeline, delayTimelineToCsv, delayTimelineToEaf } from "./timeline.js";
+import { planZip, writeZip } from "./zip.js";
+import { toCsv } from "./csv.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -39,7 +53,25 @@ function ensureWritableDir(dirPath) {
 // Ensure recordings directory exists and is writable by egress container
 ensureWritableDir(RECORDINGS_DIR);
 
+// token-service's own persistent files (audit log). Mounted from ./data/token-service in compose.yml.
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "data");
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const audit = new AuditLog(path.join(DATA_DIR, "audit.jsonl"));
+
+function adminActor(req) {
+  return { kind: "admin", id: req.admin?.username || "unknown" };
+}
+
+function participantActor(identity) {
+  return { kind: "participant", id: identity };
+}
+
 const app = express();
+// Behind nginx / the Vite proxy; req.ip then comes from X-Forwarded-For (used for rate limiting).
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY || "loopback"));
 app.use(express.json());
 app.use(cors({ origin: true }));
 app.use((req, _res, next) => {
@@ -75,24 +107,107 @@ const egressClient = new EgressClient(
   LIVEKIT_API_SECRET
 );
 
+// Verifies webhooks LiveKit posts to /api/livekit/webhook (see livekit.yaml).
+const webhookReceiver = new WebhookReceiver(LIVEKIT_API_KEY, LIVEKIT_API_SECRET);
+
 // In-memory store for active recordings: roomName -> recordingState
 const recordingState = new Map();
-const individualMonitors = new Map(); // roomName -> interval id
+// egressId -> { room, mode, recordingId, identity?, source? }; egress participants join as identity === egressId.
+const egressIndex = new Map();
+// Egress participants whose participant_joined arrived before their egressId was registered.
+const pendingEgressTags = new Map(); // egressId -> room
+const egressStartTimers = new Map(); // egressId -> timeout (see trackEgress)
 
 const INVITE_TTL_SECONDS = Number(process.env.INVITE_TTL_SECONDS || 86400); // 24h
+// Participant LiveKit tokens are short-lived; clients renew them via POST /api/token/refresh.
+const PARTICIPANT_TOKEN_TTL_SECONDS = Number(process.env.PARTICIPANT_TOKEN_TTL_SECONDS || 60 * 15);
 const INVITE_MAX_USES = Number(process.env.INVITE_MAX_USES || 1);
+// Upper bound for invite lifetimes set through the API (sessions inherit them).
+const MAX_INVITE_TTL_SECONDS = 365 * 86400;
+
+// Invites and identity sessions (incl. showSelf) survive restarts when backed by Redis.
+// STORE_BACKEND=memory keeps everything in-process (tests / local hacking).
+const REDIS_URL = process.env.REDIS_URL || "";
+const STORE_BACKEND = process.env.STORE_BACKEND || (REDIS_URL ? "redis" : "memory");
+const store = await createStore({
+  backend: STORE_BACKEND,
+  redisUrl: REDIS_URL,
+  prefix: process.env.STORE_PREFIX || "clasp-vc:",
+});
+console.log(`token-service store backend: ${STORE_BACKEND}`);
+
+// Admin accounts come from ADMIN_ACCOUNTS_FILE; ADMIN_KEY remains the service key for
+// scripts (x-admin-key header) and the fallback "admin" password when no file exists.
+const ADMIN_ACCOUNTS_FILE = process.env.ADMIN_ACCOUNTS_FILE ? path.resolve(process.env.ADMIN_ACCOUNTS_FILE) : "";
+const ADMIN_SESSION_TTL_SECONDS = Number(process.env.ADMIN_SESSION_TTL_SECONDS || 60 * 60 * 8);
+const adminAuth = new AdminAuth({
+  store,
+  accountsFile: ADMIN_ACCOUNTS_FILE,
+  fallbackKey: ADMIN_KEY,
+  // Without a configured secret, admin sessions do not survive a restart.
+  secret: process.env.ADMIN_SESSION_SECRET || randomId(32),
+  ttlSeconds: ADMIN_SESSION_TTL_SECONDS,
+  secureCookie: PUBLIC_BASE_URL.startsWith("https:"),
+});
+// Per-IP request limits, plus lockout after repeated bad invite keys or admin credentials.
+const RATE_LIMIT_WINDOW_SECONDS = envNumber("RATE_LIMIT_WINDOW_SECONDS", 60);
+const inviteRateLimiter = new RateLimiter({
+  windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+  max: envNumber("RATE_LIMIT_INVITE_MAX", 120),
+});
+const adminRateLimiter = new RateLimiter({
+  windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+  max: envNumber("RATE_LIMIT_ADMIN_MAX", 600),
+});
+// effects-service reports every delay a profile applies, up to 10 per second per participant.
+const serviceRateLimiter = new RateLimiter({
+  windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+  max: envNumber("RATE_LIMIT_SERVICE_MAX", 6000),
+});
+const authLockout = new FailureLockout({
+  maxFailures: envNumber("LOCKOUT_MAX_FAILURES", 10),
+  windowSeconds: envNumber("LOCKOUT_WINDOW_SECONDS", 600),
+  lockoutSeconds: envNumber("LOCKOUT_SECONDS", 900),
+});
 
-// In-memory invite store for a pilot.
-// For anything serious, swap to Redis/Postgres.
-const invites = new Map(); // inviteId -> { secretHash, room, role, exp, uses, maxUses }
-
-// Track participant identities issued per invite so we can clean up effect tracks on leave.
-const identitySessions = new Map(); // identity -> { inviteId, room, name }
+// Egress that is not active this long after starting (e.g. the recording page never signalled
+// START_RECORDING) counts as failed. Failed participant egress is retried up to EGRESS_MAX_RETRIES
+// times in a row, with a growing pause.
+const EGRESS_START_TIMEOUT_SECONDS = envNumber("EGRESS_START_TIMEOUT_SECONDS", 45);
+const EGRESS_MAX_RETRIES = envNumber("EGRESS_MAX_RETRIES", 3);
+const EGRESS_RETRY_DELAY_SECONDS = envNumber("EGRESS_RETRY_DELAY_SECONDS", 5);
+
+// Recording retention (0 disables each limit) and free-space thresholds for RECORDINGS_DIR.
+const GB = 1024 ** 3;
+const RECORDINGS_RETENTION_DAYS = envNumber("RECORDINGS_RETENTION_DAYS", 0);
+const RECORDINGS_MAX_TOTAL_GB = envNumber("RECORDINGS_MAX_TOTAL_GB", 0);
+const RETENTION_SWEEP_MINUTES = envNumber("RETENTION_SWEEP_MINUTES", 60);
+const RECORDING_MIN_FREE_GB = envNumber("RECORDING_MIN_FREE_GB", 2);
+const DISK_WARN_FREE_GB = envNumber("DISK_WARN_FREE_GB", 10);
+
+if (ADMIN_ACCOUNTS_FILE && fs.existsSync(ADMIN_ACCOUNTS_FILE)) {
+  console.log(`admin accounts: ${ADMIN_ACCOUNTS_FILE}`);
+} else {
+  console.log('admin accounts: none configured, "admin" logs in with ADMIN_KEY');
+}
 
 function toWsUrl(u) {
   return u.replace(/^https:\/\//, "wss://").replace(/^http:\/\//, "ws://");
 }
 
+function parseTrustProxy(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+// Like Number(env || fallback), but an explicit 0 is kept (0 disables a limit).
+function envNumber(name, fallback) {
+  const v = process.env[name];
+  return v === undefined || v === "" ? fallback : Number(v);
+}
+
 function mustEnv(name) {
   const v = process.env[name];
   if (!v) throw new Error(`Missing env var: ${name}`);
@@ -107,11 +222,21 @@ function randomId(bytes = 16) {
   return crypto.randomBytes(bytes).toString("base64url");
 }
 
-const DEFAULT_ROOM_NAME =
-  process.env.SINGLE_ROOM_NAME ||
-  process.env.DEFAULT_ROOM_NAME ||
-  process.env.ROOM_NAME ||
-  `room_${randomId(12)}`;
+// The generated default room name is persisted so invites issued before a restart still resolve.
+async function resolveDefaultRoomName() {
+  const fromEnv =
+    process.env.SINGLE_ROOM_NAME ||
+    process.env.DEFAULT_ROOM_NAME ||
+    process.env.ROOM_NAME;
+  if (fromEnv) return fromEnv;
+  const stored = await store.getSetting("defaultRoom");
+  if (stored) return stored;
+  const generated = `room_${randomId(12)}`;
+  await store.saveSetting("defaultRoom", generated);
+  return generated;
+}
+
+const DEFAULT_ROOM_NAME = await resolveDefaultRoomName();
 
 function sha256(s) {
   return crypto.createHash("sha256").update(s).digest("hex");
@@ -121,10 +246,62 @@ function sanitizeIdentity(raw) {
   if (typeof raw !== "string") return null;
   const trimmed = raw.trim();
   if (!trimmed) return null;
-  if (!/^p_[A-Za-z0-9_-]{3,64}$/.test(trimmed)) return null;
+  if (!/^[po]_[A-Za-z0-9_-]{3,64}$/.test(trimmed)) return null;
+  return trimmed;
+}
+
+const INVITE_ROLES = ["participant", "moderator", "observer"];
+
+// Observers get an o_ identity so they are never recorded, relayed or shown in the grid.
+function identityPrefixForRole(role) {
+  return role === "observer" ? "o_" : "p_";
+}
+
+function grantForRole(room, role) {
+  if (role === "observer") {
+    return {
+      room,
+      roomJoin: true,
+      canPublish: false,
+      canSubscribe: true,
+      canPublishData: false,
+      hidden: true,
+    };
+  }
+  return {
+    room,
+    roomJoin: true,
+    canPublish: true,
+    canSubscribe: true,
+    canPublishData: true,
+  };
+}
+
+async function participantToken({ identity, name, room, role }) {
+  const at = new AccessToken(LIVEKIT_API_KEY, LIVEKIT_API_SECRET, {
+    identity,
+    name,
+    ttl: PARTICIPANT_TOKEN_TTL_SECONDS,
+  });
+  at.addGrant(grantForRole(room, role));
+  return {
+    token: await at.toJwt(),
+    expiresAt: new Date(Date.now() + PARTICIPANT_TOKEN_TTL_SECONDS * 1000).toISOString(),
+  };
+}
+
+function sanitizeRoomName(raw) {
+  if (typeof raw !== "string") return null;
+  const trimmed = raw.trim();
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(trimmed)) return null;
   return trimmed;
 }
 
+async function roomIsOpen(room) {
+  if (room === DEFAULT_ROOM_NAME) return true;
+  return Boolean(await store.getRoom(room));
+}
+
 function parseBooleanAttr(value, fallback = true) {
   if (typeof value === "boolean") return value;
   if (typeof value === "string") {
@@ -142,23 +319,6 @@ async function updateParticipantShowSelf(room, identity, showSelf) {
   await roomService.updateParticipant(room, identity, { attributes });
 }
 
-async function updateParticipantShowSelfWithRetry(room, identity, showSelf, retries = 8, intervalMs = 500) {
-  for (let attempt = 0; attempt < retries; attempt += 1) {
-    try {
-      await updateParticipantShowSelf(room, identity, showSelf);
-      return true;
-    } catch (err) {
-      const message = String(err?.message || "");
-      const notFound = err?.code === 404 || /not found/i.test(message);
-      if (!notFound) throw err;
-      if (attempt < retries - 1) {
-        await sleep(intervalMs);
-      }
-    }
-  }
-  return false;
-}
-
 function formatTimestamp(d = new Date()) {
   const pad = (n, w = 2) => String(n).padStart(w, "0");
   return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}_` +
@@ -174,6 +334,9 @@ function sanitizeFilePart(value, fallback = "participant") {
   return cleaned || fallback;
 }
 
+// How the effects-service moves a relay to a new delay, see POST /api/admin/effects/delay.
+const DELAY_TRANSITIONS = ["instant", "ramp", "hold"];
+
 async function effectsServiceRequest(pathname, options = {}) {
   const url = `${EFFECTS_SERVICE_URL}${pathname}`;
   const headers = {
@@ -210,17 +373,22 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 4000) {
   }
 }
 
-async function getExistingDelay(room, participant) {
-  if (!room || !participant) return 0;
+// Delays as currently applied by effects-service (all {} when unreachable):
+// tracks: identity -> { audioDelayMs, videoDelayMs }; viewers: identity -> { viewer: delayMs };
+// profiles: identity -> { profile, startedAt, finished, ... } of the delay profile playing.
+async function getRoomDelays(room) {
   try {
     const payload = await effectsServiceRequest(`/effects/delay/status?room=${encodeURIComponent(room)}`, {
       method: "GET",
     });
-    const value = Number(payload?.delays?.[participant] ?? 0);
-    return Number.isFinite(value) ? value : 0;
+    return {
+      tracks: payload?.trackDelays || {},
+      viewers: payload?.viewerDelays || {},
+      profiles: payload?.profiles || {},
+    };
   } catch (err) {
-    console.warn("getExistingDelay failed:", err?.message || err);
-    return 0;
+    console.warn(`getRoomDelays failed (${room}):`, err?.message || err);
+    return { tracks: {}, viewers: {}, profiles: {} };
   }
 }
 
@@ -229,6 +397,11 @@ function egressPathFor(room, filename) {
   return path.posix.join(EGRESS_FILE_BASE, room, filename);
 }
 
+// Identity of the relay the effects-service publishes a participant's delayed tracks as.
+function effectIdentityFor(identity) {
+  return `fx_${identity}`;
+}
+
 function isRecordableParticipant(identity) {
   if (!identity) return false;
   if (identity.startsWith("fx_")) return false;
@@ -237,15 +410,6 @@ function isRecordableParticipant(identity) {
   return identity.startsWith("p_");
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-async function listEgressParticipants(room) {
-  const participants = await roomService.listParticipants(room);
-  return participants.filter((p) => p.identity?.startsWith("EG_"));
-}
-
 async function tagEgressParticipant(room, identity, mode) {
   try {
     const info = await roomService.getParticipant(room, identity);
@@ -260,33 +424,128 @@ async function tagEgressParticipant(room, identity, mode) {
   }
 }
 
-async function tagNewEgressParticipants(room, mode, beforeSet, expectedCount = 1) {
-  const deadline = Date.now() + 5000;
-  while (Date.now() < deadline) {
-    try {
-      const participants = await listEgressParticipants(room);
-      const newOnes = participants.filter((p) => !beforeSet.has(p.identity));
-      if (newOnes.length >= expectedCount) {
-        for (const p of newOnes) {
-          await tagEgressParticipant(room, p.identity, mode);
-        }
-        return newOnes.map((p) => p.identity);
-      }
-    } catch (err) {
-      console.warn("egress tag polling failed:", err.message || err);
+// Remembers what an egress records; tags its participant if it already joined.
+function registerEgress(egressId, entry) {
+  egressIndex.set(egressId, entry);
+  if (pendingEgressTags.has(egressId)) {
+    pendingEgressTags.delete(egressId);
+    tagEgressParticipant(entry.room, egressId, entry.mode);
+  }
+}
+
+// How each recording mode records. Per-participant modes run one egress per slot: the
+// participant (null, participant egress), one of their tracks ("audio" / "video", track egress,
+// stored as published) or their fx_ delay relay ("delayed", participant egress on the relay).
+const RECORDING_MODES = {
+  individual: { perParticipant: true, egress: "participant", slots: [null] },
+  delayed: { perParticipant: true, egress: "participant", slots: [null, "delayed"] },
+  audio: { perParticipant: true, egress: "track", slots: ["audio"] },
+  tracks: { perParticipant: true, egress: "track", slots: ["audio", "video"] },
+  composite: { egress: "composite" },
+  composite_audio: { egress: "composite", audioOnly: true },
+};
+const PER_PARTICIPANT_MODES = Object.keys(RECORDING_MODES).filter((mode) => RECORDING_MODES[mode].perParticipant);
+
+// Slot of a participant's egress: the identity, or `${identity}:${source}` for track egress.
+function egressSlot(identity, source) {
+  return source ? `${identity}:${source}` : identity;
+}
+
+function parseEgressSlot(slot) {
+  const [identity, source = null] = slot.split(":");
+  return { identity, source };
+}
+
+const AUDIO_FILE_TYPES = { ogg: EncodedFileType.OGG, mp3: EncodedFileType.MP3, mp4: EncodedFileType.MP4 };
+// Track egress writes the codec as published, in the container egress picks for it.
+const TRACK_FILE_EXTENSIONS = { "audio/opus": "ogg", "video/vp8": "webm", "video/vp9": "webm", "video/h264": "mp4" };
+const ENCODING_LIMITS = {
+  width: [16, 3840],
+  height: [16, 2160],
+  framerate: [1, 60],
+  videoBitrate: [100, 20000], // kbps
+  audioBitrate: [16, 512], // kbps
+  audioFrequency: [8000, 48000],
+};
+
+// Validates the `encoding` of a start request; returns { encoding } (null for the defaults) or { error }.
+function parseEncoding(mode, raw) {
+  if (raw === undefined || raw === null) return { encoding: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "encoding must be an object" };
+  const { egress, audioOnly } = RECORDING_MODES[mode];
+  if (egress === "track") {
+    return { error: `mode '${mode}' stores tracks as published and takes no encoding options` };
+  }
+  const allowed = audioOnly
+    ? ["fileType", "audioBitrate", "audioFrequency"]
+    : ["preset", "width", "height", "framerate", "videoBitrate", "audioBitrate"];
+  const unknown = Object.keys(raw).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return { error: `unsupported encoding option for mode '${mode}': ${unknown.join(", ")} (allowed: ${allowed.join(", ")})` };
+  }
+
+  const encoding = {};
+  if (raw.preset !== undefined) {
+    if (typeof EncodingOptionsPreset[raw.preset] !== "number") {
+      const presets = Object.keys(EncodingOptionsPreset).filter((key) => Number.isNaN(Number(key)));
+      return { error: `unknown encoding preset; must be one of ${presets.join(", ")}` };
+    }
+    if (Object.keys(raw).length > 1) return { error: "encoding.preset cannot be combined with other options" };
+    encoding.preset = raw.preset;
+  }
+  if (raw.fileType !== undefined) {
+    if (!(raw.fileType in AUDIO_FILE_TYPES)) {
+      return { error: `encoding.fileType must be one of ${Object.keys(AUDIO_FILE_TYPES).join(", ")}` };
     }
-    await sleep(200);
+    encoding.fileType = raw.fileType;
   }
-  console.warn(`egress tag timeout: no ${mode} participant detected`);
-  return [];
+  for (const [key, [min, max]] of Object.entries(ENCODING_LIMITS)) {
+    if (raw[key] === undefined || !allowed.includes(key)) continue;
+    const value = Number(raw[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `encoding.${key} must be an integer between ${min} and ${max}` };
+    }
+    encoding[key] = value;
+  }
+  if ((encoding.width === undefined) !== (encoding.height === undefined)) {
+    return { error: "encoding.width and encoding.height go together" };
+  }
+  return { encoding: Object.keys(encoding).length > 0 ? encoding : null };
+}
+
+// encodingOptions for an egress request. Advanced options left unset keep egress's defaults.
+function egressEncodingOptions(encoding, fallback) {
+  if (encoding?.preset) return EncodingOptionsPreset[encoding.preset];
+  const { fileType, ...options } = encoding || {};
+  return Object.keys(options).length > 0 ? new EncodingOptions(options) : fallback;
 }
 
-async function startParticipantEgress(room, recordingBase, participantIdentity, participantName) {
+// `${recordingBase}_${label}_${name}_${identity}`, the start of every file of a participant.
+async function participantFileBase(recordingBase, participantIdentity, participantName) {
   const safeName = sanitizeFilePart(participantName || participantIdentity);
-  const egressFilepath = egressPathFor(
-    room,
-    `${recordingBase}_${safeName}_${participantIdentity}.mp4`
-  );
+  // Prefix with the invite label (participant code / condition) when there is one.
+  const session = await store.getSession(participantIdentity);
+  const labelPart = session?.label ? `${sanitizeFilePart(session.label, "label")}_` : "";
+  return { base: `${recordingBase}_${labelPart}${safeName}_${participantIdentity}`, label: session?.label || null };
+}
+
+// Returns { egressId, file, label } where `file` is relative to the room's recordings directory.
+// With `delayed`, records the participant's fx_ relay (what the others see and hear) into
+// `..._delayed.mp4`, next to the undelayed `....mp4` of the same recording.
+async function startParticipantEgress(
+  room,
+  recordingBase,
+  participantIdentity,
+  participantName,
+  part = 1,
+  encoding = null,
+  { delayed = false } = {}
+) {
+  const { base, label } = await participantFileBase(recordingBase, participantIdentity, participantName);
+  // Rejoining during the same recording continues in a new file instead of overwriting.
+  const partSuffix = part > 1 ? `_part${part}` : "";
+  const filename = `${base}${delayed ? "_delayed" : ""}${partSuffix}.mp4`;
+  const egressFilepath = egressPathFor(room, filename);
   const fileOutput = new EncodedFileOutput({
     filepath: egressFilepath,
     fileType: EncodedFileType.MP4,
@@ -294,244 +553,2055 @@ async function startParticipantEgress(room, recordingBase, participantIdentity,
 
   const info = await egressClient.startParticipantEgress(
     room,
-    participantIdentity,
+    delayed ? effectIdentityFor(participantIdentity) : participantIdentity,
     { file: fileOutput },
-    { encodingOptions: EncodingOptionsPreset.H264_720P_30 }
+    { encodingOptions: egressEncodingOptions(encoding, EncodingOptionsPreset.H264_720P_30) }
   );
-  return info.egressId || info.egress_id || null;
+  return { egressId: info.egressId || info.egress_id || null, file: filename, label };
 }
 
-function stopIndividualMonitor(room) {
-  const id = individualMonitors.get(room);
-  if (id) {
-    clearInterval(id);
-    individualMonitors.delete(room);
-  }
+// The participant's microphone / camera track, else their first other audio / video track
+// (screen shares are never picked).
+function findSourceTrack(participant, source) {
+  const type = source === "audio" ? TrackType.AUDIO : TrackType.VIDEO;
+  const preferred = source === "audio" ? TrackSource.MICROPHONE : TrackSource.CAMERA;
+  const candidates = (participant?.tracks || []).filter(
+    (t) => t.type === type && t.source !== TrackSource.SCREEN_SHARE && t.source !== TrackSource.SCREEN_SHARE_AUDIO
+  );
+  return candidates.find((t) => t.source === preferred) || candidates[0] || null;
 }
 
-function cleanupEgressJson(room) {
-  const roomDir = path.join(RECORDINGS_DIR, room);
-  if (!fs.existsSync(roomDir)) return;
-  try {
-    const files = fs.readdirSync(roomDir);
-    for (const file of files) {
-      if (/^EG_.*\.json$/i.test(file)) {
-        try {
-          fs.unlinkSync(path.join(roomDir, file));
-        } catch (err) {
-          console.warn(`cleanup failed for ${file}:`, err.message || err);
-        }
-      }
-    }
-  } catch (err) {
-    console.warn("cleanupEgressJson error:", err.message || err);
-  }
+// Track egress for one track (source "audio" | "video"); same return value as startParticipantEgress.
+async function startTrackEgress(room, recordingBase, participantIdentity, participantName, track, source, part = 1) {
+  const { base, label } = await participantFileBase(recordingBase, participantIdentity, participantName);
+  const partSuffix = part > 1 ? `_part${part}` : "";
+  const extension = TRACK_FILE_EXTENSIONS[String(track.mimeType).toLowerCase()] || (source === "audio" ? "ogg" : "webm");
+  const filename = `${base}_${source}${partSuffix}.${extension}`;
+  const info = await egressClient.startTrackEgress(
+    room,
+    new DirectFileOutput({ filepath: egressPathFor(room, filename) }),
+    track.sid
+  );
+  return { egressId: info.egressId || null, file: filename, label };
 }
 
-function cleanExpired() {
-  const t = nowSec();
-  for (const [id, inv] of invites.entries()) {
-    if (inv.exp <= t) invites.delete(id);
-  }
+function manifestPath(room, recordingId) {
+  return path.join(RECORDINGS_DIR, room, `${recordingId}.manifest.json`);
 }
-setInterval(cleanExpired, 60_000).unref();
 
-function requireAdmin(req, res, next) {
-  const key = req.header("x-admin-key");
-  if (!key || key !== ADMIN_KEY) return res.status(401).json({ error: "unauthorized" });
-  next();
+function delayTimelinePath(room, recordingId) {
+  return path.join(RECORDINGS_DIR, room, `${recordingId}.delays.jsonl`);
 }
 
-// Health check endpoint for container startup verification
-app.get("/api/healthz", (req, res) => {
-  res.json({ status: "ok" });
-});
-
-/**
- * ADMIN: create an invite link
- * POST /api/invites
- * body: { role?: "participant" | "moderator", ttlSeconds?: number, maxUses?: number }
- *
- * returns: { inviteUrl, inviteId, room }
- */
-app.post("/api/invites", requireAdmin, (req, res) => {
-  const role = (req.body?.role || "participant").toLowerCase();
-  const ttlSeconds = Number(req.body?.ttlSeconds || INVITE_TTL_SECONDS);
-  let maxUses = Number(req.body?.maxUses || INVITE_MAX_USES);
-  if (Number.isNaN(maxUses)) maxUses = INVITE_MAX_USES;
-  if (maxUses <= 0) maxUses = 0; // 0 = unlimited
+// Name, invite label and role of a participant as written to recording manifests.
+async function manifestParticipant(identity, name) {
+  const session = await store.getSession(identity);
+  return {
+    identity,
+    name: name || session?.name || null,
+    label: session?.label || null,
+    role: session?.role || null,
+  };
+}
 
-  const inviteId = randomId(12);
-  const inviteSecret = randomId(24);
-  const room = DEFAULT_ROOM_NAME;
+// Applies `update(manifest)` to the manifest of every active recording in the room and saves it.
+function updateRoomManifests(room, update) {
+  for (const state of Object.values(recordingState.get(room) || {})) {
+    if (state.status !== "recording" || !state.manifest) continue;
+    update(state.manifest);
+    state.manifest.save();
+  }
+}
 
-  const exp = nowSec() + ttlSeconds;
-  invites.set(inviteId, {
-    secretHash: sha256(inviteSecret),
-    room,
-    role,
-    exp,
-    uses: 0,
-    maxUses,
-  });
+// Adds a delay change to the manifest and delay timeline of every active recording in the room.
+// `delays` is { audioDelayMs, videoDelayMs }; `transition` is what the effects-service applied,
+// { mode, windowMs }. Changes a delay profile made are recorded with source "profile" at the time
+// effects-service applied them.
+async function recordDelayChange(
+  room,
+  identity,
+  delays,
+  by,
+  transition = { mode: "instant", windowMs: 0 },
+  { source = "admin", at = new Date() } = {}
+) {
+  const participant = await manifestParticipant(identity);
+  const { audioDelayMs, videoDelayMs } = delays;
+  for (const state of Object.values(recordingState.get(room) || {})) {
+    if (state.status !== "recording" || !state.manifest) continue;
+    const previous = state.manifest.currentDelays(identity);
+    state.manifest.delayChanged(identity, delays, by, at, transition);
+    state.manifest.save();
+    state.timeline?.record({
+      ts: at.toISOString(),
+      offsetMs: Math.max(0, at.getTime() - Date.parse(state.startedAt)),
+      source,
+      identity,
+      name: participant.name,
+      label: participant.label,
+      delayMs: Math.max(audioDelayMs, videoDelayMs),
+      audioDelayMs,
+      videoDelayMs,
+      previousDelayMs: Math.max(previous.audioDelayMs, previous.videoDelayMs),
+      by,
+      transition: transition.mode,
+      transitionMs: transition.windowMs,
+    });
+  }
+}
 
-  // Your frontend join route: /join/:inviteId?k=...
-  // You will serve the web app at https://meet.example.org
-  const inviteUrl = `${PUBLIC_BASE_URL}/join/${inviteId}?k=${inviteSecret}`;
+// Adds a delay profile started (profile: the definition incl. its seed) or stopped (null) to the
+// manifest and delay timeline of every active recording in the room. The delays it then applies
+// arrive one by one through POST /api/effects/delay-events.
+async function recordDelayProfile(room, identity, profile, by) {
+  const at = new Date();
+  const participant = await manifestParticipant(identity);
+  for (const state of Object.values(recordingState.get(room) || {})) {
+    if (state.status !== "recording" || !state.manifest) continue;
+    state.manifest.delayProfileChanged(identity, profile, by, at);
+    state.manifest.save();
+    state.timeline?.record({
+      ts: at.toISOString(),
+      offsetMs: Math.max(0, at.getTime() - Date.parse(state.startedAt)),
+      source: "admin",
+      identity,
+      name: participant.name,
+      label: participant.label,
+      profile,
+      profileStartedAt: profile ? at.toISOString() : null,
+      by,
+    });
+  }
+}
 
-  res.json({ inviteUrl, inviteId, room, exp, maxUses });
-});
+// Adds a per-viewer delay change (delayMs null: back to the participant's delay) to the manifest
+// and delay timeline of every active recording in the room.
+async function recordViewerDelayChange(room, identity, viewer, delayMs, by) {
+  const at = new Date();
+  const participant = await manifestParticipant(identity);
+  const viewerParticipant = await manifestParticipant(viewer);
+  for (const state of Object.values(recordingState.get(room) || {})) {
+    if (state.status !== "recording" || !state.manifest) continue;
+    const previousDelayMs = state.manifest.currentViewerDelay(identity, viewer);
+    state.manifest.viewerDelayChanged(identity, viewer, delayMs, by, at);
+    state.manifest.save();
+    state.timeline?.record({
+      ts: at.toISOString(),
+      offsetMs: Math.max(0, at.getTime() - Date.parse(state.startedAt)),
+      source: "admin",
+      identity,
+      name: participant.name,
+      label: participant.label,
+      viewer,
+      viewerName: viewerParticipant.name,
+      delayMs,
+      audioDelayMs: delayMs,
+      videoDelayMs: delayMs,
+      previousDelayMs,
+      by,
+    });
+  }
+}
 
-/**
- * CLIENT: exchange invite for LiveKit token
- * POST /api/connection-details
- * body: { inviteId, key, name?, identity? }
- *
- * returns: { url, token, room, identity, role }
- */
-app.post("/api/connection-details", async (req, res) => {
-  try {
-    const { inviteId, key, name, identity: requestedIdentity } = req.body || {};
-    if (!inviteId || !key) return res.status(400).json({ error: "missing inviteId/key" });
+// Stops active recordings for a room; returns [{ recordingId, mode, duration }].
+async function stopRoomRecordings(room, mode = "all") {
+  const roomRecordings = recordingState.get(room);
+  const recordings = [];
+  const stopPromises = [];
+
+  if (roomRecordings) {
+    const stopOneState = (recordMode, state) => {
+      if (state.status !== "recording") return;
+
+      const duration = Date.now() - new Date(state.startedAt).getTime();
+      recordings.push({
+        recordingId: state.recordingId,
+        mode: recordMode,
+        duration,
+      });
 
-    const inv = invites.get(inviteId);
-    if (!inv) return res.status(404).json({ error: "invalid invite" });
+      state.status = "stopped";
+      state.stoppedAt = new Date().toISOString();
+      state.manifest?.finish(state.status, state.stoppedAt);
+      state.manifest?.save();
+
+      if (Array.isArray(state.egressIds)) {
+        for (const egressId of state.egressIds) {
+          stopPromises.push(
+            egressClient
+              .stopEgress(egressId)
+              .catch((err) => console.error(`stopEgress failed for ${egressId}:`, err.message || err))
+          );
+        }
+      }
+    };
 
-    if (inv.exp <= nowSec()) {
-      invites.delete(inviteId);
-      return res.status(410).json({ error: "invite expired" });
+    if (mode === "all") {
+      for (const [recordMode, state] of Object.entries(roomRecordings)) {
+        stopOneState(recordMode, state);
+      }
+    } else if (mode in RECORDING_MODES) {
+      const state = roomRecordings[mode];
+      if (state) stopOneState(mode, state);
     }
+    persistRecordings(room);
+  }
 
-    if (inv.maxUses > 0 && inv.uses >= inv.maxUses) {
-      return res.status(410).json({ error: "invite already used" });
-    }
-    if (sha256(key) !== inv.secretHash) return res.status(403).json({ error: "invalid key" });
+  // Wait for all stopEgress calls to finish (best-effort)
+  if (stopPromises.length > 0) {
+    await Promise.all(stopPromises);
+  }
 
-    const requested = sanitizeIdentity(requestedIdentity);
-    let existingSession = null;
-    if (requested) {
-      existingSession = identitySessions.get(requested);
-      if (!existingSession || existingSession.inviteId !== inviteId) {
-        return res.status(409).json({ error: "identity_revoked" });
-      }
+  // Remove egress-generated JSON sidecars (again on egress_ended, once egress has written them)
+  cleanupEgressJson(room);
+
+  return recordings;
+}
+
+// Rooms shown in the admin UI (GET /api/admin/rooms and the admin event stream).
+async function listAdminRooms() {
+  let rooms = [];
+  try {
+    rooms = await roomService.listRooms();
+  } catch (err) {
+    console.warn("admin/rooms listRooms failed:", err.message || err);
+    rooms = [];
+  }
+  const roomMap = new Map(rooms.map((room) => [room.name, room]));
+  const registered = new Map(await store.listRooms());
+
+  const sessionCounts = new Map();
+  for (const [identity, session] of await store.listSessions()) {
+    if (!session?.room) continue;
+    if (!sessionCounts.has(session.room)) {
+      sessionCounts.set(session.room, new Set());
     }
+    sessionCounts.get(session.room).add(identity);
+  }
 
-    inv.uses += 1;
-    if (requested) {
+  const allRoomNames = new Set([
+    DEFAULT_ROOM_NAME,
+    ...registered.keys(),
+    ...roomMap.keys(),
+    ...sessionCounts.keys(),
+  ]);
+
+  const detailed = await Promise.all(
+    Array.from(allRoomNames).map(async (roomName) => {
+      const room = roomMap.get(roomName);
+      let realParticipantCount = 0;
       try {
-        await roomService.removeParticipant(inv.room, requested);
+        const participants = await roomService.listParticipants(roomName);
+        realParticipantCount = participants.filter((p) =>
+          isRecordableParticipant(p.identity)
+        ).length;
       } catch (err) {
-        console.warn("reclaim identity removeParticipant error:", err.message || err);
+        console.warn("admin/rooms listParticipants failed:", err.message || err);
       }
-    }
-
-    const identity = requested || `p_${randomId(10)}`;
-    const displayName = typeof name === "string" && name.trim() ? name.trim().slice(0, 48) : undefined;
-    const showSelf = existingSession?.showSelf ?? true;
-
-    const at = new AccessToken(LIVEKIT_API_KEY, LIVEKIT_API_SECRET, {
-      identity,
-      name: displayName,
-      ttl: 60 * 15,
-    });
 
-    at.addGrant({
-      room: inv.room,
-      roomJoin: true,
-      canPublish: true,
-      canSubscribe: true,
-      canPublishData: true,
-    });
+      const sessionCount = sessionCounts.get(roomName)?.size || 0;
+      const logicalCount = Math.max(realParticipantCount, sessionCount);
+      const isDefault = roomName === DEFAULT_ROOM_NAME;
+      const open = isDefault || registered.has(roomName);
 
-    const token = await at.toJwt(); // ✅ IMPORTANT
+      return {
+        name: roomName,
+        participantCount: room?.numParticipants ?? sessionCount,
+        realParticipantCount: logicalCount,
+        createdAt: registered.get(roomName)?.createdAt ||
+          (room?.creationTime ? new Date(Number(room.creationTime) * 1000).toISOString() : null),
+        isDefault,
+        open,
+      };
+    })
+  );
 
-    identitySessions.set(identity, { inviteId, room: inv.room, name: displayName, showSelf });
+  return detailed.filter((room) => room.open || room.realParticipantCount > 0);
+}
 
-    try {
-      const existingDelay = await getExistingDelay(inv.room, identity);
-      await effectsServiceRequest("/effects/delay", {
-        method: "POST",
-        body: JSON.stringify({
-          room: inv.room,
-          participant: identity,
-          delayMs: existingDelay,
-          keepAlive: true,
-          participantName: displayName,
-        }),
-      });
-    } catch (err) {
-      console.warn("delay keepAlive error:", err.message || err);
+// LiveKit participants plus offline identity sessions for a room.
+async function listRoomParticipants(roomName) {
+  let participants = [];
+  try {
+    participants = await roomService.listParticipants(roomName);
+  } catch (err) {
+    const message = err?.message || "";
+    const notFound = err?.code === 404 || /not found/i.test(message);
+    if (!notFound) {
+      throw err;
     }
+    participants = [];
+  }
+  const byIdentity = new Map(participants.map((p) => [p.identity, p]));
+  const sessions = new Map(await store.listSessions());
+
+  const formatted = participants.map((p) => {
+    const session = sessions.get(p.identity);
+    const showSelf = parseBooleanAttr(p?.attributes?.showSelf, session?.showSelf ?? true);
+    return {
+      identity: p.identity,
+      name: p.name,
+      label: session?.label || null,
+      state: p.state,
+      present: true,
+      placeholder: false,
+      showSelf,
+      tracks: p.tracks.map((t) => ({
+        type: t.type,
+        sid: t.sid,
+        muted: t.muted,
+      })),
+    };
+  });
 
-    updateParticipantShowSelfWithRetry(inv.room, identity, showSelf).catch((err) => {
-      console.warn("showSelf sync error:", err?.message || err);
-    });
-
-    res.json({
-      url: LIVEKIT_URL,          // http(s)
-      wsUrl: toWsUrl(LIVEKIT_URL),
-      token,
-      room: inv.room,
+  for (const [identity, session] of sessions.entries()) {
+    if (session.room !== roomName) continue;
+    if (byIdentity.has(identity)) continue;
+    formatted.push({
       identity,
-      role: inv.role,
+      name: session.name,
+      label: session.label || null,
+      state: "offline",
+      present: false,
+      placeholder: true,
+      showSelf: session.showSelf ?? true,
+      tracks: [],
     });
-
-  } catch (err) {
-    console.error("connection-details error:", err);
-    res.status(500).json({ error: "internal_error" });
   }
-});
-
-/**
- * CLIENT: leave session and remove effect placeholder
- * POST /api/leave
- * body: { inviteId, key, identity }
- */
-app.post("/api/leave", async (req, res) => {
-  try {
-    const { inviteId, key, identity } = req.body || {};
-    if (!inviteId || !key || !identity) {
-      return res.status(400).json({ error: "missing inviteId/key/identity" });
-    }
 
-    const inv = invites.get(inviteId);
-    if (!inv) return res.status(404).json({ error: "invalid invite" });
+  return formatted;
+}
 
-    if (inv.exp <= nowSec()) {
-      invites.delete(inviteId);
-      return res.status(410).json({ error: "invite expired" });
-    }
+function formatRecordingStatus(room) {
+  const recordings = recordingState.get(room) || {};
+  return Object.entries(recordings).map(([mode, state]) => {
+    const tracks = egressTracks(state);
+    return {
+      mode,
+      recordingId: state.recordingId,
+      status: state.status,
+      health: recordingHealth(state, tracks),
+      error: state.error || null,
+      encoding: state.encoding || null,
+      startedAt: state.startedAt,
+      stoppedAt: state.stoppedAt,
+      tracks,
+    };
+  });
+}
 
-    if (sha256(key) !== inv.secretHash) return res.status(403).json({ error: "invalid key" });
+const FAILED_TRACK_STATUSES = new Set(["failed", "aborted", "limit_reached"]);
 
-    const session = identitySessions.get(identity);
-    if (!session || session.inviteId !== inviteId) {
-      return res.status(403).json({ error: "unauthorized" });
+// Latest egress per slot (or the composite egress): [{ egressId, identity, source, status, error, retryAt }].
+function egressTracks(state) {
+  const latest = new Map();
+  for (const [egressId, record] of Object.entries(state.egress || {})) {
+    latest.set(egressSlot(record.identity ?? "", record.source), { egressId, ...record });
+  }
+  return [...latest.values()];
+}
+
+// ok | starting | degraded (some participant egress failed) | failed; the lifecycle status otherwise.
+function recordingHealth(state, tracks) {
+  if (state.status !== "recording") return state.status;
+  const failed = tracks.filter((t) => FAILED_TRACK_STATUSES.has(t.status)).length;
+  if (failed > 0) return failed === tracks.length ? "failed" : "degraded";
+  if (tracks.some((t) => t.status === "starting")) return "starting";
+  return "ok";
+}
+
+async function checkServiceHealth() {
+  const health = {
+    effectsService: { ok: false, error: null, ms: null },
+    livekit: { ok: false, error: null },
+  };
+
+  const start = Date.now();
+  try {
+    const r = await fetchWithTimeout(`${EFFECTS_SERVICE_URL}/healthz`, {}, 3000);
+    health.effectsService.ok = r.ok;
+    if (!r.ok) {
+      health.effectsService.error = `status ${r.status}`;
+    }
+  } catch (err) {
+    health.effectsService.error = err?.message || String(err);
+  } finally {
+    health.effectsService.ms = Date.now() - start;
+  }
+
+  try {
+    await roomService.listRooms();
+    health.livekit.ok = true;
+  } catch (err) {
+    health.livekit.error = err?.message || String(err);
+  }
+
+  health.disk = await checkDiskHealth();
+  return health;
+}
+
+async function checkDiskHealth() {
+  const space = await getDiskSpace();
+  if (!space) return { ok: false, warning: true, error: "cannot read free disk space" };
+  const minFreeBytes = RECORDING_MIN_FREE_GB * GB;
+  return {
+    ok: space.freeBytes >= minFreeBytes,
+    warning: space.freeBytes < Math.max(minFreeBytes, DISK_WARN_FREE_GB * GB),
+    error: null,
+    ...space,
+    recordingsBytes: cachedRecordingsBytes(),
+    minFreeBytes,
+  };
+}
+
+// Total size of the recordings on disk for the health check (null until the first scan). Scanning
+// every file takes a while on a full disk, so health polls only read this cache; it is refreshed
+// in the background when recordings start, end or are deleted, and when older than a minute
+// (files grow while recording).
+const RECORDINGS_BYTES_MAX_AGE_MS = 60_000;
+const recordingsBytesCache = { bytes: null, at: 0, scan: null, stale: false };
+
+function cachedRecordingsBytes() {
+  if (Date.now() - recordingsBytesCache.at > RECORDINGS_BYTES_MAX_AGE_MS) refreshRecordingsBytes();
+  return recordingsBytesCache.bytes;
+}
+
+// Starts a scan, or another one after the running scan when files changed meanwhile.
+function refreshRecordingsBytes() {
+  const cache = recordingsBytesCache;
+  if (cache.scan) {
+    cache.stale = true;
+    return cache.scan;
+  }
+  cache.scan = (async () => {
+    do {
+      cache.stale = false;
+      try {
+        cache.bytes = await sumRecordingsBytes();
+      } catch (err) {
+        console.warn("recordings size scan failed:", err?.message || err);
+      }
+      cache.at = Date.now();
+    } while (cache.stale);
+    cache.scan = null;
+  })();
+  return cache.scan;
+}
+
+async function sumRecordingsBytes() {
+  let total = 0;
+  const rooms = await fs.promises.readdir(RECORDINGS_DIR).catch(() => []);
+  for (const room of rooms) {
+    const roomName = sanitizeRoomName(room);
+    if (!roomName) continue;
+    const names = await fs.promises.readdir(path.join(RECORDINGS_DIR, roomName)).catch(() => []);
+    for (const name of names) {
+      if (!RECORDING_FILE_RE.test(name) || name.endsWith(".tmp")) continue;
+      const filePath = resolveRecordingFile(roomName, name);
+      const stat = filePath && (await fs.promises.stat(filePath).catch(() => null));
+      if (stat?.isFile()) total += stat.size;
+    }
+  }
+  return total;
+}
+
+// Admin event stream (GET /api/admin/events). Each client follows one room and gets
+// "participants", "recording", "delays" and "rooms" events when something changes, plus
+// "health" whenever the service health check result changes.
+
+const adminEventClients = new Set(); // { res, room }
+const pendingAdminUpdates = new Map(); // room -> Set(kind)
+let adminUpdateTimer = null;
+let healthMonitor = null;
+let lastHealthJson = "";
+
+function sendAdminEvent(client, type, data) {
+  if (client.res.destroyed) return;
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function buildAdminEvent(room, kind) {
+  if (kind === "participants") return { room, participants: await listRoomParticipants(room) };
+  if (kind === "recording") return { room, recordings: formatRecordingStatus(room) };
+  if (kind === "delays") {
+    const payload = await effectsServiceRequest(`/effects/delay/status?room=${encodeURIComponent(room)}`, {
+      method: "GET",
+    });
+    return {
+      room,
+      delays: payload?.delays || {},
+      trackDelays: payload?.trackDelays || {},
+      viewerDelays: payload?.viewerDelays || {},
+      effectiveDelays: payload?.effectiveDelays || {},
+      profiles: payload?.profiles || {},
+    };
+  }
+  if (kind === "rooms") return { rooms: await listAdminRooms() };
+  return null;
+}
+
+async function flushAdminUpdates() {
+  adminUpdateTimer = null;
+  const pending = new Map(pendingAdminUpdates);
+  pendingAdminUpdates.clear();
+
+  // Room list changes go to everyone, regardless of the room they follow.
+  let roomsEvent = null;
+  if ([...pending.values()].some((kinds) => kinds.has("rooms"))) {
+    try {
+      roomsEvent = await buildAdminEvent(null, "rooms");
+    } catch (err) {
+      console.warn("admin events rooms update failed:", err?.message || err);
+    }
+  }
+
+  for (const client of adminEventClients) {
+    if (roomsEvent) sendAdminEvent(client, "rooms", roomsEvent);
+  }
+
+  for (const [room, kinds] of pending) {
+    if (!room) continue;
+    const clients = [...adminEventClients].filter((client) => client.room === room);
+    if (clients.length === 0) continue;
+    for (const kind of kinds) {
+      if (kind === "rooms") continue;
+      try {
+        const data = await buildAdminEvent(room, kind);
+        for (const client of clients) sendAdminEvent(client, kind, data);
+      } catch (err) {
+        console.warn(`admin events ${kind} update failed (${room}):`, err?.message || err);
+      }
+    }
+  }
+}
+
+/**
+ * Queues admin event-stream updates for a room; bursts (e.g. a webhook plus the route
+ * that caused it) are coalesced into one update per kind.
+ * kinds: "participants" | "recording" | "delays" | "rooms"
+ */
+function notifyAdmins(room, ...kinds) {
+  if (adminEventClients.size === 0) return;
+  const key = room || "";
+  if (!pendingAdminUpdates.has(key)) pendingAdminUpdates.set(key, new Set());
+  for (const kind of kinds) pendingAdminUpdates.get(key).add(kind);
+  if (!adminUpdateTimer) {
+    adminUpdateTimer = setTimeout(() => {
+      flushAdminUpdates().catch((err) => console.error("admin events flush error:", err));
+    }, 200);
+  }
+}
+
+async function pollHealthForAdmins() {
+  const health = await checkServiceHealth();
+  const json = JSON.stringify({ ...health, effectsService: { ...health.effectsService, ms: null } });
+  if (json === lastHealthJson) return;
+  lastHealthJson = json;
+  for (const client of adminEventClients) sendAdminEvent(client, "health", health);
+}
+
+// Health is polled server-side, and only while someone is watching.
+function updateHealthMonitor() {
+  if (adminEventClients.size > 0 && !healthMonitor) {
+    healthMonitor = setInterval(() => {
+      pollHealthForAdmins().catch((err) => console.warn("health monitor error:", err?.message || err));
+    }, 10_000);
+  } else if (adminEventClients.size === 0 && healthMonitor) {
+    clearInterval(healthMonitor);
+    healthMonitor = null;
+    lastHealthJson = "";
+  }
+}
+
+// LiveKit webhooks (participant_joined/left, track_published, egress_*, room_finished)
+// drive late-joiner recordings, egress tagging, self-view sync and recording state.
+
+const FAILED_EGRESS_STATUSES = new Set([
+  EgressStatus.EGRESS_FAILED,
+  EgressStatus.EGRESS_ABORTED,
+  EgressStatus.EGRESS_LIMIT_REACHED,
+]);
+
+// Starts the egress someone who joins (or rejoins, or publishes a track) during a
+// per-participant recording still needs.
+async function recordLateParticipant(room, identity, name) {
+  for (const mode of PER_PARTICIPANT_MODES) {
+    const state = recordingState.get(room)?.[mode];
+    if (state?.status === "recording") await recordParticipantSlots(room, mode, state, identity, name);
+  }
+}
+
+// Starts egress for each slot of `identity` the recording does not cover yet. Track egress
+// needs a published track (else it starts on track_published), relay egress a connected
+// fx_ relay (else it starts when the relay joins).
+async function recordParticipantSlots(room, mode, state, identity, name) {
+  const { egress, slots } = RECORDING_MODES[mode];
+  let participant = null;
+  if (egress === "track") {
+    participant = await roomService.getParticipant(room, identity).catch(() => null);
+    if (!participant) return;
+  }
+
+  for (const source of slots) {
+    const slot = egressSlot(identity, source);
+    if (state.participants.has(slot)) continue;
+    // Gave up after repeated failures; a rejoin (participant_joined) clears the count.
+    if ((state.failures?.[slot] || 0) > EGRESS_MAX_RETRIES) continue;
+    const track = egress === "track" ? findSourceTrack(participant, source) : null;
+    if (egress === "track" && !track) continue;
+    if (source === "delayed" && !(await roomService.getParticipant(room, effectIdentityFor(identity)).catch(() => null))) {
+      continue;
+    }
+
+    // Claim the slot before awaiting so duplicate events do not start two egresses.
+    state.participants.set(slot, null);
+    const part = (state.parts.get(slot) || 0) + 1;
+    try {
+      const { egressId, file, label } = track
+        ? await startTrackEgress(room, state.recordingId, identity, name, track, source, part)
+        : await startParticipantEgress(room, state.recordingId, identity, name, part, state.encoding, {
+            delayed: source === "delayed",
+          });
+      if (!egressId) {
+        state.participants.delete(slot);
+        continue;
+      }
+      state.participants.set(slot, egressId);
+      state.parts.set(slot, part);
+      state.egressIds.push(egressId);
+      registerEgress(egressId, { room, mode, recordingId: state.recordingId, identity, ...(source ? { source } : {}) });
+      trackEgress(room, mode, state, egressId, { identity, source });
+      persistRecordings(room);
+      if (state.manifest) {
+        state.manifest.participantJoined(await manifestParticipant(identity, name));
+        state.manifest.addEgress({
+          egressId,
+          kind: track ? "track" : "participant",
+          identity,
+          name,
+          label,
+          source,
+          file,
+          part,
+        });
+        state.manifest.save();
+      }
+      console.log(`Recording late participant ${slot} in ${room} (${mode}, egress ${egressId}, part ${part})`);
+    } catch (err) {
+      state.participants.delete(slot);
+      console.error(`late participant egress failed (${slot}, ${mode}):`, err.message || err);
+      scheduleEgressRetry(room, state, slot, err.message || String(err));
+    }
+  }
+}
+
+function egressStatusName(status) {
+  return (EgressStatus[status] || "unknown").replace(/^EGRESS_/, "").toLowerCase();
+}
+
+// Per-egress status of a recording, for the admin UI:
+// state.egress[egressId] = { identity, source, status, error, startedAt, endedAt, retryAt }
+// status: starting -> active -> complete | failed | aborted | limit_reached
+function trackEgress(room, mode, state, egressId, { identity = null, source = null, status = "starting" } = {}) {
+  state.egress ||= {};
+  state.egress[egressId] = {
+    identity,
+    source,
+    status,
+    error: null,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    retryAt: null,
+  };
+  if (status === "starting" && EGRESS_START_TIMEOUT_SECONDS > 0) {
+    const timer = setTimeout(() => onEgressStartTimeout(room, mode, egressId), EGRESS_START_TIMEOUT_SECONDS * 1000);
+    timer.unref?.();
+    egressStartTimers.set(egressId, timer);
+  }
+}
+
+function clearEgressStartTimer(egressId) {
+  clearTimeout(egressStartTimers.get(egressId));
+  egressStartTimers.delete(egressId);
+}
+
+// egress_started / egress_updated: the egress is writing once it reports EGRESS_ACTIVE.
+function onEgressUpdated(info) {
+  const entry = egressIndex.get(info.egressId);
+  const state = entry && recordingState.get(entry.room)?.[entry.mode];
+  const record = state?.recordingId === entry.recordingId ? state.egress?.[info.egressId] : null;
+  if (!record || record.status !== "starting" || info.status !== EgressStatus.EGRESS_ACTIVE) return;
+  record.status = "active";
+  clearEgressStartTimer(info.egressId);
+  if (entry.identity && state.failures) delete state.failures[egressSlot(entry.identity, entry.source)];
+  persistRecordings(entry.room);
+}
+
+function onEgressStartTimeout(room, mode, egressId) {
+  egressStartTimers.delete(egressId);
+  const state = recordingState.get(room)?.[mode];
+  const record = state?.egress?.[egressId];
+  if (!record || record.status !== "starting" || state.status !== "recording") return;
+  egressClient
+    .stopEgress(egressId)
+    .catch((err) => console.warn(`stopEgress after start timeout failed (${egressId}):`, err.message || err));
+  onEgressFailed(room, mode, state, egressId, `egress did not become active within ${EGRESS_START_TIMEOUT_SECONDS}s`);
+  notifyAdmins(room, "recording");
+}
+
+// A recording's egress failed: a composite recording fails with it, a participant's egress is retried.
+function onEgressFailed(room, mode, state, egressId, error) {
+  const record = state.egress?.[egressId];
+  if (record) {
+    record.status = record.status === "starting" || record.status === "active" ? "failed" : record.status;
+    record.error = error;
+    record.endedAt ||= new Date().toISOString();
+  }
+  console.warn(`egress ${egressId} failed (${room}, ${mode}): ${error}`);
+  audit.record("recording.egress_failed", {
+    room,
+    actor: { kind: "livekit", id: egressId },
+    target: state.recordingId,
+    details: { mode, identity: record?.identity || null, error },
+  });
+
+  if (!RECORDING_MODES[mode]?.perParticipant) {
+    state.status = "failed";
+    state.error = error;
+    state.stoppedAt = new Date().toISOString();
+    state.manifest?.finish(state.status, state.stoppedAt);
+    state.manifest?.save();
+    persistRecordings(room);
+    return;
+  }
+
+  const slot = record?.identity ? egressSlot(record.identity, record.source) : null;
+  if (!slot || state.participants.get(slot) !== egressId) {
+    persistRecordings(room);
+    return;
+  }
+  state.participants.delete(slot);
+  scheduleEgressRetry(room, state, slot, error);
+}
+
+function scheduleEgressRetry(room, state, slot, error) {
+  const { identity } = parseEgressSlot(slot);
+  state.failures ||= {};
+  const failures = (state.failures[slot] || 0) + 1;
+  state.failures[slot] = failures;
+  const record = latestEgressRecord(state, slot);
+  if (failures > EGRESS_MAX_RETRIES) {
+    console.warn(`giving up recording ${slot} in ${room} after ${failures} failures: ${error}`);
+    if (record) record.retryAt = null;
+    persistRecordings(room);
+    return;
+  }
+  const delayMs = EGRESS_RETRY_DELAY_SECONDS * 1000 * failures;
+  if (record) record.retryAt = new Date(Date.now() + delayMs).toISOString();
+  persistRecordings(room);
+  setTimeout(async () => {
+    if (record) record.retryAt = null;
+    try {
+      const current = await roomService.getParticipant(room, identity);
+      if (current) await recordLateParticipant(room, identity, current.name);
+    } catch {
+      // Left the room meanwhile; participant_joined starts the next part.
+    }
+    notifyAdmins(room, "recording");
+  }, delayMs).unref?.();
+}
+
+function latestEgressRecord(state, slot) {
+  let latest = null;
+  for (const record of Object.values(state.egress || {})) {
+    if (record.identity && egressSlot(record.identity, record.source) === slot) latest = record;
+  }
+  return latest;
+}
+
+async function onParticipantJoined(room, participant) {
+  const { identity } = participant;
+  if (identity.startsWith("EG_")) {
+    const entry = egressIndex.get(identity);
+    if (entry) {
+      await tagEgressParticipant(room, identity, entry.mode);
+    } else {
+      pendingEgressTags.set(identity, room);
+    }
+    return;
+  }
+
+  if (identity.startsWith("fx_")) {
+    // A delay relay (re)connected: record it for "delayed" recordings, named after its source.
+    // Relays for per-viewer delays (fx_<identity>@<ms>) are not recorded.
+    if (identity.includes("@")) return;
+    const sourceIdentity = identity.slice("fx_".length);
+    if (isRecordableParticipant(sourceIdentity) && recordingState.get(room)?.delayed?.status === "recording") {
+      const source = await roomService.getParticipant(room, sourceIdentity).catch(() => null);
+      if (source) await recordLateParticipant(room, sourceIdentity, source.name);
+    }
+    return;
+  }
+
+  const session = await store.getSession(identity);
+  if (session) {
+    audit.record("participant.connected", {
+      room,
+      actor: participantActor(identity),
+      details: { name: participant.name || null },
+    });
+    if (session.role !== "observer") {
+      updateParticipantShowSelf(room, identity, session.showSelf ?? true).catch((err) => {
+        console.warn(`showSelf sync error (${identity}):`, err?.message || err);
+      });
+    }
+  }
+
+  if (isRecordableParticipant(identity)) {
+    // A (re)join is a fresh start for an identity whose recording kept failing.
+    for (const mode of PER_PARTICIPANT_MODES) {
+      const failures = recordingState.get(room)?.[mode]?.failures || {};
+      for (const slot of Object.keys(failures)) {
+        if (parseEgressSlot(slot).identity === identity) delete failures[slot];
+      }
+    }
+    const entry = await manifestParticipant(identity, participant.name);
+    updateRoomManifests(room, (manifest) => manifest.participantJoined(entry));
+    await recordLateParticipant(room, identity, participant.name);
+  }
+}
+
+async function onParticipantLeft(room, participant) {
+  const { identity } = participant;
+  if (identity.startsWith("EG_")) {
+    pendingEgressTags.delete(identity);
+    return;
+  }
+  if (await store.getSession(identity)) {
+    audit.record("participant.disconnected", { room, actor: participantActor(identity) });
+  }
+  if (isRecordableParticipant(identity)) {
+    updateRoomManifests(room, (manifest) => manifest.participantLeft(identity));
+  }
+}
+
+async function onEgressEnded(info) {
+  const entry = egressIndex.get(info.egressId);
+  if (!entry) return;
+  egressIndex.delete(info.egressId);
+  clearEgressStartTimer(info.egressId);
+  cleanupEgressJson(entry.room);
+  refreshRecordingsBytes();
+
+  const state = recordingState.get(entry.room)?.[entry.mode];
+  if (!state || state.recordingId !== entry.recordingId) return;
+
+  const record = state.egress?.[info.egressId];
+  // Already failed (start timeout) before LiveKit reported the end.
+  const alreadyFailed = record?.status === "failed";
+  const failed = alreadyFailed || FAILED_EGRESS_STATUSES.has(info.status);
+  if (record && !alreadyFailed) {
+    record.status = egressStatusName(info.status);
+    record.error = info.error || null;
+    record.endedAt = new Date().toISOString();
+  }
+
+  // Also after a stop: the file size and duration are only known once the egress ends.
+  state.manifest?.egressEnded(info.egressId, {
+    status: alreadyFailed ? "failed" : egressStatusName(info.status),
+    error: alreadyFailed ? record.error : info.error,
+    fileResults: info.fileResults,
+  });
+  if (state.status !== "recording") {
+    state.manifest?.save();
+    persistRecordings(entry.room);
+    return;
+  }
+
+  if (failed && !alreadyFailed) {
+    onEgressFailed(entry.room, entry.mode, state, info.egressId, info.error || egressStatusName(info.status));
+    return;
+  }
+
+  if (!RECORDING_MODES[entry.mode]?.perParticipant) {
+    // Composite egress only ends by itself when it fails or the room goes away.
+    state.status = "stopped";
+    state.stoppedAt = new Date().toISOString();
+    state.manifest?.finish(state.status, state.stoppedAt);
+    state.manifest?.save();
+    persistRecordings(entry.room);
+    return;
+  }
+  state.manifest?.save();
+
+  // A participant egress ends when its participant leaves (a track egress also when the track
+  // is unpublished); a rejoin or republish records a new part.
+  const slot = egressSlot(entry.identity, entry.source);
+  if (state.participants.get(slot) !== info.egressId) {
+    persistRecordings(entry.room);
+    return;
+  }
+  state.participants.delete(slot);
+  persistRecordings(entry.room);
+  try {
+    const current = await roomService.getParticipant(entry.room, entry.identity);
+    // Still (or again) in the room, e.g. they rejoined quickly.
+    if (current) await recordLateParticipant(entry.room, entry.identity, current.name);
+  } catch {
+    // Not in the room; participant_joined starts the next part.
+  }
+}
+
+function onRoomFinished(room) {
+  const roomRecordings = recordingState.get(room) || {};
+  for (const [mode, state] of Object.entries(roomRecordings)) {
+    if (state.status !== "recording") continue;
+    state.status = "stopped";
+    state.stoppedAt = new Date().toISOString();
+    state.manifest?.finish(state.status, state.stoppedAt);
+    state.manifest?.save();
+    audit.record("recording.stopped", {
+      room,
+      actor: { kind: "livekit", id: "room_finished" },
+      target: state.recordingId,
+      details: { mode },
+    });
+  }
+  if (recordingState.has(room)) persistRecordings(room);
+  // egressIndex entries stay until their egress_ended arrives, so manifests get the file results.
+  for (const [egressId, egressRoom] of pendingEgressTags) {
+    if (egressRoom === room) pendingEgressTags.delete(egressId);
+  }
+  cleanupEgressJson(room);
+  audit.record("room.finished", { room, actor: { kind: "livekit", id: "room_finished" } });
+}
+
+// Which admin event-stream updates each webhook triggers.
+const WEBHOOK_ADMIN_UPDATES = {
+  participant_joined: ["participants", "rooms"],
+  participant_left: ["participants", "rooms"],
+  track_published: ["participants"],
+  track_unpublished: ["participants"],
+  egress_started: ["recording"],
+  egress_updated: ["recording"],
+  egress_ended: ["recording"],
+  room_finished: ["participants", "recording", "rooms"],
+};
+
+async function handleLiveKitWebhook(event) {
+  const room = event.room?.name || event.egressInfo?.roomName || "";
+  const participant = event.participant;
+
+  switch (event.event) {
+    case "participant_joined":
+      if (participant?.identity) await onParticipantJoined(room, participant);
+      break;
+    case "participant_left":
+      if (participant?.identity) await onParticipantLeft(room, participant);
+      break;
+    case "track_published":
+      // Covers participants whose join was missed (e.g. recording started in between).
+      if (isRecordableParticipant(participant?.identity)) {
+        await recordLateParticipant(room, participant.identity, participant.name);
+      }
+      break;
+    case "egress_started":
+    case "egress_updated":
+      if (event.egressInfo && egressIndex.has(event.egressInfo.egressId)) onEgressUpdated(event.egressInfo);
+      break;
+    case "egress_ended":
+      if (event.egressInfo) await onEgressEnded(event.egressInfo);
+      break;
+    case "room_finished":
+      if (room) onRoomFinished(room);
+      break;
+    default:
+      break;
+  }
+
+  const updates = WEBHOOK_ADMIN_UPDATES[event.event];
+  if (updates && room) notifyAdmins(room, ...updates);
+}
+
+// Recording state is mirrored to the store (kind "recording", one entry per room), so a
+// restarted token-service still knows its egress jobs and can stop them. At startup the
+// saved state is restored and reconciled with LiveKit's list of active egress.
+
+const STOPPED_RECORDING_KEEP_SECONDS = 60 * 60 * 24;
+
+function persistRecordings(room) {
+  const roomRecordings = recordingState.get(room) || {};
+  const saved = {};
+  for (const [mode, state] of Object.entries(roomRecordings)) {
+    saved[mode] = {
+      recordingId: state.recordingId,
+      startedAt: state.startedAt,
+      stoppedAt: state.stoppedAt || null,
+      status: state.status,
+      egressIds: state.egressIds,
+      participants: state.participants ? [...state.participants] : undefined,
+      parts: state.parts ? [...state.parts] : undefined,
+      egress: state.egress,
+      failures: state.failures,
+      error: state.error,
+      encoding: state.encoding,
+    };
+  }
+  const active = Object.values(roomRecordings).some((state) => state.status === "recording");
+  store
+    .saveRecordings(room, saved, active ? undefined : STOPPED_RECORDING_KEEP_SECONDS)
+    .catch((err) => console.error(`persist recording state failed (${room}):`, err?.message || err));
+}
+
+function restoreRecordingState(room, mode, saved) {
+  const state = {
+    ...saved,
+    participants: RECORDING_MODES[mode]?.perParticipant ? new Map(saved.participants || []) : undefined,
+    parts: RECORDING_MODES[mode]?.perParticipant ? new Map(saved.parts || []) : undefined,
+    manifest: RecordingManifest.load(manifestPath(room, saved.recordingId)),
+    timeline: new DelayTimeline(delayTimelinePath(room, saved.recordingId)),
+  };
+  if (state.status !== "recording") return state;
+  // Egress still considered running; reconcileRecordings() checks them against LiveKit.
+  const live = state.participants
+    ? [...state.participants].filter(([, egressId]) => egressId)
+    : state.egressIds.map((egressId) => [null, egressId]);
+  for (const [slot, egressId] of live) {
+    const { identity, source } = slot ? parseEgressSlot(slot) : {};
+    registerEgress(egressId, {
+      room,
+      mode,
+      recordingId: state.recordingId,
+      ...(identity ? { identity } : {}),
+      ...(source ? { source } : {}),
+    });
+  }
+  return state;
+}
+
+// Recording mode of an egress not started in this process, from its request.
+function adoptedEgressMode(room, recordingId, info, filename) {
+  switch (info.request?.case) {
+    case "participant": {
+      const known = ["individual", "delayed"].find(
+        (mode) => recordingState.get(room)?.[mode]?.recordingId === recordingId
+      );
+      return known || (/_delayed(_part\d+)?\.mp4$/.test(filename) ? "delayed" : "individual");
+    }
+    case "roomComposite":
+      return info.request.value.audioOnly ? "composite_audio" : "composite";
+    case "track": {
+      const known = ["audio", "tracks"].find((mode) => recordingState.get(room)?.[mode]?.recordingId === recordingId);
+      // Audio files alone cannot tell "tracks" from "audio"; the first video file settles it.
+      return known || (/_video(_part\d+)?\.\w+$/.test(filename) ? "tracks" : "audio");
+    }
+    default:
+      return null;
+  }
+}
+
+// Reattaches an active egress that no saved state knows about, going by its file name
+// (`${recordingId}_...`), e.g. after running with the in-memory store.
+async function adoptEgress(info) {
+  const request = info.request?.value;
+  const filepath =
+    request?.fileOutputs?.[0]?.filepath ||
+    (request?.output?.case === "file" ? request.output.value.filepath : "") ||
+    info.fileResults?.[0]?.filename ||
+    "";
+  const filename = path.posix.basename(filepath);
+  const recordingId = RECORDING_FILE_RE.exec(filename)?.[1];
+  const room = sanitizeRoomName(info.roomName);
+  const mode = recordingId && room ? adoptedEgressMode(room, recordingId, info, filename) : null;
+  if (!mode) {
+    console.warn(`not reattaching egress ${info.egressId} (${info.roomName}): not started by token-service`);
+    return;
+  }
+
+  if (!recordingState.has(room)) recordingState.set(room, {});
+  let state = recordingState.get(room)[mode];
+  if (state?.recordingId !== recordingId) {
+    if (state?.status === "recording") {
+      console.warn(`not reattaching egress ${info.egressId}: ${room} already records ${state.recordingId} (${mode})`);
+      return;
+    }
+    const manifest = RecordingManifest.load(manifestPath(room, recordingId));
+    state = {
+      recordingId,
+      startedAt: manifest?.data.startedAt || new Date(Number(info.startedAt) / 1e6).toISOString(),
+      status: "recording",
+      egressIds: [],
+      participants: RECORDING_MODES[mode].perParticipant ? new Map() : undefined,
+      parts: RECORDING_MODES[mode].perParticipant ? new Map() : undefined,
+      manifest,
+      timeline: new DelayTimeline(delayTimelinePath(room, recordingId)),
+    };
+    recordingState.get(room)[mode] = state;
+  }
+  state.status = "recording";
+  state.stoppedAt = null;
+  if (!state.egressIds.includes(info.egressId)) state.egressIds.push(info.egressId);
+
+  let identity;
+  let source;
+  if (info.request.case === "participant") {
+    identity = request.identity;
+    if (identity.startsWith("fx_")) {
+      identity = identity.slice("fx_".length);
+      source = "delayed";
+    }
+  } else if (info.request.case === "track") {
+    // Track egress requests only name the track; find who publishes it.
+    const participants = await roomService.listParticipants(room).catch(() => []);
+    identity = participants.find((p) => (p.tracks || []).some((t) => t.sid === request.trackId))?.identity;
+    source = /_video(_part\d+)?\.\w+$/.test(filename) ? "video" : "audio";
+  }
+  if (identity) {
+    const slot = egressSlot(identity, source);
+    const part = Number(/_part(\d+)\.\w+$/.exec(filename)?.[1] || 1);
+    state.participants.set(slot, info.egressId);
+    state.parts.set(slot, Math.max(part, state.parts.get(slot) || 0));
+  }
+  registerEgress(info.egressId, {
+    room,
+    mode,
+    recordingId,
+    ...(identity ? { identity } : {}),
+    ...(identity && source ? { source } : {}),
+  });
+  if (!state.egress?.[info.egressId]) {
+    const status = info.status === EgressStatus.EGRESS_ACTIVE ? "active" : "starting";
+    trackEgress(room, mode, state, info.egressId, { identity: identity || null, source: identity ? source : null, status });
+  }
+  console.log(`Reattached egress ${info.egressId} to recording ${recordingId} in ${room} (${mode})`);
+}
+
+async function reconcileRecordings() {
+  const active = await egressClient.listEgress({ active: true });
+  const activeIds = new Set(active.map((info) => info.egressId));
+  const rooms = new Set(recordingState.keys());
+
+  // Egress that ended while token-service was down: handle it as its egress_ended webhook would.
+  for (const [egressId, entry] of [...egressIndex]) {
+    if (activeIds.has(egressId)) continue;
+    const [info] = await egressClient.listEgress({ egressId }).catch(() => []);
+    await onEgressEnded(info || { egressId, error: "ended while token-service was down" });
+    rooms.add(entry.room);
+  }
+
+  for (const info of active) {
+    if (egressIndex.has(info.egressId)) {
+      onEgressUpdated(info);
+      continue;
+    }
+    await adoptEgress(info);
+    rooms.add(info.roomName);
+  }
+
+  // Late joiners who arrived while token-service was down, and rooms that finished meanwhile.
+  for (const room of rooms) {
+    const roomRecordings = recordingState.get(room) || {};
+    if (PER_PARTICIPANT_MODES.some((mode) => roomRecordings[mode]?.status === "recording")) {
+      const [liveRoom] = await roomService.listRooms([room]);
+      if (!liveRoom) {
+        onRoomFinished(room);
+      } else {
+        for (const p of await roomService.listParticipants(room)) {
+          if (isRecordableParticipant(p.identity)) await recordLateParticipant(room, p.identity, p.name);
+        }
+      }
+    }
+    if (recordingState.has(room)) persistRecordings(room);
+  }
+}
+
+async function restoreRecordings() {
+  for (const [room, saved] of await store.listRecordings()) {
+    const roomRecordings = {};
+    for (const [mode, savedState] of Object.entries(saved || {})) {
+      roomRecordings[mode] = restoreRecordingState(room, mode, savedState);
+    }
+    recordingState.set(room, roomRecordings);
+  }
+  const restored = [...egressIndex.keys()].length;
+  if (restored > 0) console.log(`Restored recording state: ${restored} egress to reconcile`);
+
+  const attempt = async () => {
+    try {
+      await reconcileRecordings();
+    } catch (err) {
+      console.warn("recording reconcile failed, retrying in 30s:", err?.message || err);
+      setTimeout(attempt, 30_000).unref();
+    }
+  };
+  attempt();
+}
+
+function cleanupEgressJson(room) {
+  const roomDir = path.join(RECORDINGS_DIR, room);
+  if (!fs.existsSync(roomDir)) return;
+  try {
+    const files = fs.readdirSync(roomDir);
+    for (const file of files) {
+      if (/^EG_.*\.json$/i.test(file)) {
+        try {
+          fs.unlinkSync(path.join(roomDir, file));
+        } catch (err) {
+          console.warn(`cleanup failed for ${file}:`, err.message || err);
+        }
+      }
+    }
+  } catch (err) {
+    console.warn("cleanupEgressJson error:", err.message || err);
+  }
+}
+
+// Checks participant-side credentials ({ inviteId, key, identity }) and, optionally, the invite role.
+// Resolves to { inv, session } or { status, error }.
+async function authorizeInviteSession(req, { role } = {}) {
+  const { inviteId, key, identity } = req.body || {};
+  if (!inviteId || !key || !identity) {
+    return { status: 400, error: "missing inviteId/key/identity" };
+  }
+
+  const inv = await store.getInvite(inviteId);
+  if (!inv) {
+    recordAuthFailure(req, inviteLockoutKeys(req, { ipOnly: true }), "invalid invite");
+    return { status: 404, error: "invalid invite" };
+  }
+
+  if (inv.exp <= nowSec()) {
+    await store.deleteInvite(inviteId);
+    return { status: 410, error: "invite expired" };
+  }
+
+  if (!safeEqual(sha256(String(key)), inv.secretHash)) {
+    recordAuthFailure(req, inviteLockoutKeys(req), "invalid key");
+    return { status: 403, error: "invalid key" };
+  }
+
+  const session = await store.getSession(identity);
+  if (!session || session.inviteId !== inviteId) {
+    return { status: 403, error: "unauthorized" };
+  }
+
+  if (role && inv.role !== role) return { status: 403, error: "forbidden" };
+
+  return { inv, session };
+}
+
+// Admin-facing view of an invite; never exposes the secret hash.
+function formatInvite(inviteId, inv) {
+  return {
+    inviteId,
+    room: inv.room,
+    role: inv.role,
+    exp: inv.exp,
+    expiresAt: new Date(inv.exp * 1000).toISOString(),
+    uses: inv.uses,
+    maxUses: inv.maxUses,
+    exhausted: inv.maxUses > 0 && inv.uses >= inv.maxUses,
+    label: inv.label || null,
+    createdAt: inv.createdAt || null,
+  };
+}
+
+async function listInviteSessions(inviteId) {
+  const sessions = [];
+  for (const [identity, session] of await store.listSessions()) {
+    if (session.inviteId !== inviteId) continue;
+    sessions.push({ identity, ...session });
+  }
+  return sessions;
+}
+
+// Disconnects an identity, drops its effect relay and forgets the session.
+async function endIdentitySession(room, identity) {
+  try {
+    await roomService.removeParticipant(room, identity);
+  } catch (err) {
+    console.warn(`endIdentitySession removeParticipant error (${identity}):`, err.message || err);
+  }
+
+  try {
+    await effectsServiceRequest("/effects/delay/remove", {
+      method: "POST",
+      body: JSON.stringify({ room, participant: identity }),
+    });
+  } catch (err) {
+    console.warn(`endIdentitySession effects remove error (${identity}):`, err.message || err);
+  }
+
+  await store.deleteSession(identity);
+}
+
+function tooManyRequests(res, retryAfter, error) {
+  res.setHeader("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+function rateLimit(limiter, scope) {
+  return (req, res, next) => {
+    const wait = limiter.hit(`${scope}:${req.ip}`);
+    if (wait > 0) {
+      console.warn(`rate limit hit: ${scope} ${req.ip} ${req.method} ${req.path}`);
+      return tooManyRequests(res, wait, "too many requests");
+    }
+    next();
+  };
+}
+
+function inviteLockoutKeys(req, { ipOnly = false } = {}) {
+  const keys = [`invite-ip:${req.ip}`];
+  const inviteId = req.body?.inviteId;
+  if (!ipOnly && typeof inviteId === "string" && inviteId) keys.push(`invite:${inviteId}`);
+  return keys;
+}
+
+function recordAuthFailure(req, keys, reason) {
+  const locked = authLockout.fail(keys);
+  if (locked.length === 0) return;
+  console.warn(`lockout: ${locked.join(", ")} after repeated ${reason}`);
+  audit.record("security.lockout", {
+    actor: { kind: "client", id: req.ip },
+    details: { keys: locked, reason, path: req.path },
+  });
+}
+
+function lockoutGuard(keysFor) {
+  return (req, res, next) => {
+    const wait = authLockout.retryAfter(keysFor(req));
+    if (wait > 0) return tooManyRequests(res, wait, "too many failed attempts");
+    next();
+  };
+}
+
+// Accepts an admin session (cookie or bearer token) or the ADMIN_KEY service key.
+async function requireAdmin(req, res, next) {
+  try {
+    const key = req.header("x-admin-key");
+    if (key) {
+      if (!safeEqual(key, ADMIN_KEY)) {
+        recordAuthFailure(req, [`admin-ip:${req.ip}`], "invalid admin key");
+        return res.status(401).json({ error: "unauthorized" });
+      }
+      req.admin = { username: "service" };
+      return next();
+    }
+    // Session tokens are signed and unguessable, so stale ones are not counted as failures.
+    const token = adminAuth.tokenFromRequest(req);
+    const session = await adminAuth.verifySession(token);
+    if (!session) {
+      if (token) res.setHeader("Set-Cookie", adminAuth.clearedCookie());
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    req.admin = session;
+    next();
+  } catch (err) {
+    console.error("requireAdmin error:", err);
+    res.status(500).json({ error: "auth check failed" });
+  }
+}
+
+// Health check endpoint for container startup verification
+app.get("/api/healthz", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+app.use(
+  ["/api/connection-details", "/api/token/refresh", "/api/leave", "/api/moderator"],
+  rateLimit(inviteRateLimiter, "invite"),
+  lockoutGuard((req) => inviteLockoutKeys(req))
+);
+app.use(
+  ["/api/admin", "/api/invites"],
+  rateLimit(adminRateLimiter, "admin"),
+  lockoutGuard((req) => [`admin-ip:${req.ip}`])
+);
+app.use("/api/effects", rateLimit(serviceRateLimiter, "service"), lockoutGuard((req) => [`admin-ip:${req.ip}`]));
+
+/**
+ * LIVEKIT: webhook receiver (configured under `webhook:` in livekit.yaml)
+ * POST /api/livekit/webhook
+ * headers: { Authorization: <JWT signed with LIVEKIT_API_SECRET> }
+ * body: WebhookEvent JSON (content-type application/webhook+json)
+ */
+app.post(
+  "/api/livekit/webhook",
+  express.text({ type: "application/webhook+json" }),
+  async (req, res) => {
+    let event;
+    try {
+      event = await webhookReceiver.receive(req.body, req.get("Authorization"));
+    } catch (err) {
+      console.warn("livekit webhook rejected:", err?.message || err);
+      return res.status(401).json({ error: "invalid webhook signature" });
+    }
+
+    // Acknowledge first; LiveKit does not wait on (or retry) slow handlers.
+    res.json({ ok: true });
+    try {
+      await handleLiveKitWebhook(event);
+    } catch (err) {
+      console.error(`livekit webhook ${event.event} handler error:`, err?.message || err);
+    }
+  }
+);
+
+/**
+ * ADMIN: Log in with a named admin account.
+ * POST /api/admin/login
+ * body: { username, password }
+ * Sets an HttpOnly session cookie and returns the same token for bearer use.
+ */
+app.post("/api/admin/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const userKey = `admin-user:${String(username ?? "").slice(0, 64)}`;
+    const wait = authLockout.retryAfter([userKey]);
+    if (wait > 0) return tooManyRequests(res, wait, "too many failed attempts");
+
+    let account;
+    try {
+      account = adminAuth.checkCredentials(username, password);
+    } catch (err) {
+      console.error("admin accounts file error:", err?.message || err);
+      return res.status(500).json({ error: "admin accounts unavailable" });
+    }
+    if (!account) {
+      console.warn(`admin login failed for ${JSON.stringify(String(username ?? "").slice(0, 64))}`);
+      audit.record("admin.login_failed", {
+        actor: { kind: "admin", id: String(username ?? "").slice(0, 64) },
+        details: { ip: req.ip },
+      });
+      recordAuthFailure(req, [`admin-ip:${req.ip}`, userKey], "failed admin login");
+      return res.status(401).json({ error: "invalid credentials" });
+    }
+
+    const session = await adminAuth.createSession(account);
+    res.setHeader("Set-Cookie", adminAuth.sessionCookie(session.token, ADMIN_SESSION_TTL_SECONDS));
+    console.log(`admin login: ${account}`);
+    audit.record("admin.login", { actor: { kind: "admin", id: account }, details: { ip: req.ip } });
+    res.json({
+      username: account,
+      token: session.token,
+      expiresAt: new Date(session.exp * 1000).toISOString(),
+    });
+  } catch (err) {
+    console.error("admin login error:", err);
+    res.status(500).json({ error: "login failed" });
+  }
+});
+
+/**
+ * ADMIN: End the current admin session.
+ * POST /api/admin/logout
+ */
+app.post("/api/admin/logout", async (req, res) => {
+  try {
+    const session = await adminAuth.verifySession(adminAuth.tokenFromRequest(req));
+    if (session) {
+      await adminAuth.revokeSession(session.sid);
+      audit.record("admin.logout", { actor: { kind: "admin", id: session.username } });
+    }
+    res.setHeader("Set-Cookie", adminAuth.clearedCookie());
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("admin logout error:", err);
+    res.status(500).json({ error: "logout failed" });
+  }
+});
+
+/**
+ * ADMIN: Who is logged in.
+ * GET /api/admin/session
+ */
+app.get("/api/admin/session", requireAdmin, (req, res) => {
+  res.json({
+    username: req.admin.username,
+    expiresAt: req.admin.exp ? new Date(req.admin.exp * 1000).toISOString() : null,
+  });
+});
+
+const BULK_INVITE_MAX = 500;
+
+function sanitizeLabel(raw) {
+  if (raw === undefined || raw === null) return null;
+  const trimmed = String(raw).trim().slice(0, 64);
+  return trimmed || null;
+}
+
+// ttlSeconds from a request body: a whole number of seconds from 1 to MAX_INVITE_TTL_SECONDS.
+// Returns { ttlSeconds } or { error }.
+function parseTtlSeconds(raw) {
+  const ttlSeconds = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_INVITE_TTL_SECONDS) {
+    return { error: `ttlSeconds must be a whole number between 1 and ${MAX_INVITE_TTL_SECONDS}` };
+  }
+  return { ttlSeconds };
+}
+
+// Shared invite options from a request body. Resolves to { role, ttlSeconds, maxUses, room } or { status, error }.
+async function parseInviteOptions(body = {}) {
+  const role = String(body.role || "participant").toLowerCase();
+  if (!INVITE_ROLES.includes(role)) {
+    return { status: 400, error: `invalid role; must be one of ${INVITE_ROLES.join(", ")}` };
+  }
+  const { ttlSeconds, error: ttlError } = parseTtlSeconds(body.ttlSeconds ?? INVITE_TTL_SECONDS);
+  if (ttlError) return { status: 400, error: ttlError };
+  let maxUses = Number(body.maxUses || INVITE_MAX_USES);
+  if (Number.isNaN(maxUses)) maxUses = INVITE_MAX_USES;
+  if (maxUses <= 0) maxUses = 0; // 0 = unlimited
+
+  const room = body.room ? sanitizeRoomName(body.room) : DEFAULT_ROOM_NAME;
+  if (!room) return { status: 400, error: "invalid room name" };
+  if (!(await roomIsOpen(room))) return { status: 404, error: "unknown room" };
+
+  return { role, ttlSeconds, maxUses, room };
+}
+
+async function issueInvite({ role, ttlSeconds, maxUses, room, label = null }) {
+  const inviteId = randomId(12);
+  const inviteSecret = randomId(24);
+  const exp = nowSec() + ttlSeconds;
+
+  await store.saveInvite(inviteId, {
+    secretHash: sha256(inviteSecret),
+    room,
+    role,
+    exp,
+    uses: 0,
+    maxUses,
+    label,
+    createdAt: new Date().toISOString(),
+  });
+
+  // Your frontend join route: /join/:inviteId?k=...
+  // You will serve the web app at https://meet.example.org
+  const inviteUrl = `${PUBLIC_BASE_URL}/join/${inviteId}?k=${inviteSecret}`;
+
+  return { inviteUrl, inviteId, room, exp, maxUses, label };
+}
+
+/**
+ * ADMIN: create an invite link
+ * POST /api/invites
+ * body: { role?: "participant" | "moderator" | "observer", ttlSeconds?: number, maxUses?: number, room?: string, label?: string }
+ *
+ * participant: publish + subscribe. moderator: participant plus /api/moderator/* (mute others, delay status).
+ * observer: subscribe-only and hidden from other participants.
+ * `room` must be the default room or one created via POST /api/admin/rooms (defaults to the default room).
+ * `label` (e.g. participant code / condition) is copied onto every identity issued under the invite.
+ *
+ * returns: { inviteUrl, inviteId, room, exp, maxUses, label }
+ */
+app.post("/api/invites", requireAdmin, async (req, res) => {
+  try {
+    const options = await parseInviteOptions(req.body || {});
+    if (options.error) return res.status(options.status).json({ error: options.error });
+
+    const invite = await issueInvite({ ...options, label: sanitizeLabel(req.body?.label) });
+    audit.record("invite.created", {
+      room: invite.room,
+      actor: adminActor(req),
+      target: invite.inviteId,
+      details: { role: options.role, maxUses: invite.maxUses, exp: invite.exp, label: invite.label },
+    });
+    res.json(invite);
+  } catch (err) {
+    console.error("invite store error:", err);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: create many invites at once (e.g. single-use links for a study)
+ * POST /api/admin/invites/bulk[?format=csv]
+ * headers: { x-admin-key: ADMIN_KEY }
+ * body: { count?: number, labels?: string[], room?, role?, ttlSeconds?, maxUses?, format?: "json" | "csv" }
+ *
+ * One invite is created per label (or `count` unlabelled ones). maxUses defaults to 1 here.
+ *
+ * returns: { room, invites: [{ inviteUrl, inviteId, label, exp }] } or CSV with inviteUrl,inviteId,label
+ */
+app.post("/api/admin/invites/bulk", requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const labels = Array.isArray(body.labels) ? body.labels.map(sanitizeLabel) : null;
+    const count = labels ? labels.length : Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > BULK_INVITE_MAX) {
+      return res.status(400).json({ error: `count (or labels.length) must be between 1 and ${BULK_INVITE_MAX}` });
+    }
+
+    const options = await parseInviteOptions({ ...body, maxUses: body.maxUses ?? 1 });
+    if (options.error) return res.status(options.status).json({ error: options.error });
+
+    const invites = [];
+    for (let i = 0; i < count; i += 1) {
+      const invite = await issueInvite({ ...options, label: labels ? labels[i] : null });
+      invites.push({
+        inviteUrl: invite.inviteUrl,
+        inviteId: invite.inviteId,
+        label: invite.label,
+        exp: invite.exp,
+      });
+    }
+
+    console.log(`Bulk invites created: ${count} for room ${options.room}`);
+    audit.record("invite.bulk_created", {
+      room: options.room,
+      actor: adminActor(req),
+      details: {
+        role: options.role,
+        maxUses: options.maxUses,
+        invites: invites.map((invite) => ({ inviteId: invite.inviteId, label: invite.label })),
+      },
+    });
+
+    const format = String(req.query.format || body.format || "json").toLowerCase();
+    if (format === "csv") {
+      res.type("text/csv");
+      res.attachment(`invites_${options.room}_${formatTimestamp()}.csv`);
+      return res.send(toCsv(invites, ["inviteUrl", "inviteId", "label"]));
+    }
+    res.json({ room: options.room, invites });
+  } catch (err) {
+    console.error("admin/invites/bulk error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * CLIENT: exchange invite for LiveKit token
+ * POST /api/connection-details
+ * body: { inviteId, key, name?, identity? }
+ *
+ * returns: { url, token, expiresAt, room, identity, role }
+ */
+app.post("/api/connection-details", async (req, res) => {
+  try {
+    const { inviteId, key, name, identity: requestedIdentity } = req.body || {};
+    if (!inviteId || !key) return res.status(400).json({ error: "missing inviteId/key" });
+
+    const inv = await store.getInvite(inviteId);
+    if (!inv) {
+      recordAuthFailure(req, inviteLockoutKeys(req, { ipOnly: true }), "invalid invite");
+      return res.status(404).json({ error: "invalid invite" });
+    }
+
+    if (inv.exp <= nowSec()) {
+      await store.deleteInvite(inviteId);
+      return res.status(410).json({ error: "invite expired" });
+    }
+
+    if (!safeEqual(sha256(String(key)), inv.secretHash)) {
+      recordAuthFailure(req, inviteLockoutKeys(req), "invalid key");
+      return res.status(403).json({ error: "invalid key" });
+    }
+
+    const requested = sanitizeIdentity(requestedIdentity);
+    let existingSession = null;
+    if (requested) {
+      existingSession = await store.getSession(requested);
+      if (!existingSession || existingSession.inviteId !== inviteId) {
+        return res.status(409).json({ error: "identity_revoked" });
+      }
+    }
+
+    // Claimed atomically: two redemptions of a single-use invite at once cannot both get here.
+    if (!(await store.claimInviteUse(inviteId))) {
+      return res.status(410).json({ error: "invite already used" });
+    }
+    if (requested) {
+      try {
+        await roomService.removeParticipant(inv.room, requested);
+      } catch (err) {
+        console.warn("reclaim identity removeParticipant error:", err.message || err);
+      }
+    }
+
+    const identity = requested || `${identityPrefixForRole(inv.role)}${randomId(10)}`;
+    const displayName = typeof name === "string" && name.trim() ? name.trim().slice(0, 48) : undefined;
+    const showSelf = existingSession?.showSelf ?? true;
+    const isObserver = inv.role === "observer";
+
+    const { token, expiresAt } = await participantToken({
+      identity,
+      name: displayName,
+      room: inv.room,
+      role: inv.role,
+    });
+
+    await store.saveSession(
+      identity,
+      { inviteId, room: inv.room, name: displayName, showSelf, role: inv.role, label: inv.label || null },
+      inv.exp
+    );
+
+    // Observers publish nothing, so they need no effect relay. The showSelf flag is applied
+    // from the session when LiveKit reports the participant_joined webhook.
+    if (!isObserver) {
+      try {
+        // No delays: a rejoining participant keeps theirs, and a delay profile keeps playing.
+        await effectsServiceRequest("/effects/delay", {
+          method: "POST",
+          body: JSON.stringify({
+            room: inv.room,
+            participant: identity,
+            keepAlive: true,
+            participantName: displayName,
+          }),
+        });
+      } catch (err) {
+        console.warn("delay keepAlive error:", err.message || err);
+      }
+    }
+
+    audit.record("invite.redeemed", {
+      room: inv.room,
+      actor: participantActor(identity),
+      details: {
+        inviteId,
+        role: inv.role,
+        name: displayName ?? null,
+        label: inv.label || null,
+        rejoin: Boolean(requested),
+      },
+    });
+    notifyAdmins(inv.room, "participants", "delays", "rooms");
+
+    res.json({
+      url: LIVEKIT_URL,          // http(s)
+      wsUrl: toWsUrl(LIVEKIT_URL),
+      token,
+      expiresAt,
+      room: inv.room,
+      identity,
+      role: inv.role,
+    });
+
+  } catch (err) {
+    console.error("connection-details error:", err);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * CLIENT: renew the LiveKit token for an existing session
+ * POST /api/token/refresh
+ * body: { inviteId, key, identity }
+ *
+ * Unlike /api/connection-details this does not count as an invite use and does not
+ * kick the existing connection, so clients can call it before expiry or while reconnecting.
+ *
+ * returns: { url, wsUrl, token, expiresAt, room, identity, role }
+ */
+app.post("/api/token/refresh", async (req, res) => {
+  try {
+    const auth = await authorizeInviteSession(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { inv, session } = auth;
+    const { identity } = req.body;
+
+    const { token, expiresAt } = await participantToken({
+      identity,
+      name: session.name,
+      room: session.room,
+      role: inv.role,
+    });
+
+    res.json({
+      url: LIVEKIT_URL,
+      wsUrl: toWsUrl(LIVEKIT_URL),
+      token,
+      expiresAt,
+      room: session.room,
+      identity,
+      role: inv.role,
+    });
+  } catch (err) {
+    console.error("token/refresh error:", err);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * CLIENT: leave session and remove effect placeholder
+ * POST /api/leave
+ * body: { inviteId, key, identity }
+ */
+app.post("/api/leave", async (req, res) => {
+  try {
+    const { identity } = req.body || {};
+    const auth = await authorizeInviteSession(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { inv } = auth;
+
+    try {
+      await roomService.removeParticipant(inv.room, identity);
+    } catch (err) {
+      console.warn("leave removeParticipant error:", err.message || err);
+    }
+
+    try {
+      await effectsServiceRequest("/effects/delay/remove", {
+        method: "POST",
+        body: JSON.stringify({ room: inv.room, participant: identity }),
+      });
+    } catch (err) {
+      console.warn("leave delay remove error:", err.message || err);
+    }
+
+    await store.deleteSession(identity);
+    audit.record("participant.left", {
+      room: inv.room,
+      actor: participantActor(identity),
+      details: { inviteId: req.body.inviteId },
+    });
+    notifyAdmins(inv.room, "participants", "delays", "rooms");
+    res.json({ success: true });
+  } catch (err) {
+    console.error("leave error:", err);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * MODERATOR: mute or unmute another participant's published tracks
+ * POST /api/moderator/mute
+ * body: { inviteId, key, identity, target, kind?: "audio" | "video" | "all", muted?: boolean }
+ *
+ * Unmuting someone else only works when LiveKit runs with room.enable_remote_unmute.
+ *
+ * returns: { success, target, muted, tracks: [trackSid, ...] }
+ */
+app.post("/api/moderator/mute", async (req, res) => {
+  try {
+    const auth = await authorizeInviteSession(req, { role: "moderator" });
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { inv } = auth;
+
+    const { target, kind = "audio", muted = true } = req.body || {};
+    if (!isRecordableParticipant(target)) {
+      return res.status(400).json({ error: "invalid target" });
+    }
+    if (!["audio", "video", "all"].includes(kind)) {
+      return res.status(400).json({ error: "kind must be 'audio', 'video' or 'all'" });
+    }
+
+    let info;
+    try {
+      info = await roomService.getParticipant(inv.room, target);
+    } catch (err) {
+      const message = String(err?.message || "");
+      const notFound = err?.code === 404 || /not found/i.test(message);
+      if (notFound) return res.status(404).json({ error: "target not in room" });
+      throw err;
+    }
+
+    const wantedTypes = {
+      audio: [TrackType.AUDIO],
+      video: [TrackType.VIDEO],
+      all: [TrackType.AUDIO, TrackType.VIDEO],
+    }[kind];
+    const tracks = (info?.tracks || []).filter((t) => wantedTypes.includes(t.type));
+    for (const t of tracks) {
+      await roomService.mutePublishedTrack(inv.room, target, t.sid, Boolean(muted));
+    }
+
+    console.log(`Moderator ${req.body.identity} set ${kind} muted=${Boolean(muted)} for ${target} in ${inv.room}`);
+    audit.record("moderator.mute", {
+      room: inv.room,
+      actor: { kind: "moderator", id: req.body.identity },
+      target,
+      details: { kind, muted: Boolean(muted) },
+    });
+    notifyAdmins(inv.room, "participants");
+    res.json({ success: true, target, muted: Boolean(muted), tracks: tracks.map((t) => t.sid) });
+  } catch (err) {
+    console.error("moderator/mute error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * MODERATOR: delay status for the moderator's room
+ * POST /api/moderator/delay-status
+ * body: { inviteId, key, identity }
+ *
+ * returns: { room, delays: { identity: delayMs, ... }, trackDelays: { identity: { audioDelayMs, videoDelayMs } }, timing }
+ */
+app.post("/api/moderator/delay-status", async (req, res) => {
+  try {
+    const auth = await authorizeInviteSession(req, { role: "moderator" });
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const payload = await effectsServiceRequest(
+      `/effects/delay/status?room=${encodeURIComponent(auth.inv.room)}`,
+      { method: "GET" }
+    );
+    res.json(payload);
+  } catch (err) {
+    console.error("moderator/delay-status error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: List active invites
+ * GET /api/admin/invites?room=roomName
+ * headers: { x-admin-key: ADMIN_KEY }
+ *
+ * returns: { invites: [{ inviteId, room, role, exp, expiresAt, uses, maxUses, exhausted, label, createdAt, sessionCount }] }
+ */
+app.get("/api/admin/invites", requireAdmin, async (req, res) => {
+  try {
+    const room = req.query.room ? String(req.query.room) : null;
+
+    const sessionCounts = new Map();
+    for (const [, session] of await store.listSessions()) {
+      sessionCounts.set(session.inviteId, (sessionCounts.get(session.inviteId) || 0) + 1);
+    }
+
+    const invites = (await store.listInvites())
+      .filter(([, inv]) => !room || inv.room === room)
+      .map(([inviteId, inv]) => ({
+        ...formatInvite(inviteId, inv),
+        sessionCount: sessionCounts.get(inviteId) || 0,
+      }))
+      .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+
+    res.json({ invites });
+  } catch (err) {
+    console.error("admin/invites list error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: Inspect an invite and the identities issued under it
+ * GET /api/admin/invites/:inviteId
+ * headers: { x-admin-key: ADMIN_KEY }
+ *
+ * returns: { invite, sessions: [{ identity, name, room, label, showSelf }] }
+ */
+app.get("/api/admin/invites/:inviteId", requireAdmin, async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+    const inv = await store.getInvite(inviteId);
+    if (!inv) return res.status(404).json({ error: "invalid invite" });
+
+    const sessions = (await listInviteSessions(inviteId)).map((session) => ({
+      identity: session.identity,
+      name: session.name,
+      room: session.room,
+      label: session.label || null,
+      showSelf: session.showSelf ?? true,
+    }));
+
+    res.json({ invite: formatInvite(inviteId, inv), sessions });
+  } catch (err) {
+    console.error("admin/invites get error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: Extend an invite or change its use limit
+ * PATCH /api/admin/invites/:inviteId
+ * headers: { x-admin-key: ADMIN_KEY }
+ * body: { ttlSeconds?: number, maxUses?: number }
+ *
+ * ttlSeconds sets the expiry to now + ttlSeconds (sessions issued under the invite follow it).
+ * maxUses of 0 means unlimited.
+ *
+ * returns: { invite }
+ */
+app.patch("/api/admin/invites/:inviteId", requireAdmin, async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+    const { ttlSeconds, maxUses } = req.body || {};
+    if (ttlSeconds === undefined && maxUses === undefined) {
+      return res.status(400).json({ error: "nothing to update; pass ttlSeconds and/or maxUses" });
     }
 
-    try {
-      await roomService.removeParticipant(inv.room, identity);
-    } catch (err) {
-      console.warn("leave removeParticipant error:", err.message || err);
+    const limits = {};
+    if (ttlSeconds !== undefined) {
+      const { ttlSeconds: ttl, error } = parseTtlSeconds(ttlSeconds);
+      if (error) return res.status(400).json({ error });
+      limits.exp = nowSec() + ttl;
     }
 
-    try {
-      await effectsServiceRequest("/effects/delay/remove", {
-        method: "POST",
-        body: JSON.stringify({ room: inv.room, participant: identity }),
-      });
-    } catch (err) {
-      console.warn("leave delay remove error:", err.message || err);
+    if (maxUses !== undefined) {
+      const limit = Number(maxUses);
+      if (!Number.isInteger(limit) || limit < 0) {
+        return res.status(400).json({ error: "maxUses must be a non-negative integer (0 = unlimited)" });
+      }
+      limits.maxUses = limit;
     }
 
-    identitySessions.delete(identity);
-    res.json({ success: true });
+    // Only the limits change, atomically, so uses claimed meanwhile are kept.
+    const inv = await store.updateInviteLimits(inviteId, limits);
+    if (!inv) return res.status(404).json({ error: "invalid invite" });
+    if (ttlSeconds !== undefined) {
+      for (const session of await listInviteSessions(inviteId)) {
+        const { identity, ...rest } = session;
+        await store.saveSession(identity, rest, inv.exp);
+      }
+    }
+
+    console.log(`Invite ${inviteId} updated: exp=${inv.exp}, maxUses=${inv.maxUses}`);
+    audit.record("invite.updated", {
+      room: inv.room,
+      actor: adminActor(req),
+      target: inviteId,
+      details: { exp: inv.exp, maxUses: inv.maxUses },
+    });
+    res.json({ invite: formatInvite(inviteId, inv) });
   } catch (err) {
-    console.error("leave error:", err);
-    res.status(500).json({ error: "internal_error" });
+    console.error("admin/invites patch error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
   }
 });
 
+/**
+ * ADMIN: Revoke an invite
+ * DELETE /api/admin/invites/:inviteId
+ * headers: { x-admin-key: ADMIN_KEY }
+ *
+ * Also disconnects every identity issued under the invite and removes their effect relays.
+ *
+ * returns: { success, inviteId, removedSessions: [identity, ...] }
+ */
+app.delete("/api/admin/invites/:inviteId", requireAdmin, async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+    const inv = await store.getInvite(inviteId);
+    const sessions = await listInviteSessions(inviteId);
+    if (!inv && sessions.length === 0) {
+      return res.status(404).json({ error: "invalid invite" });
+    }
+
+    await store.deleteInvite(inviteId);
+    for (const session of sessions) {
+      await endIdentitySession(session.room, session.identity);
+    }
+
+    const removedSessions = sessions.map((session) => session.identity);
+    console.log(`Invite ${inviteId} revoked (sessions: ${removedSessions.join(", ") || "none"})`);
+    audit.record("invite.revoked", {
+      room: inv?.room ?? sessions[0]?.room ?? null,
+      actor: adminActor(req),
+      target: inviteId,
+      details: { removedSessions },
+    });
+    notifyAdmins(inv?.room ?? sessions[0]?.room, "participants", "rooms");
+    res.json({ success: true, inviteId, removedSessions });
+  } catch (err) {
+    console.error("admin/invites revoke error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
 
 /**
  * ADMIN: List egress jobs (and errors) for a room
@@ -569,7 +2639,25 @@ app.get("/api/admin/egress/:egressId", requireAdmin, async (req, res) => {
  * ADMIN: Start recording for a room
  * POST /api/admin/recording/start
  * headers: { x-admin-key: ADMIN_KEY }
- * body: { room, mode: "individual" | "composite" }
+ * body: { room, mode, encoding? }
+ *
+ * mode:
+ *   individual      - one MP4 (audio + video) per participant, participant egress
+ *   delayed         - like individual, plus `..._delayed.mp4` per participant from their fx_ relay
+ *                     (what the others saw and heard), paired with the undelayed file by name
+ *   audio           - one OGG (Opus, as published) per participant microphone, track egress
+ *   tracks          - per participant one audio (OGG) and one video file (WebM/MP4 by codec), track egress
+ *   composite       - one grid MP4 of the room
+ *   composite_audio - one mixed audio file of the room
+ *
+ * encoding (optional; not for audio / tracks, which are not re-encoded):
+ *   individual, delayed, composite: { preset: "H264_1080P_30" } (EncodingOptionsPreset name) or any of
+ *     { width, height, framerate, videoBitrate, audioBitrate } (bitrates in kbps)
+ *   composite_audio: { fileType: "ogg" | "mp3" | "mp4", audioBitrate, audioFrequency }
+ *
+ * Also writes `${recordingId}.manifest.json` next to the recording files.
+ *
+ * Refuses with 507 when RECORDINGS_DIR has less than RECORDING_MIN_FREE_GB free.
  *
  * returns: { success: true, recordingId, egressIds, room, mode }
  */
@@ -580,9 +2668,11 @@ app.post("/api/admin/recording/start", requireAdmin, async (req, res) => {
       return res.status(400).json({ error: "missing room or mode" });
     }
 
-    if (!["individual", "composite"].includes(mode)) {
-      return res.status(400).json({ error: "invalid mode; must be 'individual' or 'composite'" });
+    if (!(mode in RECORDING_MODES)) {
+      return res.status(400).json({ error: `invalid mode; must be one of ${Object.keys(RECORDING_MODES).join(", ")}` });
     }
+    const { encoding, error: encodingError } = parseEncoding(mode, req.body.encoding);
+    if (encodingError) return res.status(400).json({ error: encodingError });
 
     const existing = recordingState.get(room)?.[mode];
     if (existing?.status === "recording") {
@@ -592,6 +2682,15 @@ app.post("/api/admin/recording/start", requireAdmin, async (req, res) => {
       });
     }
 
+    const disk = await getDiskSpace();
+    if (disk && disk.freeBytes < RECORDING_MIN_FREE_GB * GB) {
+      return res.status(507).json({
+        error: `not enough free disk space to record: ${formatGb(disk.freeBytes)} GB free, ` +
+          `${RECORDING_MIN_FREE_GB} GB required (RECORDING_MIN_FREE_GB)`,
+        freeBytes: disk.freeBytes,
+      });
+    }
+
     const recordingId = `${formatTimestamp()}_${randomId(4)}`;
     const startedAt = new Date().toISOString();
 
@@ -603,22 +2702,26 @@ app.post("/api/admin/recording/start", requireAdmin, async (req, res) => {
     const recordingDir = path.join(RECORDINGS_DIR, room);
     ensureWritableDir(recordingDir);
 
+    const {
+      tracks: initialDelays,
+      viewers: initialViewerDelays,
+      profiles: initialProfiles,
+    } = await getRoomDelays(room);
+    const runningProfiles = Object.entries(initialProfiles).filter(([, status]) => !status.finished);
     const egressIds = [];
-    let participantSet = null;
+    const manifestEgress = [];
+    let participantEgress = null; // identity -> egressId currently recording them
 
-    if (mode === "composite") {
-      // Single MP4 file with all participants composited
+    const { perParticipant, egress: egressKind, slots, audioOnly } = RECORDING_MODES[mode];
+    if (!perParticipant) {
+      // Single file with all participants composited (audio-only: the mixed room audio)
       // IMPORTANT: this path is inside the Egress container
       // and should map to the host + token-service via volume mounts.
-      const egressFilepath = egressPathFor(room, `${recordingId}_ROOM.mp4`);
-
-      const egressBefore = new Set(
-        (await listEgressParticipants(room)).map((p) => p.identity)
-      );
-
+      const extension = audioOnly ? encoding?.fileType || "ogg" : "mp4";
+      const file = `${recordingId}_ROOM${audioOnly ? "_audio" : ""}.${extension}`;
       const fileOutput = new EncodedFileOutput({
-        filepath: egressFilepath,
-        fileType: EncodedFileType.MP4,
+        filepath: egressPathFor(room, file),
+        fileType: audioOnly ? AUDIO_FILE_TYPES[extension] : EncodedFileType.MP4,
       });
 
       const info = await egressClient.startRoomCompositeEgress(
@@ -627,6 +2730,8 @@ app.post("/api/admin/recording/start", requireAdmin, async (req, res) => {
         {
           layout: "grid",
           customBaseUrl: `${RECORDING_BASE_URL}/recording`,
+          audioOnly,
+          encodingOptions: egressEncodingOptions(encoding),
         }
       );
 
@@ -635,272 +2740,776 @@ app.post("/api/admin/recording/start", requireAdmin, async (req, res) => {
         throw new Error("egress did not return an egressId");
       }
       egressIds.push(egressId);
-      await tagNewEgressParticipants(room, "composite", egressBefore, 1);
+      registerEgress(egressId, { room, mode, recordingId });
+      manifestEgress.push({ egressId, kind: "composite", file });
 
-    } else if (mode === "individual") {
-      // Record each participant separately using Participant Egress
+    } else {
+      // Record each participant (or each of their tracks) separately.
       // We snapshot current participants at start time.
       const participants = await roomService.listParticipants(room);
       const recordable = (participants || []).filter((p) => isRecordableParticipant(p.identity));
       if (!recordable || recordable.length === 0) {
         return res.status(409).json({ error: "no participants to record" });
       }
-      participantSet = new Set();
+      participantEgress = new Map();
 
+      const present = new Set((participants || []).map((p) => p.identity));
       for (const p of recordable) {
-        const egressBefore = new Set(
-          (await listEgressParticipants(room)).map((p) => p.identity)
-        );
-        const egressId = await startParticipantEgress(room, recordingId, p.identity, p.name);
-        if (egressId) {
-          egressIds.push(egressId);
-          participantSet.add(p.identity);
-          await tagNewEgressParticipants(room, "individual", egressBefore, 1);
+        for (const source of slots) {
+          const track = egressKind === "track" ? findSourceTrack(p, source) : null;
+          // Not published / relayed yet: started on track_published or when the relay joins.
+          if (egressKind === "track" && !track) continue;
+          if (source === "delayed" && !present.has(effectIdentityFor(p.identity))) continue;
+          const { egressId, file, label } = track
+            ? await startTrackEgress(room, recordingId, p.identity, p.name, track, source)
+            : await startParticipantEgress(room, recordingId, p.identity, p.name, 1, encoding, {
+                delayed: source === "delayed",
+              });
+          if (egressId) {
+            egressIds.push(egressId);
+            participantEgress.set(egressSlot(p.identity, source), egressId);
+            registerEgress(egressId, { room, mode, recordingId, identity: p.identity, ...(source ? { source } : {}) });
+            manifestEgress.push({
+              egressId,
+              kind: track ? "track" : "participant",
+              identity: p.identity,
+              name: p.name,
+              label,
+              source,
+              file,
+            });
+          }
         }
       }
 
       if (egressIds.length === 0) {
+        if (egressKind === "track") return res.status(409).json({ error: "no published tracks to record" });
         throw new Error("no participants to record, or egress failed to start");
       }
-
-      // Monitor joins and start individual egress for late participants.
-      stopIndividualMonitor(room);
-      const intervalId = setInterval(async () => {
-        const state = recordingState.get(room)?.individual;
-        if (!state || state.status !== "recording") return;
-        try {
-          const current = await roomService.listParticipants(room);
-          for (const p of current) {
-            if (!isRecordableParticipant(p.identity)) continue;
-            if (!state.participants.has(p.identity)) {
-              const egressBefore = new Set(
-                (await listEgressParticipants(room)).map((p) => p.identity)
-              );
-              const egressId = await startParticipantEgress(
-                room,
-                state.recordingId,
-                p.identity,
-                p.name
-              );
-              if (egressId) {
-                state.egressIds.push(egressId);
-                state.participants.add(p.identity);
-                await tagNewEgressParticipants(room, "individual", egressBefore, 1);
-              }
-            }
-          }
-        } catch (err) {
-          console.error("individual monitor error:", err.message || err);
-        }
-      }, 2000);
-      intervalId.unref?.();
-      individualMonitors.set(room, intervalId);
+      // Late joiners are picked up by the participant_joined / track_published webhooks.
     }
 
+    // Metadata sidecar: which egress writes which file, who is present, delay changes.
+    const manifest = new RecordingManifest({
+      filePath: manifestPath(room, recordingId),
+      recordingId,
+      room,
+      mode,
+      startedAt,
+      startedBy: adminActor(req),
+      initialDelays,
+      initialViewerDelays,
+      initialProfiles: Object.fromEntries(
+        runningProfiles.map(([identity, status]) => [identity, { ...status.profile, startedAt: status.startedAt }])
+      ),
+      encoding,
+    });
+    for (const egress of manifestEgress) manifest.addEgress(egress, new Date(startedAt));
+    const timeline = new DelayTimeline(delayTimelinePath(room, recordingId));
+
     // Update in-memory state
     recordingState.get(room)[mode] = {
       recordingId,
       startedAt,
       status: "recording",
       egressIds,
-      participants: mode === "individual" ? participantSet : undefined,
+      encoding,
+      participants: perParticipant ? participantEgress : undefined,
+      // slot -> number of files so far (a rejoin starts another part)
+      parts: perParticipant ? new Map([...participantEgress.keys()].map((slot) => [slot, 1])) : undefined,
+      manifest,
+      timeline,
     };
+    const state = recordingState.get(room)[mode];
+    for (const { egressId, identity, source } of manifestEgress) {
+      trackEgress(room, mode, state, egressId, { identity, source });
+    }
+    persistRecordings(room);
+
+    // Delays already in effect open the timeline at offset 0.
+    for (const [identity, { audioDelayMs, videoDelayMs }] of Object.entries(initialDelays)) {
+      const participant = await manifestParticipant(identity);
+      timeline.record({
+        ts: startedAt,
+        offsetMs: 0,
+        source: "initial",
+        identity,
+        name: participant.name,
+        label: participant.label,
+        delayMs: Math.max(audioDelayMs, videoDelayMs),
+        audioDelayMs,
+        videoDelayMs,
+        previousDelayMs: null,
+        by: null,
+      });
+    }
+    for (const [identity, viewers] of Object.entries(initialViewerDelays)) {
+      const participant = await manifestParticipant(identity);
+      for (const [viewer, delayMs] of Object.entries(viewers)) {
+        timeline.record({
+          ts: startedAt,
+          offsetMs: 0,
+          source: "initial",
+          identity,
+          name: participant.name,
+          label: participant.label,
+          viewer,
+          viewerName: (await manifestParticipant(viewer)).name,
+          delayMs,
+          audioDelayMs: delayMs,
+          videoDelayMs: delayMs,
+          previousDelayMs: null,
+          by: null,
+        });
+      }
+    }
+    for (const [identity, status] of runningProfiles) {
+      const participant = await manifestParticipant(identity);
+      timeline.record({
+        ts: startedAt,
+        offsetMs: 0,
+        source: "initial",
+        identity,
+        name: participant.name,
+        label: participant.label,
+        profile: status.profile,
+        profileStartedAt: status.startedAt,
+        by: null,
+      });
+    }
+
+    const present = await roomService.listParticipants(room).catch((err) => {
+      console.warn(`manifest listParticipants failed (${room}):`, err?.message || err);
+      return [];
+    });
+
+    for (const p of present || []) {
+      if (!isRecordableParticipant(p.identity)) continue;
+      manifest.participantJoined(await manifestParticipant(p.identity, p.name), new Date(startedAt));
+    }
+    manifest.save();
+
+    console.log(
+      `Recording started for room ${room}, mode: ${mode}, recordingId: ${recordingId}, egressIds: ${egressIds.join(", ")}`
+    );
+    audit.record("recording.started", {
+      room,
+      actor: adminActor(req),
+      target: recordingId,
+      details: { mode, encoding, egressIds },
+    });
+    notifyAdmins(room, "recording");
+    refreshRecordingsBytes();
+
+    res.json({
+      success: true,
+      recordingId,
+      egressIds,
+      room,
+      mode,
+      encoding,
+      startedAt,
+    });
+  } catch (err) {
+    console.error("recording/start error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+
+/**
+ * ADMIN: Stop recording for a room
+ * POST /api/admin/recording/stop
+ * headers: { x-admin-key: ADMIN_KEY }
+ * body: { room, mode: "all" or a mode of /api/admin/recording/start }
+ *
+ * returns: { success: true, recordings: [...] }
+ */
+app.post("/api/admin/recording/stop", requireAdmin, async (req, res) => {
+  try {
+    const { room, mode } = req.body || {};
+    if (!room) return res.status(400).json({ error: "missing room" });
+
+    const recordings = await stopRoomRecordings(room, mode || "all");
+
+    console.log(`Recording stopped for room ${room}, mode: ${mode || "all"}`);
+    audit.record("recording.stopped", {
+      room,
+      actor: adminActor(req),
+      details: { mode: mode || "all", recordings },
+    });
+    notifyAdmins(room, "recording");
+    refreshRecordingsBytes();
+
+    res.json({
+      success: true,
+      recordings,
+      room,
+    });
+  } catch (err) {
+    console.error("recording/stop error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: Get recording status for a room
+ * GET /api/admin/recording/status?room=roomName
+ * headers: { x-admin-key: ADMIN_KEY }
+ *
+ * returns: { recordings: [...] }
+ */
+app.get("/api/admin/recording/status", requireAdmin, (req, res) => {
+  try {
+    const { room } = req.query;
+    if (!room) return res.status(400).json({ error: "missing room query param" });
+
+    res.json({ recordings: formatRecordingStatus(room), room });
+  } catch (err) {
+    console.error("recording/status error:", err);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+// Recording files are named `${recordingId}_...` / `${recordingId}.manifest.json` etc.
+const RECORDING_ID_RE = /^\d{8}_\d{9}_[A-Za-z0-9_-]{6}$/;
+const RECORDING_FILE_RE = /^(\d{8}_\d{9}_[A-Za-z0-9_-]{6})[_.]/;
+const SAFE_FILE_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,254}$/;
+const MEDIA_FILE_RE = /\.(mp4|webm|ogg|mp3)$/;
+
+// Absolute path of a file directly inside the room's recordings folder, or null when the
+// room or file name could escape it (path traversal, dotfiles, subfolders).
+function resolveRecordingFile(room, file) {
+  const roomName = sanitizeRoomName(room);
+  if (!roomName || typeof file !== "string" || !SAFE_FILE_RE.test(file) || file.includes("..")) return null;
+  const roomDir = path.resolve(RECORDINGS_DIR, roomName);
+  const filePath = path.resolve(roomDir, file);
+  return path.dirname(filePath) === roomDir ? filePath : null;
+}
+
+// recordingId -> files of that recording in the room folder (media, manifest, delay timeline),
+// each { name, path, size, mtime }. Files that do not belong to a recording are left out.
+function scanRoomRecordings(room) {
+  const roomName = sanitizeRoomName(room);
+  const recordings = new Map();
+  if (!roomName) return recordings;
+  const roomDir = path.join(RECORDINGS_DIR, roomName);
+  if (!fs.existsSync(roomDir)) return recordings;
+  for (const name of fs.readdirSync(roomDir)) {
+    const recordingId = RECORDING_FILE_RE.exec(name)?.[1];
+    if (!recordingId || name.endsWith(".tmp")) continue;
+    const filePath = resolveRecordingFile(roomName, name);
+    if (!filePath) continue;
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile()) continue;
+    if (!recordings.has(recordingId)) recordings.set(recordingId, []);
+    recordings.get(recordingId).push({ name, path: filePath, size: stat.size, mtime: stat.mtime });
+  }
+  return recordings;
+}
+
+function listRecordingFiles(room, recordingId) {
+  if (!RECORDING_ID_RE.test(recordingId)) return [];
+  const files = scanRoomRecordings(room).get(recordingId) || [];
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Every recording on disk: [{ room, recordingId, files, bytes, modifiedAt (epoch ms of newest file) }].
+function listRecordingGroups() {
+  const groups = [];
+  const rooms = fs.existsSync(RECORDINGS_DIR) ? fs.readdirSync(RECORDINGS_DIR) : [];
+  for (const room of rooms) {
+    for (const [recordingId, files] of scanRoomRecordings(room)) {
+      groups.push({
+        room,
+        recordingId,
+        files,
+        bytes: files.reduce((sum, f) => sum + f.size, 0),
+        modifiedAt: Math.max(...files.map((f) => f.mtime.getTime())),
+      });
+    }
+  }
+  return groups;
+}
+
+// Deletes the given files; returns the names that were removed.
+async function deleteRecordingFiles(files) {
+  const deleted = [];
+  for (const file of files) {
+    try {
+      await fs.promises.unlink(file.path);
+      deleted.push(file.name);
+    } catch (err) {
+      console.warn(`delete recording file failed (${file.name}):`, err.message || err);
+    }
+  }
+  if (deleted.length > 0) refreshRecordingsBytes();
+  return deleted;
+}
+
+// Free/total space of the filesystem holding RECORDINGS_DIR, or null when it cannot be read.
+async function getDiskSpace() {
+  try {
+    const stats = await fs.promises.statfs(RECORDINGS_DIR);
+    return { freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+  } catch (err) {
+    console.warn("statfs failed:", err?.message || err);
+    return null;
+  }
+}
+
+function formatGb(bytes) {
+  return (bytes / GB).toFixed(1);
+}
+
+// Deletes finished recordings older than RECORDINGS_RETENTION_DAYS, then the oldest ones
+// until everything fits in RECORDINGS_MAX_TOTAL_GB. Active recordings are never touched.
+let retentionSweepRunning = false;
+async function sweepRecordings() {
+  const maxAgeMs = RECORDINGS_RETENTION_DAYS > 0 ? RECORDINGS_RETENTION_DAYS * 86_400_000 : 0;
+  const maxTotalBytes = RECORDINGS_MAX_TOTAL_GB > 0 ? RECORDINGS_MAX_TOTAL_GB * GB : 0;
+  if ((!maxAgeMs && !maxTotalBytes) || retentionSweepRunning) return;
+  retentionSweepRunning = true;
+  try {
+    const groups = listRecordingGroups();
+    let totalBytes = groups.reduce((sum, g) => sum + g.bytes, 0);
+    const candidates = groups
+      .filter((g) => !isRecordingActive(g.room, g.recordingId))
+      .sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+    for (const group of candidates) {
+      let reason = null;
+      if (maxAgeMs && group.modifiedAt < Date.now() - maxAgeMs) reason = "age";
+      else if (maxTotalBytes && totalBytes > maxTotalBytes) reason = "size";
+      if (!reason) continue;
+
+      const deleted = await deleteRecordingFiles(group.files);
+      totalBytes -= group.files.filter((f) => deleted.includes(f.name)).reduce((sum, f) => sum + f.size, 0);
+      console.log(`Retention: deleted recording ${group.recordingId} in ${group.room} (${reason})`);
+      audit.record("recording.expired", {
+        room: group.room,
+        actor: { kind: "system", id: "retention" },
+        target: group.recordingId,
+        details: { reason, files: deleted, bytes: group.bytes },
+      });
+    }
+  } catch (err) {
+    console.error("retention sweep error:", err);
+  } finally {
+    retentionSweepRunning = false;
+  }
+}
+
+function isRecordingActive(room, recordingId) {
+  return Object.values(recordingState.get(room) || {}).some(
+    (state) => state.recordingId === recordingId && state.status === "recording"
+  );
+}
+
+/**
+ * ADMIN: List all recordings
+ * GET /api/admin/recordings
+ * headers: { x-admin-key: ADMIN_KEY }
+ *
+ * returns: { recordings: [{ room, file, recordingId, size, modifiedAt, active }] } (media files, newest first)
+ */
+app.get("/api/admin/recordings", requireAdmin, (req, res) => {
+  try {
+    const recordings = [];
+    const rooms = fs.existsSync(RECORDINGS_DIR) ? fs.readdirSync(RECORDINGS_DIR) : [];
+
+    for (const room of rooms) {
+      const roomDir = path.join(RECORDINGS_DIR, room);
+      if (fs.statSync(roomDir).isDirectory()) {
+        const files = fs.readdirSync(roomDir);
+        for (const file of files) {
+          if (MEDIA_FILE_RE.test(file)) {
+            const stat = fs.statSync(path.join(roomDir, file));
+            const recordingId = RECORDING_FILE_RE.exec(file)?.[1] || null;
+            recordings.push({
+              room,
+              file,
+              recordingId,
+              size: stat.size,
+              modifiedAt: stat.mtime.toISOString(),
+              active: isRecordingActive(room, recordingId),
+            });
+          }
+        }
+      }
+    }
+
+    recordings.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+    res.json({ recordings });
+  } catch (err) {
+    console.error("recordings list error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * ADMIN: Stream or download a recording file
+ * GET /api/admin/recordings/:room/files/:file[?download=1]
+ *
+ * Supports HTTP Range requests, so the admin UI can play and seek the file inline.
+ */
+app.get("/api/admin/recordings/:room/files/:file", requireAdmin, (req, res) => {
+  const filePath = resolveRecordingFile(req.params.room, req.params.file);
+  if (!filePath) return res.status(400).json({ error: "invalid room or file" });
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: "unknown file" });
+
+  if (req.query.download) res.attachment(req.params.file);
+  res.sendFile(filePath, { dotfiles: "deny", acceptRanges: true, cacheControl: false }, (err) => {
+    if (!err) return;
+    if (!res.headersSent) {
+      res.status(err.status || 500).json({ error: err.status === 404 ? "unknown file" : "internal_error" });
+    } else if (err.code !== "ECONNABORTED" && err.code !== "ECONNRESET") {
+      console.warn(`recording stream error (${req.params.file}):`, err.message || err);
+    }
+  });
+});
+
+/**
+ * ADMIN: Download all files of a recording as a zip
+ * GET /api/admin/recordings/:room/:recordingId/zip
+ *
+ * Includes the media files, the manifest and the delay timeline (stored, not compressed).
+ */
+app.get("/api/admin/recordings/:room/:recordingId/zip", requireAdmin, async (req, res) => {
+  const room = sanitizeRoomName(req.params.room);
+  const { recordingId } = req.params;
+  if (!room || !RECORDING_ID_RE.test(recordingId)) {
+    return res.status(400).json({ error: "invalid room or recordingId" });
+  }
+  const files = listRecordingFiles(room, recordingId);
+  if (files.length === 0) return res.status(404).json({ error: "unknown recording" });
+
+  const plan = planZip(files.map((file) => ({ ...file, name: `${room}/${file.name}` })));
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Length": String(plan.totalSize),
+  });
+  res.attachment(`${room}_${recordingId}.zip`);
+  audit.record("recording.downloaded", {
+    room,
+    actor: adminActor(req),
+    target: recordingId,
+    details: { files: files.length, bytes: plan.totalSize },
+  });
+  try {
+    await writeZip(res, plan);
+    res.end();
+  } catch (err) {
+    console.error(`recording zip error (${recordingId}):`, err.message || err);
+    res.destroy(err);
+  }
+});
+
+/**
+ * ADMIN: Delete a recording (all of its files)
+ * DELETE /api/admin/recordings/:room/:recordingId
+ *
+ * returns: { success: true, room, recordingId, deleted: [file, ...] }; 409 while still recording
+ */
+app.delete("/api/admin/recordings/:room/:recordingId", requireAdmin, async (req, res) => {
+  try {
+    const room = sanitizeRoomName(req.params.room);
+    const { recordingId } = req.params;
+    if (!room || !RECORDING_ID_RE.test(recordingId)) {
+      return res.status(400).json({ error: "invalid room or recordingId" });
+    }
+    if (isRecordingActive(room, recordingId)) {
+      return res.status(409).json({ error: "recording is still active; stop it first" });
+    }
+    const files = listRecordingFiles(room, recordingId);
+    if (files.length === 0) return res.status(404).json({ error: "unknown recording" });
+
+    const deleted = await deleteRecordingFiles(files);
+
+    console.log(`Recording ${recordingId} deleted in room ${room} (${deleted.length} files)`);
+    audit.record("recording.deleted", {
+      room,
+      actor: adminActor(req),
+      target: recordingId,
+      details: { files: deleted },
+    });
+    if (deleted.length < files.length) {
+      return res.status(500).json({ error: "some files could not be deleted", deleted });
+    }
+    res.json({ success: true, room, recordingId, deleted });
+  } catch (err) {
+    console.error("recordings delete error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: Delay-change timeline of a recording
+ * GET /api/admin/recordings/:room/:recordingId/delays?format=json|csv|eaf
+ *
+ * Offsets are ms from the recording start. The .eaf has one tier per participant and links
+ * the recording's files, so it opens in ELAN when saved next to them.
+ *
+ * returns: { room, recordingId, startedAt, stoppedAt, events: [...] } (json)
+ */
+app.get("/api/admin/recordings/:room/:recordingId/delays", requireAdmin, async (req, res) => {
+  try {
+    const room = sanitizeRoomName(req.params.room);
+    const { recordingId } = req.params;
+    if (!room || !RECORDING_ID_RE.test(recordingId)) {
+      return res.status(400).json({ error: "invalid room or recordingId" });
+    }
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "eaf"].includes(format)) {
+      return res.status(400).json({ error: "format must be json, csv or eaf" });
+    }
+
+    const active = Object.values(recordingState.get(room) || {}).find((s) => s.recordingId === recordingId);
+    let manifest = active?.manifest?.toJSON() || null;
+    if (!manifest && fs.existsSync(manifestPath(room, recordingId))) {
+      manifest = JSON.parse(await fs.promises.readFile(manifestPath(room, recordingId), "utf8"));
+    }
+    if (!manifest) return res.status(404).json({ error: "unknown recording" });
 
-    console.log(
-      `Recording started for room ${room}, mode: ${mode}, recordingId: ${recordingId}, egressIds: ${egressIds.join(", ")}`
-    );
+    const events = await (active?.timeline || new DelayTimeline(delayTimelinePath(room, recordingId))).read();
+    const filename = `${recordingId}_delays`;
 
+    if (format === "csv") {
+      res.type("text/csv");
+      res.attachment(`${filename}.csv`);
+      return res.send(delayTimelineToCsv(events));
+    }
+    if (format === "eaf") {
+      const endMs = manifest.stoppedAt ? Date.parse(manifest.stoppedAt) : Date.now();
+      res.type("application/xml");
+      res.attachment(`${filename}.eaf`);
+      return res.send(
+        delayTimelineToEaf(events, {
+          endOffsetMs: endMs - Date.parse(manifest.startedAt),
+          mediaFiles: (manifest.egress || []).map((egress) => egress.file).filter(Boolean),
+        })
+      );
+    }
     res.json({
-      success: true,
-      recordingId,
-      egressIds,
       room,
-      mode,
-      startedAt,
+      recordingId,
+      startedAt: manifest.startedAt,
+      stoppedAt: manifest.stoppedAt,
+      events,
     });
   } catch (err) {
-    console.error("recording/start error:", err);
+    console.error("recordings delays error:", err);
     res.status(500).json({ error: err.message || "internal_error" });
   }
 });
 
-
 /**
- * ADMIN: Stop recording for a room
- * POST /api/admin/recording/stop
+ * ADMIN: Set delay effect for a participant
+ * POST /api/admin/effects/delay
  * headers: { x-admin-key: ADMIN_KEY }
- * body: { room, mode: "individual" | "composite" | "all" }
+ * body: { room, participant, delayMs?, audioDelayMs?, videoDelayMs?, transition?, transitionMs? }
  *
- * returns: { success: true, recordings: [...] }
+ * delayMs sets audio and video alike; audioDelayMs / videoDelayMs set one track (audio may lead or
+ * lag video). A track left out keeps its current delay; with none of the three, both go to 0.
+ *
+ * transition: "instant" (default) drops the relay's queued frames; "hold" keeps them and repeats
+ * the last video frame across the gap; "ramp" eases into the new delay over transitionMs (default:
+ * 5% playback speed change, stretched so the speed never changes by more than 25%).
+ *
+ * returns: { success: true, room, participant, delayMs, audioDelayMs, videoDelayMs,
+ *            transition: { mode, windowMs } }, delayMs being the larger of the two
  */
-app.post("/api/admin/recording/stop", requireAdmin, async (req, res) => {
+app.post("/api/admin/effects/delay", requireAdmin, async (req, res) => {
   try {
-    const { room, mode } = req.body || {};
-    if (!room) return res.status(400).json({ error: "missing room" });
-
-    const roomRecordings = recordingState.get(room);
-    const recordings = [];
-    const stopPromises = [];
-
-    if (roomRecordings) {
-      const stopMode = mode || "all";
-
-      const stopOneState = (recordMode, state) => {
-        if (state.status !== "recording") return;
-
-        const duration = Date.now() - new Date(state.startedAt).getTime();
-        recordings.push({
-          recordingId: state.recordingId,
-          mode: recordMode,
-          duration,
-        });
-
-        if (recordMode === "individual") {
-          stopIndividualMonitor(room);
-        }
-
-        state.status = "stopped";
-        state.stoppedAt = new Date().toISOString();
-
-        if (Array.isArray(state.egressIds)) {
-          for (const egressId of state.egressIds) {
-            stopPromises.push(
-              egressClient
-                .stopEgress(egressId)
-                .catch((err) => console.error(`stopEgress failed for ${egressId}:`, err.message || err))
-            );
-          }
-        }
-      };
+    const { room, participant, transition, transitionMs } = req.body || {};
+    if (!room || !participant) {
+      return res.status(400).json({ error: "missing room or participant" });
+    }
 
-      if (stopMode === "all") {
-        for (const [recordMode, state] of Object.entries(roomRecordings)) {
-          stopOneState(recordMode, state);
-        }
-      } else if (["individual", "composite"].includes(stopMode)) {
-        const state = roomRecordings[stopMode];
-        if (state) stopOneState(stopMode, state);
+    const delays = {};
+    for (const key of ["delayMs", "audioDelayMs", "videoDelayMs"]) {
+      const raw = req.body[key];
+      if (raw === undefined || raw === null || raw === "") continue;
+      const value = Number(raw);
+      if (!(value >= 0 && value <= 10000)) {
+        return res.status(400).json({ error: `${key} must be between 0 and 10000` });
       }
+      delays[key] = value;
     }
-
-    // Wait for all stopEgress calls to finish (best-effort)
-    if (stopPromises.length > 0) {
-      await Promise.all(stopPromises);
+    if (Object.keys(delays).length === 0) delays.delayMs = 0;
+    if (transition !== undefined && !DELAY_TRANSITIONS.includes(transition)) {
+      return res.status(400).json({ error: `transition must be one of ${DELAY_TRANSITIONS.join(", ")}` });
     }
 
-    // Remove egress-generated JSON sidecars
-    cleanupEgressJson(room);
-    const delayedCleanup = setTimeout(() => cleanupEgressJson(room), 5000);
-    delayedCleanup.unref?.();
-
-    console.log(`Recording stopped for room ${room}, mode: ${mode || "all"}`);
+    const session = await store.getSession(participant);
+    const payload = await effectsServiceRequest("/effects/delay", {
+      method: "POST",
+      body: JSON.stringify({
+        room,
+        participant,
+        ...delays,
+        keepAlive: true,
+        participantName: session?.name,
+        transition,
+        transitionMs,
+      }),
+    });
 
-    res.json({
-      success: true,
-      recordings,
+    const applied = payload.transition || { mode: "instant", windowMs: 0 };
+    const { audioDelayMs, videoDelayMs } = payload;
+    console.log(
+      `Delay effect set for ${participant} in room ${room}: audio ${audioDelayMs}ms, video ${videoDelayMs}ms (${applied.mode})`
+    );
+    audit.record("delay.changed", {
       room,
+      actor: adminActor(req),
+      target: participant,
+      details: { audioDelayMs, videoDelayMs, transition: applied.mode, transitionMs: applied.windowMs },
     });
+    await recordDelayChange(room, participant, { audioDelayMs, videoDelayMs }, adminActor(req), applied);
+    notifyAdmins(room, "delays");
+    res.json(payload);
   } catch (err) {
-    console.error("recording/stop error:", err);
+    console.error("effects/delay error:", err);
     res.status(500).json({ error: err.message || "internal_error" });
   }
 });
 
 /**
- * ADMIN: Get recording status for a room
- * GET /api/admin/recording/status?room=roomName
+ * ADMIN: Per-viewer delays of a participant (the delay matrix row for that source)
+ * POST /api/admin/effects/delay/viewers
  * headers: { x-admin-key: ADMIN_KEY }
+ * body: { room, participant, viewers: { viewerIdentity: delayMs | null } }
  *
- * returns: { recordings: [...] }
+ * A viewer with a delay sees and hears the participant with that delay (both tracks) instead of
+ * the participant's own; 0 is the undelayed original, null removes the viewer's delay. The
+ * effects-service publishes one extra relay (fx_<participant>@<delayMs>) per distinct value.
+ *
+ * returns: { success: true, room, participant, viewers: { viewerIdentity: delayMs } }
  */
-app.get("/api/admin/recording/status", requireAdmin, (req, res) => {
+app.post("/api/admin/effects/delay/viewers", requireAdmin, async (req, res) => {
   try {
-    const { room } = req.query;
-    if (!room) return res.status(400).json({ error: "missing room query param" });
+    const { room, participant, viewers } = req.body || {};
+    if (!room || !participant || !viewers || typeof viewers !== "object" || Array.isArray(viewers)) {
+      return res.status(400).json({ error: "missing room, participant or viewers" });
+    }
+    for (const [viewer, delayMs] of Object.entries(viewers)) {
+      if (delayMs === null) continue;
+      const value = Number(delayMs);
+      if (!(value >= 0 && value <= 10000)) {
+        return res.status(400).json({ error: `delay for ${viewer} must be between 0 and 10000` });
+      }
+    }
 
-    const recordings = recordingState.get(room) || {};
-    const formatted = Object.entries(recordings).map(([mode, state]) => ({
-      mode,
-      recordingId: state.recordingId,
-      status: state.status,
-      startedAt: state.startedAt,
-      stoppedAt: state.stoppedAt,
-    }));
+    const payload = await effectsServiceRequest("/effects/delay/viewers", {
+      method: "POST",
+      body: JSON.stringify({ room, participant, viewers }),
+    });
 
-    res.json({ recordings: formatted, room });
+    audit.record("delay.viewers_changed", {
+      room,
+      actor: adminActor(req),
+      target: participant,
+      details: { viewers },
+    });
+    for (const viewer of Object.keys(viewers)) {
+      await recordViewerDelayChange(room, participant, viewer, payload.viewers?.[viewer] ?? null, adminActor(req));
+    }
+    notifyAdmins(room, "delays");
+    res.json(payload);
   } catch (err) {
-    console.error("recording/status error:", err);
-    res.status(500).json({ error: "internal_error" });
+    console.error("effects/delay/viewers error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
   }
 });
 
 /**
- * ADMIN: List all recordings
- * GET /api/admin/recordings
+ * ADMIN: Play a delay profile on a participant's relay
+ * POST /api/admin/effects/delay/profile
  * headers: { x-admin-key: ADMIN_KEY }
+ * body: { room, participant, profile: { segments, seed?, loop?, tracks? } | null }
  *
- * returns: { recordings: [{ room, recordingId, mode, status, startedAt, stoppedAt, duration }] }
+ * The effects-service runs the profile by itself: segments of
+ *   { type: "step", delayMs, durationMs, transition? },
+ *   { type: "ramp", fromMs?, toMs, durationMs },
+ *   { type: "jitter", delayMs, jitterMs, distribution?: "uniform" | "normal", intervalMs?, durationMs }
+ * in order, on both tracks unless `tracks` names one. Jitter draws from a generator seeded with
+ * `seed` (drawn when left out), so a profile replays exactly. null stops the profile; setting a
+ * delay by hand stops it as well.
+ *
+ * returns: { success: true, room, participant, profile (with its seed) | null, status }
  */
-app.get("/api/admin/recordings", requireAdmin, (req, res) => {
+app.post("/api/admin/effects/delay/profile", requireAdmin, async (req, res) => {
   try {
-    const recordings = [];
-    const rooms = fs.readdirSync(RECORDINGS_DIR);
-
-    for (const room of rooms) {
-      const roomDir = path.join(RECORDINGS_DIR, room);
-      if (fs.statSync(roomDir).isDirectory()) {
-        const files = fs.readdirSync(roomDir);
-        for (const file of files) {
-          if (file.endsWith(".mp4")) {
-            recordings.push({ room, file });
-          }
-        }
-      }
+    const { room, participant, profile } = req.body || {};
+    if (!room || !participant || profile === undefined) {
+      return res.status(400).json({ error: "missing room, participant or profile" });
+    }
+    if (profile !== null && (typeof profile !== "object" || Array.isArray(profile))) {
+      return res.status(400).json({ error: "profile must be an object or null" });
     }
 
-    res.json({ recordings });
+    const session = await store.getSession(participant);
+    const payload = await effectsServiceRequest("/effects/delay/profile", {
+      method: "POST",
+      body: JSON.stringify({ room, participant, participantName: session?.name, profile }),
+    });
+
+    console.log(
+      payload.profile
+        ? `Delay profile started for ${participant} in room ${room} (seed ${payload.profile.seed})`
+        : `Delay profile stopped for ${participant} in room ${room}`
+    );
+    audit.record(payload.profile ? "delay.profile_started" : "delay.profile_stopped", {
+      room,
+      actor: adminActor(req),
+      target: participant,
+      details: payload.profile ? { profile: payload.profile } : {},
+    });
+    await recordDelayProfile(room, participant, payload.profile, adminActor(req));
+    notifyAdmins(room, "delays");
+    res.json(payload);
   } catch (err) {
-    console.error("recordings list error:", err);
-    res.status(500).json({ error: err.message });
+    console.error("effects/delay/profile error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
   }
 });
 
 /**
- * ADMIN: Set delay effect for a participant
- * POST /api/admin/effects/delay
+ * SERVICE: Delay changes effects-service made by itself, i.e. the steps, ramps and jitter draws of
+ * a delay profile, so recordings log them like changes made by hand
+ * POST /api/effects/delay-events
  * headers: { x-admin-key: ADMIN_KEY }
- * body: { room, participant, delayMs }
+ * body: { room, participant, at, audioDelayMs, videoDelayMs, transition: { mode, windowMs }, seed }
  *
- * returns: { success: true, room, participant, delayMs }
+ * Outside /api/admin so a fast jitter does not count against the admin rate limit; it has its own
+ * (RATE_LIMIT_SERVICE_MAX) and shares the admin key lockout.
+ * returns: { success: true }
  */
-app.post("/api/admin/effects/delay", requireAdmin, async (req, res) => {
+app.post("/api/effects/delay-events", requireAdmin, async (req, res) => {
   try {
-    const { room, participant, delayMs } = req.body || {};
-    if (!room || !participant) {
-      return res.status(400).json({ error: "missing room or participant" });
+    const { room, participant, at, audioDelayMs, videoDelayMs, transition, seed } = req.body || {};
+    const appliedAt = new Date(at);
+    if (!room || !participant || Number.isNaN(appliedAt.getTime())) {
+      return res.status(400).json({ error: "missing room, participant or at" });
     }
-
-    const delay = Number(delayMs) || 0;
-    if (delay < 0 || delay > 10000) {
-      return res.status(400).json({ error: "delayMs must be between 0 and 10000" });
+    const delays = { audioDelayMs: Number(audioDelayMs), videoDelayMs: Number(videoDelayMs) };
+    if (!Object.values(delays).every((value) => value >= 0 && value <= 10000)) {
+      return res.status(400).json({ error: "audioDelayMs and videoDelayMs must be between 0 and 10000" });
     }
 
-    const session = identitySessions.get(participant);
-    const payload = await effectsServiceRequest("/effects/delay", {
-      method: "POST",
-      body: JSON.stringify({
-        room,
-        participant,
-        delayMs: delay,
-        keepAlive: true,
-        participantName: session?.name,
-      }),
-    });
-
-    console.log(`Delay effect set for ${participant} in room ${room}: ${delay}ms`);
-    res.json(payload);
+    await recordDelayChange(
+      room,
+      participant,
+      delays,
+      { kind: "profile", id: String(seed ?? "") },
+      transition || { mode: "instant", windowMs: 0 },
+      { source: "profile", at: appliedAt }
+    );
+    notifyAdmins(room, "delays");
+    res.json({ success: true });
   } catch (err) {
-    console.error("effects/delay error:", err);
+    console.error("effects/delay-events error:", err);
     res.status(500).json({ error: err.message || "internal_error" });
   }
 });
@@ -910,7 +3519,12 @@ app.post("/api/admin/effects/delay", requireAdmin, async (req, res) => {
  * GET /api/admin/effects/delay/status?room=roomName
  * headers: { x-admin-key: ADMIN_KEY }
  *
- * returns: { room, delays: { participantName: delayMs, ... } }
+ * returns: { room, delays: { identity: delayMs, ... }, trackDelays: { identity: { audioDelayMs, videoDelayMs } },
+ *            viewerDelays: { identity: { viewer: delayMs } }, effectiveDelays: { identity: { audioDelayMs, videoDelayMs } },
+ *            profiles: { identity: { profile, startedAt, segment, targetMs, finished, ... } }, timing }
+ * delays holds the larger of each participant's audio and video delay; viewerDelays the viewers
+ * who get a participant with their own delay; effectiveDelays the delay applied right now, which
+ * trails the target during a ramp (and while a profile ramps or jitters).
  */
 app.get("/api/admin/effects/delay/status", requireAdmin, async (req, res) => {
   try {
@@ -926,38 +3540,119 @@ app.get("/api/admin/effects/delay/status", requireAdmin, async (req, res) => {
   }
 });
 
+// Accepts ISO timestamps or epoch milliseconds.
+function parseTimeParam(value) {
+  if (value === undefined || value === "") return undefined;
+  const asNumber = Number(value);
+  const t = Number.isFinite(asNumber) ? asNumber : Date.parse(String(value));
+  return Number.isFinite(t) ? t : null;
+}
+
+const AUDIT_QUERY_MAX = 10000;
+
 /**
- * ADMIN: Service health
- * GET /api/admin/health
- * headers: { x-admin-key: ADMIN_KEY }
+ * ADMIN: Query the audit log
+ * GET /api/admin/audit?room=&type=&from=&to=&limit=&format=json|csv
+ *
+ * `from`/`to` are ISO timestamps or epoch ms (inclusive). `type` matches exactly or by
+ * prefix (`type=recording` matches recording.started and recording.stopped).
+ * Returns the newest `limit` matches (default 1000), oldest first.
+ *
+ * returns: { events: [{ ts, type, room, actor, target, details }], truncated } or CSV
  */
-app.get("/api/admin/health", requireAdmin, async (_req, res) => {
-  const health = {
-    effectsService: { ok: false, error: null, ms: null },
-    livekit: { ok: false, error: null },
-  };
-
-  const start = Date.now();
+app.get("/api/admin/audit", requireAdmin, async (req, res) => {
   try {
-    const r = await fetchWithTimeout(`${EFFECTS_SERVICE_URL}/healthz`, {}, 3000);
-    health.effectsService.ok = r.ok;
-    if (!r.ok) {
-      health.effectsService.error = `status ${r.status}`;
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: "from/to must be ISO timestamps or epoch milliseconds" });
+    }
+    const limit = req.query.limit === undefined ? 1000 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_QUERY_MAX) {
+      return res.status(400).json({ error: `limit must be between 1 and ${AUDIT_QUERY_MAX}` });
+    }
+
+    const result = await audit.query({
+      room: req.query.room ? String(req.query.room) : undefined,
+      type: req.query.type ? String(req.query.type) : undefined,
+      from,
+      to,
+      limit,
+    });
+
+    if (String(req.query.format || "json").toLowerCase() === "csv") {
+      const rows = result.events.map((event) => ({
+        ts: event.ts,
+        type: event.type,
+        room: event.room,
+        actorKind: event.actor?.kind,
+        actor: event.actor?.id,
+        target: event.target,
+        details: event.details ? JSON.stringify(event.details) : "",
+      }));
+      res.type("text/csv");
+      res.attachment(`audit_${req.query.room || "all"}_${formatTimestamp()}.csv`);
+      return res.send(toCsv(rows, ["ts", "type", "room", "actorKind", "actor", "target", "details"]));
     }
+    res.json(result);
   } catch (err) {
-    health.effectsService.error = err?.message || String(err);
-  } finally {
-    health.effectsService.ms = Date.now() - start;
+    console.error("admin/audit error:", err);
+    res.status(500).json({ error: err.message || "internal_error" });
   }
+});
+
+/**
+ * ADMIN: Live updates for the admin panel (server-sent events)
+ * GET /api/admin/events?room=roomName
+ *
+ * Sends the room's participants, recording, delays, plus rooms and health right away,
+ * then again whenever they change. Events: participants | recording | delays | rooms | health.
+ */
+app.get("/api/admin/events", requireAdmin, async (req, res) => {
+  const room = req.query.room ? String(req.query.room) : "";
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: do not buffer the stream
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  const client = { res, room };
+  adminEventClients.add(client);
+  updateHealthMonitor();
+  // Comment lines keep idle proxies from closing the connection.
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25_000);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    adminEventClients.delete(client);
+    updateHealthMonitor();
+  });
 
+  for (const kind of room ? ["participants", "recording", "delays", "rooms"] : ["rooms"]) {
+    try {
+      sendAdminEvent(client, kind, await buildAdminEvent(room, kind));
+    } catch (err) {
+      console.warn(`admin events initial ${kind} failed:`, err?.message || err);
+    }
+  }
   try {
-    await roomService.listRooms();
-    health.livekit.ok = true;
+    sendAdminEvent(client, "health", await checkServiceHealth());
   } catch (err) {
-    health.livekit.error = err?.message || String(err);
+    console.warn("admin events initial health failed:", err?.message || err);
   }
+});
 
-  res.json(health);
+/**
+ * ADMIN: Service health
+ * GET /api/admin/health
+ * headers: { x-admin-key: ADMIN_KEY }
+ *
+ * returns: { effectsService, livekit, disk: { ok, warning, freeBytes, totalBytes, recordingsBytes, minFreeBytes } }
+ */
+app.get("/api/admin/health", requireAdmin, async (_req, res) => {
+  res.json(await checkServiceHealth());
 });
 
 /**
@@ -965,71 +3660,122 @@ app.get("/api/admin/health", requireAdmin, async (_req, res) => {
  * GET /api/admin/rooms
  * headers: { x-admin-key: ADMIN_KEY }
  *
- * returns: { rooms: [{ name, participants: [...] }] }
+ * Lists the default room, every admin-created room (even when empty) and any
+ * other LiveKit room that currently has participants.
+ *
+ * returns: { rooms: [{ name, participantCount, realParticipantCount, createdAt, isDefault, open }] }
  */
 app.get("/api/admin/rooms", requireAdmin, async (req, res) => {
   try {
-    let rooms = [];
-    try {
-      rooms = await roomService.listRooms();
-    } catch (err) {
-      console.warn("admin/rooms listRooms failed:", err.message || err);
-      rooms = [];
+    res.json({ rooms: await listAdminRooms() });
+  } catch (err) {
+    console.error("admin/rooms error:", err.message, err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: Create a named room that invites can be bound to
+ * POST /api/admin/rooms
+ * headers: { x-admin-key: ADMIN_KEY }
+ * body: { name }
+ *
+ * returns: { room: { name, createdAt } }
+ */
+app.post("/api/admin/rooms", requireAdmin, async (req, res) => {
+  try {
+    const name = sanitizeRoomName(req.body?.name);
+    if (!name) {
+      return res.status(400).json({ error: "name must be 1-64 characters of A-Z, a-z, 0-9, _ or -" });
+    }
+    if (await roomIsOpen(name)) {
+      return res.status(409).json({ error: "room already exists" });
     }
-    const roomMap = new Map(rooms.map((room) => [room.name, room]));
 
-    const sessionCounts = new Map();
-    for (const [identity, session] of identitySessions.entries()) {
-      if (!session?.room) continue;
-      if (!sessionCounts.has(session.room)) {
-        sessionCounts.set(session.room, new Set());
+    const room = { name, createdAt: new Date().toISOString() };
+    await store.saveRoom(name, room);
+    ensureWritableDir(path.join(RECORDINGS_DIR, name));
+
+    console.log(`Room created: ${name}`);
+    audit.record("room.created", { room: name, actor: adminActor(req) });
+    notifyAdmins(name, "rooms");
+    res.json({ room });
+  } catch (err) {
+    console.error("admin/rooms create error:", err.message, err);
+    res.status(500).json({ error: err.message || "internal_error" });
+  }
+});
+
+/**
+ * ADMIN: Close a room
+ * DELETE /api/admin/rooms/:roomName
+ * headers: { x-admin-key: ADMIN_KEY }
+ *
+ * Stops its recordings, disconnects everyone, and drops its invites and identity sessions.
+ * The default room is emptied the same way but stays available.
+ *
+ * returns: { success, room, recordings, revokedInvites, removedSessions }
+ */
+app.delete("/api/admin/rooms/:roomName", requireAdmin, async (req, res) => {
+  try {
+    const roomName = sanitizeRoomName(req.params.roomName);
+    if (!roomName) return res.status(400).json({ error: "invalid room name" });
+    if (!(await roomIsOpen(roomName))) {
+      return res.status(404).json({ error: "unknown room" });
+    }
+
+    const recordings = await stopRoomRecordings(roomName, "all");
+
+    let removedSessions = 0;
+    for (const [identity, session] of await store.listSessions()) {
+      if (session.room !== roomName) continue;
+      try {
+        await effectsServiceRequest("/effects/delay/remove", {
+          method: "POST",
+          body: JSON.stringify({ room: roomName, participant: identity }),
+        });
+      } catch (err) {
+        console.warn("admin/rooms close effects remove error:", err.message || err);
       }
-      sessionCounts.get(session.room).add(identity);
+      await store.deleteSession(identity);
+      removedSessions += 1;
     }
 
-    const allRoomNames = new Set([
-      ...roomMap.keys(),
-      ...sessionCounts.keys(),
-      DEFAULT_ROOM_NAME,
-    ]);
+    let revokedInvites = 0;
+    for (const [inviteId, invite] of await store.listInvites()) {
+      if (invite.room !== roomName) continue;
+      await store.deleteInvite(inviteId);
+      revokedInvites += 1;
+    }
 
-    const detailed = await Promise.all(
-      Array.from(allRoomNames).map(async (roomName) => {
-        const room = roomMap.get(roomName);
-        let realParticipantCount = 0;
-        try {
-          const participants = await roomService.listParticipants(roomName);
-          realParticipantCount = participants.filter((p) =>
-            isRecordableParticipant(p.identity)
-          ).length;
-        } catch (err) {
-          console.warn("admin/rooms listParticipants failed:", err.message || err);
-        }
+    try {
+      await roomService.deleteRoom(roomName);
+    } catch (err) {
+      console.warn("admin/rooms close deleteRoom error:", err.message || err);
+    }
 
-        const sessionCount = sessionCounts.get(roomName)?.size || 0;
-        const logicalCount = Math.max(realParticipantCount, sessionCount);
-
-        return {
-          name: roomName,
-          participantCount: room?.numParticipants ?? sessionCount,
-          realParticipantCount: logicalCount,
-          createdAt: room?.creationTime
-            ? new Date(Number(room.creationTime) * 1000).toISOString()
-            : null,
-        };
-      })
-    );
+    if (roomName !== DEFAULT_ROOM_NAME) {
+      await store.deleteRoom(roomName);
+    }
 
-    const filtered = detailed.filter((room) => room.realParticipantCount > 0);
-    res.json({ rooms: filtered });
+    console.log(
+      `Room closed: ${roomName} (invites: ${revokedInvites}, sessions: ${removedSessions})`
+    );
+    audit.record("room.closed", {
+      room: roomName,
+      actor: adminActor(req),
+      details: { revokedInvites, removedSessions },
+    });
+    notifyAdmins(roomName, "participants", "recording", "delays", "rooms");
+    res.json({ success: true, room: roomName, recordings, revokedInvites, removedSessions });
   } catch (err) {
-    console.error("admin/rooms error:", err.message, err);
+    console.error("admin/rooms close error:", err.message, err);
     res.status(500).json({ error: err.message || "internal_error" });
   }
 });
 
 /**
- * ADMIN: Get the single active room name
+ * ADMIN: Get the default room name
  * GET /api/admin/room
  * headers: { x-admin-key: ADMIN_KEY }
  *
@@ -1049,52 +3795,7 @@ app.get("/api/admin/room", requireAdmin, async (_req, res) => {
 app.get("/api/admin/rooms/:roomName/participants", requireAdmin, async (req, res) => {
   try {
     const { roomName } = req.params;
-    let participants = [];
-    try {
-      participants = await roomService.listParticipants(roomName);
-    } catch (err) {
-      const message = err?.message || "";
-      const notFound = err?.code === 404 || /not found/i.test(message);
-      if (!notFound) {
-        throw err;
-      }
-      participants = [];
-    }
-    const byIdentity = new Map(participants.map((p) => [p.identity, p]));
-
-    const formatted = participants.map((p) => {
-      const session = identitySessions.get(p.identity);
-      const showSelf = parseBooleanAttr(p?.attributes?.showSelf, session?.showSelf ?? true);
-      return {
-        identity: p.identity,
-        name: p.name,
-        state: p.state,
-        present: true,
-        placeholder: false,
-        showSelf,
-        tracks: p.tracks.map((t) => ({
-          type: t.type,
-          sid: t.sid,
-          muted: t.muted,
-        })),
-      };
-    });
-
-    for (const [identity, session] of identitySessions.entries()) {
-      if (session.room !== roomName) continue;
-      if (byIdentity.has(identity)) continue;
-      formatted.push({
-        identity,
-        name: session.name,
-        state: "offline",
-        present: false,
-        placeholder: true,
-        showSelf: session.showSelf ?? true,
-        tracks: [],
-      });
-    }
-
-    res.json({ room: roomName, participants: formatted });
+    res.json({ room: roomName, participants: await listRoomParticipants(roomName) });
   } catch (err) {
     console.error("admin/participants error:", err.message, err);
     res.status(500).json({ error: err.message || "internal_error" });
@@ -1128,7 +3829,9 @@ app.post("/api/admin/rooms/:roomName/participants/:identity/remove", requireAdmi
       console.warn("admin/effects remove error:", err.message || err);
     }
 
-    identitySessions.delete(identity);
+    await store.deleteSession(identity);
+    audit.record("participant.removed", { room: roomName, actor: adminActor(req), target: identity });
+    notifyAdmins(roomName, "participants", "delays", "rooms");
     res.json({ success: true, room: roomName, identity });
   } catch (err) {
     console.error("admin/removeParticipant error:", err.message || err);
@@ -1153,10 +3856,10 @@ app.post("/api/admin/rooms/:roomName/participants/:identity/self-visibility", re
       return res.status(400).json({ error: "showSelf must be boolean" });
     }
 
-    const session = identitySessions.get(identity);
+    const session = await store.getSession(identity);
     if (session) {
       session.showSelf = showSelf;
-      identitySessions.set(identity, session);
+      await store.saveSession(identity, session);
     }
 
     let applied = false;
@@ -1171,6 +3874,13 @@ app.post("/api/admin/rooms/:roomName/participants/:identity/self-visibility", re
       }
     }
 
+    audit.record("participant.self_visibility", {
+      room: roomName,
+      actor: adminActor(req),
+      target: identity,
+      details: { showSelf, applied },
+    });
+    notifyAdmins(roomName, "participants");
     res.json({ success: true, room: roomName, identity, showSelf, applied });
   } catch (err) {
     console.error("admin/self-visibility error:", err.message || err);
@@ -1327,6 +4037,18 @@ app.post("/api/admin/preview-token", requireAdmin, async (req, res) => {
 
 
 
+await restoreRecordings();
+refreshRecordingsBytes();
+
+if (RECORDINGS_RETENTION_DAYS > 0 || RECORDINGS_MAX_TOTAL_GB > 0) {
+  console.log(
+    `recording retention: max age ${RECORDINGS_RETENTION_DAYS || "-"} days, ` +
+      `max total ${RECORDINGS_MAX_TOTAL_GB || "-"} GB, sweep every ${RETENTION_SWEEP_MINUTES} min`
+  );
+  sweepRecordings();
+  setInterval(sweepRecordings, Math.max(1, RETENTION_SWEEP_MINUTES) * 60_000).unref();
+}
+
 app.listen(PORT, () => {
   console.log(`token-service listening on http://127.0.0.1:${PORT}`);
 });
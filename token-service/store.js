@@ -0,0 +1,351 @@
+import { createClient } from "redis";
+
+// Persistent state for token-service (invites, identity sessions and the
+// per-participant showSelf flag that lives on each session, rooms, settings,
+// admin login sessions, recording state).
+//
+// Two backends share the same interface:
+// - "redis": JSON values under `${prefix}${kind}:${id}`, expiry handled by Redis TTLs.
+// - "memory": plain Maps with lazy expiry, used for tests and local hacking.
+//
+// Invites expire at `invite.exp`; sessions are given the TTL of the invite they
+// were issued under, so both disappear together without a cleanup loop.
+
+class MemoryBackend {
+  constructor() {
+    this.collections = new Map(); // kind -> Map(id -> { value, expiresAt })
+    this.sweepTimer = setInterval(() => this._sweep(), 60_000);
+    this.sweepTimer.unref?.();
+  }
+
+  async connect() {}
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+
+  _collection(kind) {
+    if (!this.collections.has(kind)) {
+      this.collections.set(kind, new Map());
+    }
+    return this.collections.get(kind);
+  }
+
+  _isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  _sweep() {
+    for (const collection of this.collections.values()) {
+      for (const [id, entry] of collection.entries()) {
+        if (this._isExpired(entry)) collection.delete(id);
+      }
+    }
+  }
+
+  async get(kind, id) {
+    const collection = this._collection(kind);
+    const entry = collection.get(id);
+    if (!entry) return null;
+    if (this._isExpired(entry)) {
+      collection.delete(id);
+      return null;
+    }
+    return structuredClone(entry.value);
+  }
+
+  async set(kind, id, value, { ttlSeconds, keepTtl = false } = {}) {
+    const collection = this._collection(kind);
+    let expiresAt = null;
+    if (keepTtl) {
+      expiresAt = collection.get(id)?.expiresAt ?? null;
+    } else if (ttlSeconds !== undefined) {
+      expiresAt = Date.now() + ttlSeconds * 1000;
+    }
+    collection.set(id, { value: structuredClone(value), expiresAt });
+  }
+
+  async delete(kind, id) {
+    this._collection(kind).delete(id);
+  }
+
+  // Check and increment without an await in between, so concurrent claims cannot both pass.
+  async claimUse(kind, id) {
+    const entry = this._collection(kind).get(id);
+    if (!entry || this._isExpired(entry)) return null;
+    const { uses = 0, maxUses = 0 } = entry.value;
+    if (maxUses > 0 && uses >= maxUses) return null;
+    entry.value.uses = uses + 1;
+    return structuredClone(entry.value);
+  }
+
+  // Changes only `fields` in place; other fields (e.g. uses counted meanwhile) stay as they are.
+  async update(kind, id, fields, { ttlSeconds } = {}) {
+    const entry = this._collection(kind).get(id);
+    if (!entry || this._isExpired(entry)) return null;
+    Object.assign(entry.value, structuredClone(fields));
+    if (ttlSeconds !== undefined) entry.expiresAt = Date.now() + ttlSeconds * 1000;
+    return structuredClone(entry.value);
+  }
+
+  async list(kind) {
+    const out = [];
+    for (const [id, entry] of this._collection(kind).entries()) {
+      if (this._isExpired(entry)) continue;
+      out.push([id, structuredClone(entry.value)]);
+    }
+    return out;
+  }
+}
+
+// Atomic check-and-increment of `uses` against `maxUses` (0 = unlimited) in a JSON value, keeping
+// its TTL. Returns the updated JSON, or false when the key is gone or the uses are exhausted.
+const CLAIM_USE_SCRIPT = `
+local raw = redis.call("GET", KEYS[1])
+if not raw then return false end
+local value = cjson.decode(raw)
+local uses = tonumber(value.uses) or 0
+local maxUses = tonumber(value.maxUses) or 0
+if maxUses > 0 and uses >= maxUses then return false end
+value.uses = uses + 1
+local updated = cjson.encode(value)
+redis.call("SET", KEYS[1], updated, "KEEPTTL")
+return updated
+`;
+
+// Atomic update of some fields (ARGV[1], JSON) of a JSON value, with a new TTL (ARGV[2] seconds)
+// or keeping it (ARGV[2] = 0). Returns the updated JSON, or false when the key is gone.
+const UPDATE_SCRIPT = `
+local raw = redis.call("GET", KEYS[1])
+if not raw then return false end
+local value = cjson.decode(raw)
+for field, fieldValue in pairs(cjson.decode(ARGV[1])) do
+  value[field] = fieldValue
+end
+local updated = cjson.encode(value)
+local ttl = tonumber(ARGV[2])
+if ttl > 0 then
+  redis.call("SET", KEYS[1], updated, "EX", ttl)
+else
+  redis.call("SET", KEYS[1], updated, "KEEPTTL")
+end
+return updated
+`;
+
+class RedisBackend {
+  constructor({ url, prefix }) {
+    this.prefix = prefix;
+    this.client = createClient({ url });
+    this.client.on("error", (err) => {
+      console.error("redis error:", err?.message || err);
+    });
+  }
+
+  async connect() {
+    await this.client.connect();
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+
+  _key(kind, id) {
+    return `${this.prefix}${kind}:${id}`;
+  }
+
+  async get(kind, id) {
+    const raw = await this.client.get(this._key(kind, id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(kind, id, value, { ttlSeconds, keepTtl = false } = {}) {
+    const options = {};
+    if (keepTtl) {
+      options.KEEPTTL = true;
+    } else if (ttlSeconds !== undefined) {
+      options.EX = Math.max(1, Math.ceil(ttlSeconds));
+    }
+    await this.client.set(this._key(kind, id), JSON.stringify(value), options);
+  }
+
+  async delete(kind, id) {
+    await this.client.del(this._key(kind, id));
+  }
+
+  async claimUse(kind, id) {
+    const raw = await this.client.eval(CLAIM_USE_SCRIPT, { keys: [this._key(kind, id)] });
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async update(kind, id, fields, { ttlSeconds } = {}) {
+    const ttl = ttlSeconds !== undefined ? Math.max(1, Math.ceil(ttlSeconds)) : 0;
+    const raw = await this.client.eval(UPDATE_SCRIPT, {
+      keys: [this._key(kind, id)],
+      arguments: [JSON.stringify(fields), String(ttl)],
+    });
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async list(kind) {
+    const keyPrefix = this._key(kind, "");
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 200 })) {
+      keys.push(key);
+    }
+    if (keys.length === 0) return [];
+    const values = await this.client.mGet(keys);
+    const out = [];
+    keys.forEach((key, idx) => {
+      // Keys can expire between SCAN and MGET.
+      if (!values[idx]) return;
+      out.push([key.slice(keyPrefix.length), JSON.parse(values[idx])]);
+    });
+    return out;
+  }
+}
+
+function ttlUntil(expSec) {
+  return Math.max(1, expSec - Math.floor(Date.now() / 1000));
+}
+
+export class Store {
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  async connect() {
+    await this.backend.connect();
+  }
+
+  async close() {
+    await this.backend.close();
+  }
+
+  // invites: inviteId -> { secretHash, room, role, exp, uses, maxUses }
+
+  getInvite(inviteId) {
+    return this.backend.get("invite", inviteId);
+  }
+
+  saveInvite(inviteId, invite) {
+    return this.backend.set("invite", inviteId, invite, { ttlSeconds: ttlUntil(invite.exp) });
+  }
+
+  /**
+   * Counts one use of the invite if it has uses left, atomically on both backends. Resolves to the
+   * updated invite, or null when it is gone or already used up.
+   */
+  claimInviteUse(inviteId) {
+    return this.backend.claimUse("invite", inviteId);
+  }
+
+  /**
+   * Sets the invite's `exp` and/or `maxUses` without touching `uses`, so a claim running at the
+   * same time is not lost. A new `exp` moves the expiry too. Resolves to the updated invite, or
+   * null when it is gone.
+   */
+  updateInviteLimits(inviteId, { exp, maxUses }) {
+    const fields = {};
+    if (exp !== undefined) fields.exp = exp;
+    if (maxUses !== undefined) fields.maxUses = maxUses;
+    return this.backend.update("invite", inviteId, fields, exp !== undefined ? { ttlSeconds: ttlUntil(exp) } : {});
+  }
+
+  deleteInvite(inviteId) {
+    return this.backend.delete("invite", inviteId);
+  }
+
+  listInvites() {
+    return this.backend.list("invite");
+  }
+
+  // identity sessions: identity -> { inviteId, room, name, showSelf }
+
+  getSession(identity) {
+    return this.backend.get("session", identity);
+  }
+
+  /**
+   * Pass `exp` (unix seconds) when issuing a session; omit it to keep the
+   * current expiry when updating an existing one.
+   */
+  saveSession(identity, session, exp) {
+    const options = exp === undefined ? { keepTtl: true } : { ttlSeconds: ttlUntil(exp) };
+    return this.backend.set("session", identity, session, options);
+  }
+
+  deleteSession(identity) {
+    return this.backend.delete("session", identity);
+  }
+
+  listSessions() {
+    return this.backend.list("session");
+  }
+
+  // rooms: roomName -> { name, createdAt } (admin-created rooms; no expiry)
+
+  getRoom(name) {
+    return this.backend.get("room", name);
+  }
+
+  saveRoom(name, room) {
+    return this.backend.set("room", name, room);
+  }
+
+  deleteRoom(name) {
+    return this.backend.delete("room", name);
+  }
+
+  listRooms() {
+    return this.backend.list("room");
+  }
+
+  // admin sessions: sid -> { username, createdAt } (expire with the session token)
+
+  getAdminSession(sid) {
+    return this.backend.get("adminSession", sid);
+  }
+
+  saveAdminSession(sid, session, exp) {
+    return this.backend.set("adminSession", sid, session, { ttlSeconds: ttlUntil(exp) });
+  }
+
+  deleteAdminSession(sid) {
+    return this.backend.delete("adminSession", sid);
+  }
+
+  // recordings: roomName -> { [mode]: { recordingId, startedAt, stoppedAt, status, egressIds,
+  // participants?, parts? } }. Kept without expiry while recording; pass `ttlSeconds` once stopped.
+
+  saveRecordings(room, recordings, ttlSeconds) {
+    return this.backend.set("recording", room, recordings, ttlSeconds === undefined ? {} : { ttlSeconds });
+  }
+
+  listRecordings() {
+    return this.backend.list("recording");
+  }
+
+  // settings: small persistent values such as the default room name
+
+  getSetting(name) {
+    return this.backend.get("setting", name);
+  }
+
+  saveSetting(name, value) {
+    return this.backend.set("setting", name, value);
+  }
+}
+
+export async function createStore({ backend = "memory", redisUrl, prefix = "clasp-vc:" } = {}) {
+  let impl;
+  if (backend === "redis") {
+    impl = new RedisBackend({ url: redisUrl, prefix });
+  } else if (backend === "memory") {
+    impl = new MemoryBackend();
+  } else {
+    throw new Error(`Unknown STORE_BACKEND: ${backend}`);
+  }
+  const store = new Store(impl);
+  await store.connect();
+  return store;
+}
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { csvCell, toCsv } from "../csv.js";
+
+test("cells with commas, quotes or line breaks are quoted", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell("a,b"), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(undefined), "");
+});
+
+test("text a spreadsheet would run as a formula is prefixed with a quote", () => {
+  assert.equal(csvCell("=HYPERLINK(\"http://x\")"), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvCell("+1"), "'+1");
+  assert.equal(csvCell("-2+3"), "'-2+3");
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvCell("\tcmd"), "'\tcmd");
+  assert.equal(csvCell("\r=1"), "\"'\r=1\"");
+  assert.equal(csvCell("a=b"), "a=b");
+});
+
+test("numbers are written as they are", () => {
+  assert.equal(csvCell(-5), "-5");
+  assert.equal(csvCell(0), "0");
+});
+
+test("toCsv writes a header and one CRLF line per row", () => {
+  const csv = toCsv(
+    [
+      { label: "Ann", inviteId: "a1" },
+      { label: "=1+1", inviteId: "b2", extra: "ignored" },
+    ],
+    ["inviteId", "label"]
+  );
+  assert.equal(csv, "inviteId,label\r\na1,Ann\r\nb2,'=1+1\r\n");
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { FailureLockout, RateLimiter } from "../ratelimit.js";
+
+let now;
+beforeEach((t) => {
+  now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+});
+
+test("the rate limiter allows max requests per window and key", () => {
+  const limiter = new RateLimiter({ windowSeconds: 60, max: 3 });
+  assert.deepEqual([1, 2, 3].map(() => limiter.hit("ip-a")), [0, 0, 0]);
+  assert.equal(limiter.hit("ip-a"), 60);
+  assert.equal(limiter.hit("ip-b"), 0);
+
+  now += 45_500;
+  assert.equal(limiter.hit("ip-a"), 15);
+  now += 14_500;
+  assert.equal(limiter.hit("ip-a"), 0);
+});
+
+test("a rate limit of 0 is off", () => {
+  const limiter = new RateLimiter({ windowSeconds: 60, max: 0 });
+  for (let i = 0; i < 100; i += 1) assert.equal(limiter.hit("ip-a"), 0);
+});
+
+test("failures lock out every key involved once one reaches the limit", () => {
+  const lockout = new FailureLockout({ maxFailures: 3, windowSeconds: 600, lockoutSeconds: 900 });
+  assert.deepEqual(lockout.fail(["ip:a", "invite:x"]), []);
+  assert.deepEqual(lockout.fail(["ip:a", "invite:y"]), []);
+  assert.deepEqual(lockout.fail(["ip:a", "invite:x"]), ["ip:a"]);
+  assert.equal(lockout.retryAfter(["ip:a"]), 900);
+  assert.equal(lockout.retryAfter(["ip:b", "invite:x"]), 0);
+  assert.deepEqual(lockout.fail(["ip:b", "invite:x"]), ["invite:x"]);
+  assert.equal(lockout.retryAfter(["ip:b", "invite:x"]), 900);
+
+  now += 899_001;
+  assert.equal(lockout.retryAfter(["ip:a"]), 1);
+  now += 1_000;
+  assert.equal(lockout.retryAfter(["ip:a", "invite:x"]), 0);
+});
+
+test("failures older than the window do not count", () => {
+  const lockout = new FailureLockout({ maxFailures: 2, windowSeconds: 600, lockoutSeconds: 900 });
+  lockout.fail(["ip:a"]);
+  now += 600_000;
+  assert.deepEqual(lockout.fail(["ip:a"]), []);
+  assert.deepEqual(lockout.fail(["ip:a"]), ["ip:a"]);
+});
+
+test("a lockout limit of 0 is off", () => {
+  const lockout = new FailureLockout({ maxFailures: 0, windowSeconds: 600, lockoutSeconds: 900 });
+  for (let i = 0; i < 20; i += 1) assert.deepEqual(lockout.fail(["ip:a"]), []);
+  assert.equal(lockout.retryAfter(["ip:a"]), 0);
+});
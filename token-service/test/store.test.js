@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { createStore } from "../store.js";
+
+const store = await createStore({ backend: "memory" });
+after(() => store.close());
+
+function invite(maxUses) {
+  return { secretHash: "x", room: "lab", role: "participant", exp: Math.floor(Date.now() / 1000) + 60, uses: 0, maxUses };
+}
+
+test("a single-use invite is claimed once even when redeemed concurrently", async () => {
+  await store.saveInvite("single", invite(1));
+  const claims = await Promise.all([1, 2, 3, 4].map(() => store.claimInviteUse("single")));
+  assert.equal(claims.filter(Boolean).length, 1);
+  assert.equal((await store.getInvite("single")).uses, 1);
+});
+
+test("claims stop at maxUses", async () => {
+  await store.saveInvite("three", invite(3));
+  const uses = [];
+  for (let i = 0; i < 5; i += 1) uses.push((await store.claimInviteUse("three"))?.uses ?? null);
+  assert.deepEqual(uses, [1, 2, 3, null, null]);
+});
+
+test("maxUses 0 is unlimited", async () => {
+  await store.saveInvite("open", invite(0));
+  for (let i = 0; i < 10; i += 1) assert.ok(await store.claimInviteUse("open"));
+  assert.equal((await store.getInvite("open")).uses, 10);
+});
+
+test("a deleted invite cannot be claimed", async () => {
+  assert.equal(await store.claimInviteUse("missing"), null);
+  await store.saveInvite("deleted", invite(1));
+  await store.deleteInvite("deleted");
+  assert.equal(await store.claimInviteUse("deleted"), null);
+});
+
+test("changing an invite's limits keeps the uses claimed meanwhile", async () => {
+  await store.saveInvite("patched", invite(2));
+  // An admin update that read the invite before this claim must not write the old count back.
+  const before = await store.getInvite("patched");
+  assert.equal((await store.claimInviteUse("patched")).uses, 1);
+  const updated = await store.updateInviteLimits("patched", { maxUses: before.maxUses + 3 });
+  assert.equal(updated.uses, 1);
+  assert.equal(updated.maxUses, 5);
+  assert.deepEqual(await store.getInvite("patched"), updated);
+});
+
+test("claims and limit changes running together lose no use", async () => {
+  await store.saveInvite("busy", invite(0));
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const results = await Promise.all(
+    Array.from({ length: 12 }, (_, i) =>
+      i % 3 === 0 ? store.updateInviteLimits("busy", { exp, maxUses: 100 }) : store.claimInviteUse("busy")
+    )
+  );
+  assert.ok(results.every(Boolean));
+  const stored = await store.getInvite("busy");
+  assert.equal(stored.uses, 8);
+  assert.equal(stored.exp, exp);
+  assert.equal(stored.maxUses, 100);
+  assert.equal(stored.secretHash, "x");
+});
+
+test("limits of a missing invite are not changed", async () => {
+  assert.equal(await store.updateInviteLimits("missing", { maxUses: 1 }), null);
+  assert.equal(await store.getInvite("missing"), null);
+});
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { DelayTimeline, delayTimelineToCsv, delayTimelineToEaf } from "../timeline.js";
+
+const START = Date.parse("2026-10-19T10:00:00.000Z");
+const who = { identity: "p1", name: "Ann", label: "P01" };
+
+function at(offsetMs) {
+  return { ts: new Date(START + offsetMs).toISOString(), offsetMs };
+}
+
+function change(offsetMs, delayMs, previousDelayMs, extra = {}) {
+  return {
+    ...at(offsetMs),
+    source: "admin",
+    ...who,
+    delayMs,
+    audioDelayMs: delayMs,
+    videoDelayMs: delayMs,
+    previousDelayMs,
+    by: { kind: "admin", id: "alice" },
+    transition: "instant",
+    transitionMs: 0,
+    ...extra,
+  };
+}
+
+const profile = { tracks: ["audio", "video"], loop: false, seed: 5, segments: [{ type: "step", delayMs: 200, durationMs: 1000 }] };
+
+const events = [
+  change(0, 0, 0, { source: "initial", by: null }),
+  change(1000, 500, 0, { transition: "ramp", transitionMs: 400 }),
+  { ...at(2000), source: "admin", ...who, viewer: "v1", viewerName: "Bob", delayMs: 800, by: { kind: "admin", id: "alice" } },
+  { ...at(3000), ...who, profile, profileStartedAt: at(3000).ts, by: { kind: "admin", id: "alice" } },
+  change(3000, 200, 500, { source: "profile", by: { kind: "profile", id: "5" } }),
+];
+
+// [tier, start, end, value] for every annotation of an .eaf document.
+function annotations(eaf) {
+  const slots = new Map([...eaf.matchAll(/TIME_SLOT_ID="(ts\d+)" TIME_VALUE="(\d+)"/g)].map((m) => [m[1], Number(m[2])]));
+  const result = [];
+  for (const [, tier, body] of eaf.matchAll(/<TIER [^>]*TIER_ID="([^"]*)">\n([\s\S]*?)<\/TIER>/g)) {
+    for (const m of body.matchAll(/TIME_SLOT_REF1="(ts\d+)" TIME_SLOT_REF2="(ts\d+)">\s*<ANNOTATION_VALUE>([^<]*)</g)) {
+      result.push([tier, slots.get(m[1]), slots.get(m[2]), m[3]]);
+    }
+  }
+  return result;
+}
+
+test("the CSV has one line per event with the actor id and the profile as JSON", () => {
+  const lines = delayTimelineToCsv(events).trimEnd().split("\r\n");
+  assert.equal(
+    lines[0],
+    "ts,offsetMs,source,identity,name,label,delayMs,audioDelayMs,videoDelayMs,previousDelayMs,by,transition,transitionMs,viewer,viewerName,profile,profileStartedAt"
+  );
+  assert.equal(lines.length, events.length + 1);
+  assert.equal(lines[2], "2026-10-19T10:00:01.000Z,1000,admin,p1,Ann,P01,500,500,500,0,alice,ramp,400,,,,");
+  assert.equal(lines[3], "2026-10-19T10:00:02.000Z,2000,admin,p1,Ann,P01,800,,,,alice,,,v1,Bob,,");
+  assert.ok(lines[4].includes(`"${JSON.stringify(profile).replace(/"/g, '""')}"`));
+  assert.ok(lines[5].startsWith("2026-10-19T10:00:03.000Z,3000,profile,p1,Ann,P01,200,200,200,500,5,instant,0"));
+});
+
+test("the ELAN export has a delay, a viewer and a profile tier", () => {
+  const eaf = delayTimelineToEaf(events, { endOffsetMs: 5000, mediaFiles: ["rec_composite.mp4"] });
+  assert.match(eaf, /MEDIA_URL="rec_composite.mp4" MIME_TYPE="video\/mp4" RELATIVE_MEDIA_URL=".\/rec_composite.mp4"/);
+  assert.deepEqual(annotations(eaf), [
+    ["delay profile P01 Ann (p1)", 3000, 4000, "step 200, seed 5"],
+    ["delay P01 Ann (p1)", 0, 1000, "0"],
+    ["delay P01 Ann (p1)", 1000, 1400, "0→500"],
+    ["delay P01 Ann (p1)", 1400, 3000, "500"],
+    ["delay P01 Ann (p1)", 3000, 5000, "200"],
+    ["delay P01 Ann (p1) seen by Bob (v1)", 2000, 5000, "800"],
+  ]);
+});
+
+test("participants whose audio and video delays differed get a tier per track", () => {
+  const split = [change(0, 0, 0, { source: "initial" }), change(1000, 300, 0, { videoDelayMs: 100 })];
+  assert.deepEqual(annotations(delayTimelineToEaf(split, { endOffsetMs: 2000 })), [
+    ["delay audio P01 Ann (p1)", 0, 1000, "0"],
+    ["delay audio P01 Ann (p1)", 1000, 2000, "300"],
+    ["delay video P01 Ann (p1)", 0, 1000, "0"],
+    ["delay video P01 Ann (p1)", 1000, 2000, "100"],
+  ]);
+});
+
+test("a delay set by hand ends the profile span", () => {
+  const looping = { ...profile, loop: true };
+  const list = [
+    { ...at(0), ...who, profile: looping, profileStartedAt: at(0).ts },
+    change(0, 200, 0, { source: "profile" }),
+    change(1500, 600, 200),
+  ];
+  const spans = annotations(delayTimelineToEaf(list, { endOffsetMs: 4000 })).filter(([tier]) => tier.startsWith("delay profile"));
+  assert.deepEqual(spans, [["delay profile P01 Ann (p1)", 0, 1500, "step 200 (loop), seed 5"]]);
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "timeline-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("the timeline file keeps events in order and skips a torn last line", async () => {
+  const timeline = new DelayTimeline(path.join(dir, "rec.delays.jsonl"));
+  assert.deepEqual(await timeline.read(), []);
+  events.forEach((event) => timeline.record(event));
+  await timeline.pending;
+  fs.appendFileSync(timeline.filePath, '{"ts":"2026-10');
+  assert.deepEqual(await timeline.read(), JSON.parse(JSON.stringify(events)));
+});
@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import zlib from "node:zlib";
+import { after, test } from "node:test";
+import { planZip, writeZip } from "../zip.js";
+
+const MAX32 = 0xffffffff;
+const GiB = 1024 ** 3;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zip-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function file(name, content, mtime = new Date(2026, 9, 19, 10, 30, 44)) {
+  const filePath = path.join(dir, name.replace(/\//g, "_"));
+  fs.writeFileSync(filePath, content);
+  return { name, path: filePath, size: Buffer.byteLength(content), mtime };
+}
+
+async function zipToBuffer(plan) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on("data", (chunk) => chunks.push(chunk));
+  await writeZip(out, plan);
+  out.end();
+  return Buffer.concat(chunks);
+}
+
+// Reads the central directory (and the ZIP64 end records when present) like an unzip tool would,
+// checking every local header and data descriptor against it.
+function readZip(buf) {
+  const end = buf.length - 22;
+  assert.equal(buf.readUInt32LE(end), 0x06054b50);
+  let count = buf.readUInt16LE(end + 10);
+  let cdSize = buf.readUInt32LE(end + 12);
+  let cdOffset = buf.readUInt32LE(end + 16);
+  const zip64End = end >= 20 && buf.readUInt32LE(end - 20) === 0x07064b50;
+  if (zip64End) {
+    const rec = Number(buf.readBigUInt64LE(end - 12));
+    assert.equal(buf.readUInt32LE(rec), 0x06064b50);
+    count = Number(buf.readBigUInt64LE(rec + 32));
+    cdSize = Number(buf.readBigUInt64LE(rec + 40));
+    cdOffset = Number(buf.readBigUInt64LE(rec + 48));
+  }
+  assert.equal(cdOffset + cdSize, zip64End ? end - 76 : end);
+
+  const entries = [];
+  let at = cdOffset;
+  for (let i = 0; i < count; i += 1) {
+    assert.equal(buf.readUInt32LE(at), 0x02014b50);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const extraLength = buf.readUInt16LE(at + 30);
+    const name = buf.toString("utf8", at + 46, at + 46 + nameLength);
+    const crc = buf.readUInt32LE(at + 16);
+    const size = buf.readUInt32LE(at + 24);
+    const offset = buf.readUInt32LE(at + 42);
+    assert.equal(size, buf.readUInt32LE(at + 20));
+    assert.equal(buf.readUInt16LE(at + 10), 0);
+
+    const local = offset;
+    assert.equal(buf.readUInt32LE(local), 0x04034b50);
+    assert.equal(buf.toString("utf8", local + 30, local + 30 + nameLength), name);
+    const dataStart = local + 30 + nameLength + buf.readUInt16LE(local + 28);
+    const data = buf.subarray(dataStart, dataStart + size);
+    assert.equal(zlib.crc32(data), crc);
+    assert.equal(buf.readUInt32LE(dataStart + size), 0x08074b50);
+    assert.equal(buf.readUInt32LE(dataStart + size + 4), crc);
+    assert.equal(buf.readUInt32LE(dataStart + size + 8), size);
+
+    entries.push({ name, data, time: buf.readUInt16LE(at + 12), day: buf.readUInt16LE(at + 14) });
+    at += 46 + nameLength + extraLength;
+  }
+  assert.equal(at, cdOffset + cdSize);
+  return { entries, zip64End };
+}
+
+test("writes a stored archive of exactly the planned size", async () => {
+  const files = [
+    file("lab/rec_composite.mp4", Buffer.alloc(70_000, 7)),
+    file("lab/rec.manifest.json", '{"version":2}'),
+    file("lab/empty.txt", ""),
+    file("lab/grüße.json", "[]"),
+  ];
+  const plan = planZip(files);
+  const buf = await zipToBuffer(plan);
+  assert.equal(buf.length, plan.totalSize);
+
+  const { entries, zip64End } = readZip(buf);
+  assert.equal(zip64End, false);
+  assert.deepEqual(
+    entries.map((entry) => entry.name),
+    files.map((f) => f.name)
+  );
+  entries.forEach((entry, i) => assert.deepEqual(entry.data, fs.readFileSync(files[i].path)));
+  // 10:30:44 on 2026-10-19, local time, in DOS format.
+  assert.equal(entries[0].time, (10 << 11) | (30 << 5) | 22);
+  assert.equal(entries[0].day, (46 << 9) | (10 << 5) | 19);
+});
+
+test("reads only the planned size of a file that grew meanwhile", async () => {
+  const growing = file("lab/rec_live.ogg", "12345");
+  const plan = planZip([growing]);
+  fs.appendFileSync(growing.path, "678");
+  const buf = await zipToBuffer(plan);
+  assert.equal(buf.length, plan.totalSize);
+  assert.equal(readZip(buf).entries[0].data.toString(), "12345");
+});
+
+test("plans ZIP64 records for entries and offsets past 4 GiB", () => {
+  const plan = planZip([
+    { name: "big.mp4", size: 5 * GiB },
+    { name: "after.json", size: 10 },
+    { name: "small.txt", size: 1 },
+  ]);
+  const [big, afterBig, small] = plan.entries;
+
+  // Local header + ZIP64 extra, data, ZIP64 data descriptor.
+  assert.equal(big.zip64, true);
+  assert.equal(afterBig.offset, 30 + 7 + 20 + 5 * GiB + 24);
+  // Past 4 GiB every entry is ZIP64 and its central header carries the offset too.
+  assert.equal(afterBig.zip64, true);
+  assert.equal(small.zip64, true);
+  assert.equal(big.centralExtraLength, 4 + 16);
+  assert.equal(afterBig.centralExtraLength, 4 + 16 + 8);
+  assert.equal(small.offset, afterBig.offset + 30 + 10 + 20 + 10 + 24);
+
+  assert.equal(plan.cdOffset, small.offset + 30 + 9 + 20 + 1 + 24);
+  assert.equal(plan.cdSize, 46 + 7 + 20 + (46 + 10 + 28) + (46 + 9 + 28));
+  assert.equal(plan.zip64End, true);
+  assert.equal(plan.totalSize, plan.cdOffset + plan.cdSize + 56 + 20 + 22);
+  assert.ok(plan.cdOffset > MAX32);
+});
+
+test("small archives use no ZIP64 records", () => {
+  const plan = planZip([{ name: "a.txt", size: 3 }]);
+  assert.equal(plan.entries[0].zip64, false);
+  assert.equal(plan.entries[0].centralExtraLength, 0);
+  assert.equal(plan.zip64End, false);
+  assert.equal(plan.totalSize, 30 + 5 + 3 + 16 + 46 + 5 + 22);
+});
+
+test("writes the ZIP64 end records for 65535 entries or more", async () => {
+  const empty = { path: path.join(dir, "unused"), size: 0, mtime: new Date() };
+  const files = Array.from({ length: 0xffff }, (_, i) => ({ ...empty, name: `f${i}` }));
+  const plan = planZip(files);
+  assert.equal(plan.zip64End, true);
+  const buf = await zipToBuffer(plan);
+  assert.equal(buf.length, plan.totalSize);
+  assert.equal(buf.readUInt16LE(buf.length - 22 + 10), 0xffff);
+
+  const { entries, zip64End } = readZip(buf);
+  assert.equal(zip64End, true);
+  assert.equal(entries.length, 0xffff);
+  assert.equal(entries[0xfffe].name, "f65534");
+});
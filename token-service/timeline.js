@@ -0,0 +1,225 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { toCsv } from "./csv.js";
+
+// Per-recording delay timeline, `${recordingId}.delays.jsonl` next to the recording files.
+// One JSON object per line:
+//   { ts, offsetMs, source: "initial" | "admin" | "profile", identity, name, label, delayMs, audioDelayMs,
+//     videoDelayMs, previousDelayMs, by, transition, transitionMs, viewer, viewerName }
+// `delayMs` and `previousDelayMs` are the larger of the audio and video delay.
+// Events with a `viewer` are that viewer's own delay of the participant (null: none any more).
+// Events with a `profile` (and `profileStartedAt`) start a delay profile, or stop it when null;
+// each delay the profile then applies is an event with source "profile".
+// `transition` is how the relay moved to the new delay (instant, hold or ramp); a ramp reaches
+// `delayMs` only `transitionMs` after the change.
+// `offsetMs` is relative to the recording start (server clock), so it lines up with the
+// composite file and with the manifest's join offsets. Exports as CSV or an ELAN (.eaf) document.
+
+export const DELAY_CSV_COLUMNS = [
+  "ts",
+  "offsetMs",
+  "source",
+  "identity",
+  "name",
+  "label",
+  "delayMs",
+  "audioDelayMs",
+  "videoDelayMs",
+  "previousDelayMs",
+  "by",
+  "transition",
+  "transitionMs",
+  "viewer",
+  "viewerName",
+  "profile",
+  "profileStartedAt",
+];
+
+/** CSV with DELAY_CSV_COLUMNS; `by` is the actor's id and `profile` the definition as JSON. */
+export function delayTimelineToCsv(events) {
+  const rows = events.map((event) => ({
+    ...event,
+    by: event.by?.id ?? "",
+    profile: event.profile ? JSON.stringify(event.profile) : "",
+  }));
+  return toCsv(rows, DELAY_CSV_COLUMNS);
+}
+
+export class DelayTimeline {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = Promise.resolve();
+  }
+
+  record(event) {
+    const line = `${JSON.stringify(event)}\n`;
+    this.pending = this.pending
+      .then(() => fs.promises.appendFile(this.filePath, line))
+      .catch((err) => {
+        console.error(`delay timeline write failed (${this.filePath}):`, err?.message || err);
+      });
+    return this.pending;
+  }
+
+  /** All events, oldest first; [] when the file does not exist. */
+  async read() {
+    await this.pending;
+    if (!fs.existsSync(this.filePath)) return [];
+    const events = [];
+    const rl = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+    for await (const line of rl) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        // Skip a torn last line.
+      }
+    }
+    return events;
+  }
+}
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const MEDIA_MIME_TYPES = { mp4: "video/mp4", webm: "video/webm", ogg: "audio/ogg", mp3: "audio/mpeg" };
+
+function tierName(event, kind) {
+  const who = event.label ? `${event.label} ${event.name || event.identity}` : event.name || event.identity;
+  const seenBy = event.viewer ? ` seen by ${event.viewerName || event.viewer} (${event.viewer})` : "";
+  return `delay${kind ? ` ${kind}` : ""} ${who} (${event.identity})${seenBy}`;
+}
+
+function isProfileEvent(event) {
+  return "profile" in event;
+}
+
+function describeProfile(profile) {
+  const segments = profile.segments.map((segment) => {
+    if (segment.type === "step") return `step ${segment.delayMs}`;
+    if (segment.type === "ramp") return `ramp ${segment.fromMs ?? ""}→${segment.toMs}`;
+    return `jitter ${segment.delayMs}±${segment.jitterMs}`;
+  });
+  return `${segments.join(", ")}${profile.loop ? " (loop)" : ""}, seed ${profile.seed}`;
+}
+
+// Spans of the delay profiles in `list` (one participant's events): from the start to the end of
+// the profile, the next profile event or the next delay set by hand, whichever comes first.
+function profileSpans(list, endOffsetMs) {
+  const spans = [];
+  list.forEach((event, i) => {
+    if (!isProfileEvent(event) || !event.profile) return;
+    const start = Math.max(0, Math.round(event.offsetMs));
+    let end = endOffsetMs;
+    const next = list.slice(i + 1).find((later) => isProfileEvent(later) || later.source === "admin");
+    if (next) end = Math.min(end, next.offsetMs);
+    if (!event.profile.loop) {
+      const lengthMs = event.profile.segments.reduce((sum, segment) => sum + segment.durationMs, 0);
+      const startedMs = event.offsetMs - (Date.parse(event.ts) - Date.parse(event.profileStartedAt || event.ts));
+      end = Math.min(end, startedMs + lengthMs);
+    }
+    end = Math.round(end);
+    if (end > start) spans.push({ start, end, value: describeProfile(event.profile) });
+  });
+  return spans;
+}
+
+// Events written before delays were per track only have delayMs.
+function trackDelay(event, kind) {
+  return event[`${kind}DelayMs`] ?? event.delayMs;
+}
+
+/**
+ * ELAN annotation document with one tier per participant, or an audio and a video tier for
+ * participants whose audio and video delay differed at some point, plus one tier per viewer who
+ * got a participant with their own delay, and a profile tier for participants who had a delay
+ * profile. Each annotation spans from a delay change to the next change (or `endOffsetMs`) and
+ * holds the delay in ms; the window of a ramp gets its own "from→to" annotation. Times are ms from the recording start; `mediaFiles`
+ * are linked relative to the .eaf, which belongs in the same folder.
+ */
+export function delayTimelineToEaf(events, { endOffsetMs, mediaFiles = [] }) {
+  const byTier = new Map();
+  for (const event of events) {
+    const key = event.viewer ? `${event.identity}\n${event.viewer}` : event.identity;
+    if (!byTier.has(key)) byTier.set(key, []);
+    byTier.get(key).push(event);
+  }
+
+  const tiers = [];
+  for (const events of byTier.values()) {
+    const profiles = profileSpans(events, endOffsetMs);
+    if (profiles.length > 0) {
+      tiers.push({ name: tierName(events[events.length - 1], "profile"), spans: profiles });
+    }
+    const list = events.filter((event) => !isProfileEvent(event));
+    if (list.length === 0) continue;
+    const split = list.some((event) => trackDelay(event, "audio") !== trackDelay(event, "video"));
+    for (const kind of split ? ["audio", "video"] : [null]) {
+      const delayOf = (event) => (kind ? trackDelay(event, kind) : event.delayMs);
+      const spans = [];
+      list.forEach((event, i) => {
+        const start = Math.max(0, Math.round(event.offsetMs));
+        const next = i + 1 < list.length ? list[i + 1].offsetMs : Math.max(endOffsetMs, start);
+        const end = Math.max(0, Math.round(next));
+        // Changes within the same millisecond: only the last one is visible.
+        if (end <= start || delayOf(event) === null) return;
+        const from = i > 0 ? delayOf(list[i - 1]) : event.previousDelayMs ?? 0;
+        const ramping = event.transition === "ramp" && from !== delayOf(event);
+        const rampEnd = ramping ? Math.min(end, start + Math.round(event.transitionMs || 0)) : start;
+        if (rampEnd > start) spans.push({ start, end: rampEnd, value: `${from}→${delayOf(event)}` });
+        if (end > rampEnd) spans.push({ start: rampEnd, end, value: delayOf(event) });
+      });
+      tiers.push({ name: tierName(list[list.length - 1], kind), spans });
+    }
+  }
+
+  // ELAN expects time slots in chronological order.
+  const slotValues = [...new Set(tiers.flatMap((tier) => tier.spans.flatMap((s) => [s.start, s.end])))];
+  slotValues.sort((a, b) => a - b);
+  const slotIds = new Map(slotValues.map((ms, i) => [ms, `ts${i + 1}`]));
+
+  let annotationCount = 0;
+  const tierXml = tiers.map(({ name, spans }) => {
+    const annotations = spans.map(({ start, end, value }) => {
+      annotationCount += 1;
+      return (
+        `    <ANNOTATION>\n` +
+        `      <ALIGNABLE_ANNOTATION ANNOTATION_ID="a${annotationCount}" TIME_SLOT_REF1="${slotIds.get(start)}" TIME_SLOT_REF2="${slotIds.get(end)}">\n` +
+        `        <ANNOTATION_VALUE>${xmlEscape(value)}</ANNOTATION_VALUE>\n` +
+        `      </ALIGNABLE_ANNOTATION>\n` +
+        `    </ANNOTATION>\n`
+      );
+    });
+    return `  <TIER LINGUISTIC_TYPE_REF="delay" TIER_ID="${xmlEscape(name)}">\n${annotations.join("")}  </TIER>`;
+  });
+
+  const media = mediaFiles.map(
+    (file) =>
+      `    <MEDIA_DESCRIPTOR MEDIA_URL="${xmlEscape(file)}" MIME_TYPE="${MEDIA_MIME_TYPES[path.extname(file).slice(1)] || "video/mp4"}" RELATIVE_MEDIA_URL="./${xmlEscape(file)}"/>`
+  );
+  const timeSlots = slotValues.map((ms) => `    <TIME_SLOT TIME_SLOT_ID="${slotIds.get(ms)}" TIME_VALUE="${ms}"/>`);
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<ANNOTATION_DOCUMENT AUTHOR="clasp" DATE="${new Date().toISOString()}" FORMAT="3.0" VERSION="3.0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://www.mpi.nl/tools/elan/EAFv3.0.xsd">`,
+    `  <HEADER MEDIA_FILE="" TIME_UNITS="milliseconds">`,
+    ...media,
+    `  </HEADER>`,
+    `  <TIME_ORDER>`,
+    ...timeSlots,
+    `  </TIME_ORDER>`,
+    ...tierXml,
+    `  <LINGUISTIC_TYPE GRAPHIC_REFERENCES="false" LINGUISTIC_TYPE_ID="delay" TIME_ALIGNABLE="true"/>`,
+    `</ANNOTATION_DOCUMENT>`,
+    "",
+  ].join("\n");
+}
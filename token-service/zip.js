@@ -0,0 +1,167 @@
+import fs from "fs";
+import zlib from "zlib";
+import { once } from "events";
+
+// Minimal streaming ZIP writer for recording downloads. Entries are stored uncompressed
+// (MP4/WebM/OGG do not compress further), so the archive size is known before streaming and can
+// be sent as Content-Length. CRCs are computed while streaming and written in data
+// descriptors; ZIP64 records are used for entries or offsets past 4 GiB.
+
+const MAX32 = 0xffffffff;
+const FLAGS = 0x0808; // data descriptor follows the data; names are UTF-8
+
+function dosDateTime(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const day = ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, day };
+}
+
+/**
+ * Computes the archive layout for `files` ([{ name, path, size, mtime }]).
+ * Returns { entries, totalSize }; pass the result to writeZip.
+ */
+export function planZip(files) {
+  let offset = 0;
+  const entries = files.map((file) => {
+    const nameBuf = Buffer.from(file.name, "utf8");
+    const zip64 = file.size >= MAX32 || offset >= MAX32;
+    const entry = { ...file, nameBuf, zip64, offset, ...dosDateTime(file.mtime || new Date()) };
+    offset += 30 + nameBuf.length + (zip64 ? 20 : 0) + file.size + (zip64 ? 24 : 16);
+    return entry;
+  });
+
+  const cdOffset = offset;
+  let cdSize = 0;
+  for (const entry of entries) {
+    const extra = entry.zip64 ? 4 + 16 + (entry.offset >= MAX32 ? 8 : 0) : entry.offset >= MAX32 ? 12 : 0;
+    entry.centralExtraLength = extra;
+    cdSize += 46 + entry.nameBuf.length + extra;
+  }
+  const zip64End = entries.length >= 0xffff || cdOffset >= MAX32 || cdSize >= MAX32;
+  const totalSize = cdOffset + cdSize + (zip64End ? 56 + 20 : 0) + 22;
+  return { entries, cdOffset, cdSize, zip64End, totalSize };
+}
+
+function localHeader(entry) {
+  const buf = Buffer.alloc(30 + entry.nameBuf.length + (entry.zip64 ? 20 : 0));
+  buf.writeUInt32LE(0x04034b50, 0);
+  buf.writeUInt16LE(entry.zip64 ? 45 : 20, 4);
+  buf.writeUInt16LE(FLAGS, 6);
+  buf.writeUInt16LE(0, 8); // stored
+  buf.writeUInt16LE(entry.time, 10);
+  buf.writeUInt16LE(entry.day, 12);
+  // CRC and sizes are in the data descriptor (zip64: marked as such here).
+  buf.writeUInt32LE(0, 14);
+  buf.writeUInt32LE(entry.zip64 ? MAX32 : 0, 18);
+  buf.writeUInt32LE(entry.zip64 ? MAX32 : 0, 22);
+  buf.writeUInt16LE(entry.nameBuf.length, 26);
+  buf.writeUInt16LE(entry.zip64 ? 20 : 0, 28);
+  entry.nameBuf.copy(buf, 30);
+  if (entry.zip64) {
+    const at = 30 + entry.nameBuf.length;
+    buf.writeUInt16LE(0x0001, at);
+    buf.writeUInt16LE(16, at + 2);
+    // Sizes left at 0: they follow in the data descriptor.
+  }
+  return buf;
+}
+
+function dataDescriptor(entry) {
+  const buf = Buffer.alloc(entry.zip64 ? 24 : 16);
+  buf.writeUInt32LE(0x08074b50, 0);
+  buf.writeUInt32LE(entry.crc, 4);
+  if (entry.zip64) {
+    buf.writeBigUInt64LE(BigInt(entry.size), 8);
+    buf.writeBigUInt64LE(BigInt(entry.size), 16);
+  } else {
+    buf.writeUInt32LE(entry.size, 8);
+    buf.writeUInt32LE(entry.size, 12);
+  }
+  return buf;
+}
+
+function centralHeader(entry) {
+  const buf = Buffer.alloc(46 + entry.nameBuf.length + entry.centralExtraLength);
+  const bigOffset = entry.offset >= MAX32;
+  buf.writeUInt32LE(0x02014b50, 0);
+  buf.writeUInt16LE(45, 4);
+  buf.writeUInt16LE(entry.zip64 || bigOffset ? 45 : 20, 6);
+  buf.writeUInt16LE(FLAGS, 8);
+  buf.writeUInt16LE(0, 10);
+  buf.writeUInt16LE(entry.time, 12);
+  buf.writeUInt16LE(entry.day, 14);
+  buf.writeUInt32LE(entry.crc, 16);
+  buf.writeUInt32LE(entry.zip64 ? MAX32 : entry.size, 20);
+  buf.writeUInt32LE(entry.zip64 ? MAX32 : entry.size, 24);
+  buf.writeUInt16LE(entry.nameBuf.length, 28);
+  buf.writeUInt16LE(entry.centralExtraLength, 30);
+  // comment length, disk number, internal/external attributes stay 0
+  buf.writeUInt32LE(bigOffset ? MAX32 : entry.offset, 42);
+  entry.nameBuf.copy(buf, 46);
+  if (entry.centralExtraLength) {
+    let at = 46 + entry.nameBuf.length;
+    buf.writeUInt16LE(0x0001, at);
+    buf.writeUInt16LE(entry.centralExtraLength - 4, at + 2);
+    at += 4;
+    if (entry.zip64) {
+      buf.writeBigUInt64LE(BigInt(entry.size), at);
+      buf.writeBigUInt64LE(BigInt(entry.size), at + 8);
+      at += 16;
+    }
+    if (bigOffset) buf.writeBigUInt64LE(BigInt(entry.offset), at);
+  }
+  return buf;
+}
+
+function endRecords({ entries, cdOffset, cdSize, zip64End }) {
+  const parts = [];
+  if (zip64End) {
+    const rec = Buffer.alloc(56);
+    rec.writeUInt32LE(0x06064b50, 0);
+    rec.writeBigUInt64LE(44n, 4);
+    rec.writeUInt16LE(45, 12);
+    rec.writeUInt16LE(45, 14);
+    rec.writeBigUInt64LE(BigInt(entries.length), 24);
+    rec.writeBigUInt64LE(BigInt(entries.length), 32);
+    rec.writeBigUInt64LE(BigInt(cdSize), 40);
+    rec.writeBigUInt64LE(BigInt(cdOffset), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(cdOffset + cdSize), 8);
+    locator.writeUInt32LE(1, 16);
+    parts.push(rec, locator);
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(entries.length, 0xffff), 8);
+  end.writeUInt16LE(Math.min(entries.length, 0xffff), 10);
+  end.writeUInt32LE(Math.min(cdSize, MAX32), 12);
+  end.writeUInt32LE(Math.min(cdOffset, MAX32), 16);
+  parts.push(end);
+  return Buffer.concat(parts);
+}
+
+async function write(out, chunk) {
+  if (!out.write(chunk)) await once(out, "drain");
+}
+
+/** Streams the planned archive to `out` (e.g. an HTTP response); rejects if a file read fails. */
+export async function writeZip(out, plan) {
+  for (const entry of plan.entries) {
+    await write(out, localHeader(entry));
+    let crc = 0;
+    // Read exactly the planned size, even if the file grew meanwhile.
+    if (entry.size > 0) {
+      const input = fs.createReadStream(entry.path, { start: 0, end: entry.size - 1 });
+      for await (const chunk of input) {
+        crc = zlib.crc32(chunk, crc);
+        await write(out, chunk);
+      }
+    }
+    entry.crc = crc;
+    await write(out, dataDescriptor(entry));
+  }
+  for (const entry of plan.entries) await write(out, centralHeader(entry));
+  await write(out, endRecords(plan));
+}
@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import AdminPage from "./AdminPage.jsx";
+import { adminLogin, adminLogout, getAdminSession, setUnauthorizedHandler } from "./adminApi.js";
+
+// Old admin links carried the key in the URL; drop it so it does not linger in history.
+function dropLegacyAdminKey() {
+  sessionStorage.removeItem("adminKey");
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has("adminKey")) return false;
+  url.searchParams.delete("adminKey");
+  window.history.replaceState(null, "", url.pathname + url.search + url.hash);
+  return true;
+}
+
+export default function AdminGate() {
+  const [session, setSession] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [legacyLink, setLegacyLink] = useState(false);
+
+  useEffect(() => {
+    setLegacyLink(dropLegacyAdminKey());
+    let cancelled = false;
+    getAdminSession()
+      .then((s) => {
+        if (!cancelled) setSession(s);
+      })
+      .catch((e) => {
+        console.warn("admin session check failed:", e?.message || e);
+      })
+      .finally(() => {
+        if (!cancelled) setChecking(false);
+      });
+    setUnauthorizedHandler(() => setSession(null));
+    return () => {
+      cancelled = true;
+      setUnauthorizedHandler(null);
+    };
+  }, []);
+
+  async function onLogout() {
+    try {
+      await adminLogout();
+    } catch (e) {
+      console.warn("admin logout failed:", e?.message || e);
+    }
+    setSession(null);
+  }
+
+  if (checking) {
+    return <div style={{ padding: 24, fontFamily: "system-ui" }}>Checking admin session...</div>;
+  }
+  if (!session) {
+    return <LoginForm legacyLink={legacyLink} onLogin={setSession} />;
+  }
+  return <AdminPage adminUser={session.username} onLogout={onLogout} />;
+}
+
+function LoginForm({ legacyLink, onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const result = await adminLogin(username.trim(), password);
+      setPassword("");
+      onLogin({ username: result.username, expiresAt: result.expiresAt });
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ padding: 24, fontFamily: "system-ui", maxWidth: 360 }}>
+      <h2>Admin Login</h2>
+      {legacyLink && (
+        <p style={{ opacity: 0.8 }}>
+          Admin links with <code>?adminKey=</code> are no longer used. Log in with your admin account instead.
+        </p>
+      )}
+      <form onSubmit={onSubmit} style={{ display: "grid", gap: 8 }}>
+        <label>
+          Username
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            style={{ display: "block", width: "100%", padding: 6 }}
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            style={{ display: "block", width: "100%", padding: 6 }}
+          />
+        </label>
+        <button type="submit" disabled={busy || !username.trim() || !password} style={{ padding: "6px 12px" }}>
+          {busy ? "Logging in..." : "Log in"}
+        </button>
+      </form>
+      {error && <div style={{ color: "crimson", marginTop: 8 }}>{error}</div>}
+    </div>
+  );
+}
@@ -1,24 +1,52 @@
 import { useEffect, useRef, useState } from "react";
 import { Room, RoomEvent, Track } from "livekit-client";
+import QRCode from "qrcode";
 import {
   getRoom,
+  listRooms,
+  createRoom,
+  closeRoom,
   getParticipants,
   removeParticipant,
   setParticipantSelfVisibility,
   startRecording,
   stopRecording,
   getRecordingStatus,
+  getDelayTimelineFile,
+  listRecordings,
+  deleteRecording,
+  recordingFileUrl,
+  recordingZipUrl,
   setDelayEffect,
+  setViewerDelays,
+  setDelayProfile,
   getDelayEffectStatus,
   getPreviewToken,
   getHealth,
+  createInvite,
+  createInvitesBulkCsv,
+  listInvites,
+  getInvite,
+  revokeInvite,
+  getAuditLogCsv,
+  subscribeAdminEvents,
 } from "./adminApi.js";
 
-export default function AdminPage() {
+export default function AdminPage({ adminUser, onLogout }) {
   const [selectedRoom, setSelectedRoom] = useState(null);
+  const selectedRoomRef = useRef(null);
+  const [defaultRoom, setDefaultRoom] = useState(null);
+  const [rooms, setRooms] = useState([]);
+  const [newRoomName, setNewRoomName] = useState("");
   const [participants, setParticipants] = useState([]);
   const [recordingStatus, setRecordingStatus] = useState({});
+  const [recordingSetup, setRecordingSetup] = useState("video");
+  const [videoPreset, setVideoPreset] = useState("H264_720P_30");
+  const [roomAudioFormat, setRoomAudioFormat] = useState("ogg");
   const [delayEffects, setDelayEffects] = useState({});
+  const [trackDelays, setTrackDelays] = useState({});
+  const [viewerDelays, setViewerDelaysState] = useState({});
+  const [delayProfiles, setDelayProfiles] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [errorLog, setErrorLog] = useState([]);
@@ -29,9 +57,17 @@ export default function AdminPage() {
   const [serviceHealth, setServiceHealth] = useState(null);
   const [serverOffline, setServerOffline] = useState(false);
   const serverOfflineRef = useRef(false);
+  // Live updates come from the admin event stream; the polling below only runs while it is down.
+  const [eventsConnected, setEventsConnected] = useState(false);
 
   // Delay controls per participant
   const [delayValues, setDelayValues] = useState({});
+  // source identity -> { viewer: "" | ms string } edits of the delay matrix not applied yet
+  const [matrixValues, setMatrixValues] = useState({});
+  const [profileParticipant, setProfileParticipant] = useState("");
+  const [profileText, setProfileText] = useState(EXAMPLE_DELAY_PROFILE);
+  const [delayTransition, setDelayTransition] = useState("instant");
+  const [rampWindowMs, setRampWindowMs] = useState("");
   const realParticipants = participants.filter(
     (p) => p?.identity && p.identity.startsWith("p_")
   );
@@ -41,7 +77,10 @@ export default function AdminPage() {
     (async () => {
       try {
         const data = await getRoom();
-        if (!cancelled) setSelectedRoom(data.room || null);
+        if (!cancelled) {
+          setDefaultRoom(data.room || null);
+          setSelectedRoom((prev) => prev || data.room || null);
+        }
       } catch (e) {
         if (!cancelled) appendError(`room load failed: ${e?.message || e}`);
       }
@@ -52,7 +91,72 @@ export default function AdminPage() {
   }, []);
 
   useEffect(() => {
-    if (selectedRoom) {
+    if (eventsConnected) return;
+    refreshRooms();
+    const interval = setInterval(refreshRooms, 5000);
+    return () => clearInterval(interval);
+  }, [eventsConnected]);
+
+  useEffect(() => {
+    // Drop state from the previously selected room before the first refresh lands.
+    selectedRoomRef.current = selectedRoom;
+    setParticipants([]);
+    setRecordingStatus({});
+    setDelayEffects({});
+    setTrackDelays({});
+    setViewerDelaysState({});
+    setDelayProfiles({});
+    setDelayValues({});
+    setMatrixValues({});
+  }, [selectedRoom]);
+
+  useEffect(() => {
+    if (!selectedRoom) return;
+    let closed = false;
+    let unsubscribe = null;
+    let retryTimer = null;
+    const forRoom = (apply) => (data) => {
+      if (data?.room === selectedRoomRef.current) apply(data);
+    };
+
+    const connect = () => {
+      unsubscribe = subscribeAdminEvents(selectedRoom, {
+        onOpen: () => {
+          setEventsConnected(true);
+          setServerOffline(false);
+        },
+        onError: (gaveUp) => {
+          setEventsConnected(false);
+          // The browser retries dropped streams itself, but not rejected ones (e.g. 401, 429).
+          if (gaveUp && !closed) {
+            unsubscribe?.();
+            retryTimer = setTimeout(connect, 5000);
+          }
+        },
+        participants: forRoom((data) => setParticipants(data.participants || [])),
+        recording: forRoom((data) => setRecordingStatus(data.recordings || {})),
+        delays: forRoom((data) => {
+          setDelayEffects(data.delays || {});
+          setTrackDelays(data.trackDelays || {});
+          setViewerDelaysState(data.viewerDelays || {});
+          setDelayProfiles(data.profiles || {});
+        }),
+        rooms: (data) => setRooms(data.rooms || []),
+        health: (data) => setServiceHealth(data),
+      });
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      unsubscribe?.();
+      setEventsConnected(false);
+    };
+  }, [selectedRoom]);
+
+  useEffect(() => {
+    if (selectedRoom && !eventsConnected) {
       refreshParticipants();
       refreshRecordingStatus();
       refreshDelayEffects();
@@ -63,13 +167,14 @@ export default function AdminPage() {
       }, 2000);
       return () => clearInterval(interval);
     }
-  }, [selectedRoom]);
+  }, [selectedRoom, eventsConnected]);
 
   useEffect(() => {
     serverOfflineRef.current = serverOffline;
   }, [serverOffline]);
 
   useEffect(() => {
+    if (eventsConnected) return;
     let cancelled = false;
     const checkHealthz = async () => {
       try {
@@ -86,9 +191,10 @@ export default function AdminPage() {
       cancelled = true;
       clearInterval(interval);
     };
-  }, []);
+  }, [eventsConnected]);
 
   useEffect(() => {
+    if (eventsConnected) return;
     let cancelled = false;
     const runHealth = async () => {
       try {
@@ -108,7 +214,7 @@ export default function AdminPage() {
       cancelled = true;
       clearInterval(interval);
     };
-  }, [serverOffline]);
+  }, [serverOffline, eventsConnected]);
 
   useEffect(() => {
     if (!selectedRoom) {
@@ -162,11 +268,23 @@ export default function AdminPage() {
     setErrorLog((prev) => [...prev, entry].slice(-50));
   }
 
+  async function refreshRooms() {
+    if (serverOfflineRef.current) return;
+    try {
+      const data = await listRooms();
+      setRooms(data.rooms || []);
+    } catch (e) {
+      if (!serverOfflineRef.current) appendError(`rooms refresh failed: ${e?.message || e}`);
+    }
+  }
+
   async function refreshParticipants() {
     if (!selectedRoom) return;
     if (serverOfflineRef.current) return;
+    const room = selectedRoom;
     try {
-      const data = await getParticipants(selectedRoom);
+      const data = await getParticipants(room);
+      if (selectedRoomRef.current !== room) return;
       setParticipants(data.participants || []);
     } catch (e) {
       if (!serverOffline) appendError(`participants refresh failed: ${e?.message || e}`);
@@ -176,8 +294,10 @@ export default function AdminPage() {
   async function refreshRecordingStatus() {
     if (!selectedRoom) return;
     if (serverOfflineRef.current) return;
+    const room = selectedRoom;
     try {
-      const data = await getRecordingStatus(selectedRoom);
+      const data = await getRecordingStatus(room);
+      if (selectedRoomRef.current !== room) return;
       setRecordingStatus(data.recordings || {});
     } catch (e) {
       if (!serverOffline) appendError(`recording status failed: ${e?.message || e}`);
@@ -187,15 +307,102 @@ export default function AdminPage() {
   async function refreshDelayEffects() {
     if (!selectedRoom) return;
     if (serverOfflineRef.current) return;
+    const room = selectedRoom;
     try {
-      const data = await getDelayEffectStatus(selectedRoom);
+      const data = await getDelayEffectStatus(room);
+      if (selectedRoomRef.current !== room) return;
       setDelayEffects(data.delays || {});
+      setTrackDelays(data.trackDelays || {});
+      setViewerDelaysState(data.viewerDelays || {});
+      setDelayProfiles(data.profiles || {});
     } catch (e) {
       if (!serverOffline) appendError(`delay effect status failed: ${e?.message || e}`);
     }
   }
 
-  async function handleSetDelay(participant, delayMs) {
+  async function handleCreateRoom() {
+    const name = newRoomName.trim();
+    if (!name) return;
+    if (serverOffline) {
+      appendError("create room failed: server appears offline");
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await createRoom(name);
+      setNewRoomName("");
+      setSelectedRoom(data.room?.name || name);
+      setSuccess(`Room ${data.room?.name || name} created`);
+      setTimeout(() => setSuccess(""), 3000);
+      refreshRooms();
+    } catch (e) {
+      appendError(`create room failed: ${e?.message || e}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleCloseRoom() {
+    if (!selectedRoom) return;
+    if (serverOffline) {
+      appendError("close room failed: server appears offline");
+      return;
+    }
+    const isDefault = selectedRoom === defaultRoom;
+    const prompt = isDefault
+      ? `Empty the default room ${selectedRoom}? Recordings stop, everyone is disconnected and its invite links stop working.`
+      : `Close room ${selectedRoom}? Recordings stop, everyone is disconnected and its invite links stop working.`;
+    if (!window.confirm(prompt)) return;
+    setLoading(true);
+    try {
+      const data = await closeRoom(selectedRoom);
+      setSuccess(
+        `Room ${selectedRoom} closed (${data.revokedInvites ?? 0} invites revoked, ${data.removedSessions ?? 0} sessions removed)`
+      );
+      setTimeout(() => setSuccess(""), 3000);
+      if (!isDefault) setSelectedRoom(defaultRoom);
+      refreshRooms();
+    } catch (e) {
+      appendError(`close room failed: ${e?.message || e}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDownloadAudit() {
+    if (!selectedRoom) return;
+    try {
+      const csv = await getAuditLogCsv({ room: selectedRoom, limit: 10000 });
+      downloadText(`audit_${selectedRoom}.csv`, csv);
+    } catch (e) {
+      appendError(`audit log download failed: ${e?.message || e}`);
+    }
+  }
+
+  async function handleDownloadDelayTimeline(recordingId, format) {
+    try {
+      const text = await getDelayTimelineFile(selectedRoom, recordingId, format);
+      downloadText(`${recordingId}_delays.${format}`, text, format === "eaf" ? "application/xml" : "text/csv");
+    } catch (e) {
+      appendError(`delay timeline download failed: ${e?.message || e}`);
+    }
+  }
+
+  // Slider values for a participant: edits not applied yet, else the delays effects-service reports.
+  function delayDraft(identity) {
+    const applied = trackDelays[identity] || {};
+    const draft = delayValues[identity] || {};
+    return {
+      audioDelayMs: draft.audioDelayMs ?? applied.audioDelayMs ?? 0,
+      videoDelayMs: draft.videoDelayMs ?? applied.videoDelayMs ?? 0,
+    };
+  }
+
+  function setDelayDraft(identity, key, value) {
+    setDelayValues({ ...delayValues, [identity]: { ...delayValues[identity], [key]: value } });
+  }
+
+  async function handleSetDelay(participant, delays) {
     if (!selectedRoom) return;
     if (serverOffline) {
       appendError("set delay failed: server appears offline");
@@ -203,8 +410,15 @@ export default function AdminPage() {
     }
     setLoading(true);
     try {
-      await setDelayEffect(selectedRoom, participant, delayMs);
-      setSuccess(`Delay set for ${participant}: ${delayMs}ms`);
+      const data = await setDelayEffect(selectedRoom, participant, delays, {
+        transition: delayTransition,
+        transitionMs: delayTransition === "ramp" && rampWindowMs !== "" ? Number(rampWindowMs) : undefined,
+      });
+      const windowMs = data?.transition?.windowMs || 0;
+      setSuccess(
+        `Delay set for ${participant}: audio ${delays.audioDelayMs}ms, video ${delays.videoDelayMs}ms` +
+          (windowMs > 0 ? ` (${data.transition.mode} over ${(windowMs / 1000).toFixed(1)}s)` : "")
+      );
       setTimeout(() => setSuccess(""), 3000);
       refreshDelayEffects();
     } catch (e) {
@@ -214,6 +428,76 @@ export default function AdminPage() {
     }
   }
 
+  // Matrix cell: an unapplied edit, else the viewer's applied delay; "" means the source's own delay.
+  function matrixDraft(source, viewer) {
+    const draft = matrixValues[source]?.[viewer];
+    if (draft !== undefined) return draft;
+    const applied = viewerDelays[source]?.[viewer];
+    return applied === undefined ? "" : String(applied);
+  }
+
+  function setMatrixDraft(source, viewer, value) {
+    setMatrixValues({ ...matrixValues, [source]: { ...matrixValues[source], [viewer]: value } });
+  }
+
+  async function handleApplyViewerDelays(source) {
+    if (!selectedRoom) return;
+    if (serverOffline) {
+      appendError("set viewer delays failed: server appears offline");
+      return;
+    }
+    const viewers = {};
+    for (const [viewer, value] of Object.entries(matrixValues[source] || {})) {
+      viewers[viewer] = value === "" ? null : Number(value);
+    }
+    if (Object.keys(viewers).length === 0) return;
+    setLoading(true);
+    try {
+      await setViewerDelays(selectedRoom, source, viewers);
+      setMatrixValues({ ...matrixValues, [source]: undefined });
+      setSuccess(`Viewer delays set for ${source}`);
+      setTimeout(() => setSuccess(""), 3000);
+      refreshDelayEffects();
+    } catch (e) {
+      appendError(`set viewer delays failed: ${e?.message || e}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDelayProfile(start) {
+    const participant = profileParticipant || realParticipants[0]?.identity;
+    if (!selectedRoom || !participant) return;
+    if (serverOffline) {
+      appendError("delay profile failed: server appears offline");
+      return;
+    }
+    let profile = null;
+    if (start) {
+      try {
+        profile = JSON.parse(profileText);
+      } catch (e) {
+        appendError(`delay profile is not valid JSON: ${e?.message || e}`);
+        return;
+      }
+    }
+    setLoading(true);
+    try {
+      const data = await setDelayProfile(selectedRoom, participant, profile);
+      setSuccess(
+        data.profile
+          ? `Delay profile started for ${participant} (seed ${data.profile.seed})`
+          : `Delay profile stopped for ${participant}`
+      );
+      setTimeout(() => setSuccess(""), 3000);
+      refreshDelayEffects();
+    } catch (e) {
+      appendError(`delay profile failed: ${e?.message || e}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
   async function handleRemoveParticipant(identity) {
     if (!selectedRoom) return;
     if (serverOffline) {
@@ -263,14 +547,18 @@ export default function AdminPage() {
     }
     setLoading(true);
     try {
-      const anyActive = isRecordingActive("individual") || isRecordingActive("composite");
-      if (anyActive) {
+      if (anyRecordingActive) {
         await stopRecording(selectedRoom, "all");
         setSuccess("Recording stopped (all)");
       } else {
-        await startRecording(selectedRoom, "individual");
-        await startRecording(selectedRoom, "composite");
-        setSuccess("Recording started (individual + composite)");
+        const { modes } = RECORDING_SETUPS[recordingSetup];
+        for (const mode of modes) {
+          let encoding;
+          if (["individual", "delayed", "composite"].includes(mode)) encoding = { preset: videoPreset };
+          if (mode === "composite_audio") encoding = { fileType: roomAudioFormat };
+          await startRecording(selectedRoom, mode, encoding);
+        }
+        setSuccess(`Recording started (${modes.join(" + ")})`);
       }
       setTimeout(() => setSuccess(""), 3000);
       refreshRecordingStatus();
@@ -281,21 +569,84 @@ export default function AdminPage() {
     }
   }
 
-  const isRecordingActive = (mode) => {
-    return Array.isArray(recordingStatus)
-      ? recordingStatus.some((r) => r.mode === mode && r.status === "recording")
-      : Object.values(recordingStatus).some((r) => r.mode === mode && r.status === "recording");
-  };
-  const anyRecordingActive = isRecordingActive("individual") || isRecordingActive("composite");
+  const recordingList = Array.isArray(recordingStatus) ? recordingStatus : Object.values(recordingStatus);
+  const anyRecordingActive = recordingList.some((r) => r.status === "recording");
+  const setupModes = RECORDING_SETUPS[recordingSetup].modes;
+  // identity -> latest egress per slot (participant or track) of the running recordings
+  const participantTracks = {};
+  for (const r of recordingList) {
+    if (r.status !== "recording") continue;
+    for (const t of r.tracks || []) {
+      if (t.identity) (participantTracks[t.identity] ||= []).push(t);
+    }
+  }
 
   return (
     <div style={{ fontFamily: "system-ui", padding: 24, maxWidth: 1200, margin: "0 auto" }}>
-      <h1>Video Conference Admin Panel</h1>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+        <h1>Video Conference Admin Panel</h1>
+        {adminUser && (
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ opacity: 0.8 }}>Logged in as {adminUser}</span>
+            <button onClick={onLogout} style={smallButtonStyle}>
+              Log out
+            </button>
+          </div>
+        )}
+      </div>
 
-      <div style={{ marginBottom: 16 }}>
-        <strong>Room:</strong>{" "}
-        <span style={{ opacity: 0.8 }}>
-          {selectedRoom || "Loading..."}
+      <div style={{ marginBottom: 16, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <strong>Room:</strong>
+        {selectedRoom ? (
+          <select
+            value={selectedRoom}
+            onChange={(e) => setSelectedRoom(e.target.value)}
+            style={{ padding: "4px 6px" }}
+          >
+            {(rooms.some((r) => r.name === selectedRoom) ? rooms : [{ name: selectedRoom }, ...rooms]).map(
+              (r) => (
+                <option key={r.name} value={r.name}>
+                  {r.name}
+                  {r.name === defaultRoom ? " (default)" : ""}
+                  {r.realParticipantCount ? ` - ${r.realParticipantCount} participant(s)` : ""}
+                </option>
+              )
+            )}
+          </select>
+        ) : (
+          <span style={{ opacity: 0.8 }}>Loading...</span>
+        )}
+        <button
+          onClick={handleCloseRoom}
+          disabled={loading || !selectedRoom}
+          style={{ padding: "4px 8px", cursor: "pointer", fontSize: 12 }}
+        >
+          {selectedRoom && selectedRoom === defaultRoom ? "Empty room" : "Close room"}
+        </button>
+        <button
+          onClick={handleDownloadAudit}
+          disabled={!selectedRoom || serverOffline}
+          style={{ padding: "4px 8px", cursor: "pointer", fontSize: 12 }}
+        >
+          Audit log (CSV)
+        </button>
+        <span style={{ marginLeft: 16 }}>
+          <input
+            value={newRoomName}
+            onChange={(e) => setNewRoomName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") handleCreateRoom();
+            }}
+            placeholder="new-room-name"
+            style={{ padding: "4px 6px", border: "1px solid #ccc", borderRadius: 3 }}
+          />{" "}
+          <button
+            onClick={handleCreateRoom}
+            disabled={loading || !newRoomName.trim()}
+            style={{ padding: "4px 8px", cursor: "pointer", fontSize: 12 }}
+          >
+            Create room
+          </button>
         </span>
       </div>
 
@@ -322,7 +673,29 @@ export default function AdminPage() {
             </span>
             {serviceHealth?.livekit?.error ? ` - ${serviceHealth.livekit.error}` : ""}
           </span>
+          {serviceHealth?.disk ? (
+            <span style={{ marginLeft: 12 }}>
+              disk:{" "}
+              <span style={{ color: serviceHealth.disk.warning ? "crimson" : "green" }}>
+                {serviceHealth.disk.error || `${formatBytes(serviceHealth.disk.freeBytes)} free`}
+              </span>
+              {serviceHealth.disk.recordingsBytes != null
+                ? ` (recordings ${formatBytes(serviceHealth.disk.recordingsBytes)})`
+                : ""}
+            </span>
+          ) : null}
+          <span style={{ marginLeft: 12, opacity: 0.7 }}>
+            updates: {eventsConnected ? "live" : "polling"}
+          </span>
         </div>
+        {serviceHealth?.disk?.warning && !serviceHealth.disk.error ? (
+          <div style={{ marginTop: 8, padding: 8, borderRadius: 6, background: "#fff4e5", color: "#8a4b00", fontSize: 13 }}>
+            {serviceHealth.disk.ok
+              ? `Disk space is running low (${formatBytes(serviceHealth.disk.freeBytes)} free). Download and delete old recordings.`
+              : `Not enough disk space to start a recording: ${formatBytes(serviceHealth.disk.freeBytes)} free, ` +
+                `${formatBytes(serviceHealth.disk.minFreeBytes)} required.`}
+          </div>
+        ) : null}
       </div>
 
       {selectedRoom ? (
@@ -345,9 +718,53 @@ export default function AdminPage() {
               }}
             >
               <h3>Recording</h3>
-              <p style={{ opacity: 0.7, fontSize: 13, marginBottom: 16 }}>
-                Starts both individual and composite recordings together.
-              </p>
+              <div style={{ display: "flex", flexDirection: "column", gap: 6, fontSize: 13, marginBottom: 12 }}>
+                <label>
+                  Record{" "}
+                  <select
+                    value={recordingSetup}
+                    onChange={(e) => setRecordingSetup(e.target.value)}
+                    disabled={anyRecordingActive}
+                  >
+                    {Object.entries(RECORDING_SETUPS).map(([key, setup]) => (
+                      <option key={key} value={key}>
+                        {setup.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {setupModes.some((mode) => ["individual", "delayed", "composite"].includes(mode)) && (
+                  <label>
+                    Video quality{" "}
+                    <select
+                      value={videoPreset}
+                      onChange={(e) => setVideoPreset(e.target.value)}
+                      disabled={anyRecordingActive}
+                    >
+                      {VIDEO_PRESETS.map((preset) => (
+                        <option key={preset} value={preset}>
+                          {preset}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {setupModes.includes("composite_audio") && (
+                  <label>
+                    Room audio format{" "}
+                    <select
+                      value={roomAudioFormat}
+                      onChange={(e) => setRoomAudioFormat(e.target.value)}
+                      disabled={anyRecordingActive}
+                    >
+                      <option value="ogg">OGG (Opus)</option>
+                      <option value="mp3">MP3</option>
+                      <option value="mp4">MP4 (AAC)</option>
+                    </select>
+                  </label>
+                )}
+                <span style={{ opacity: 0.7 }}>{RECORDING_SETUPS[recordingSetup].hint}</span>
+              </div>
               <button
                 onClick={handleToggleRecording}
                 disabled={loading}
@@ -366,6 +783,35 @@ export default function AdminPage() {
                   ? "Stop Recording (All)"
                   : "Start Recording (All)"}
               </button>
+              {recordingList.length > 0 && (
+                <div style={{ marginTop: 12, fontSize: 12 }}>
+                  {recordingList.map((r) => (
+                    <div key={`${r.mode}-${r.recordingId}`} style={{ display: "flex", gap: 6, alignItems: "center", marginTop: 4 }}>
+                      <span style={{ flex: 1, opacity: 0.8 }}>
+                        {r.mode} <RecordingHealthBadge recording={r} />
+                        {recordingProblem(r) ? (
+                          <div style={{ color: "#b00020", fontSize: 11 }}>{recordingProblem(r)}</div>
+                        ) : null}
+                      </span>
+                      <span style={{ opacity: 0.7 }}>Delays:</span>
+                      <button
+                        onClick={() => handleDownloadDelayTimeline(r.recordingId, "csv")}
+                        disabled={serverOffline}
+                        style={{ padding: "2px 6px", cursor: "pointer", fontSize: 12 }}
+                      >
+                        CSV
+                      </button>
+                      <button
+                        onClick={() => handleDownloadDelayTimeline(r.recordingId, "eaf")}
+                        disabled={serverOffline}
+                        style={{ padding: "2px 6px", cursor: "pointer", fontSize: 12 }}
+                      >
+                        ELAN
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
 
             {/* Delay Effect Controls */}
@@ -381,6 +827,34 @@ export default function AdminPage() {
               <p style={{ opacity: 0.7, fontSize: 13, marginBottom: 16 }}>
                 Add delay to participants' streams (other participants will experience the delay).
               </p>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, marginBottom: 12 }}>
+                <label>
+                  Change{" "}
+                  <select value={delayTransition} onChange={(e) => setDelayTransition(e.target.value)}>
+                    {Object.entries(DELAY_TRANSITIONS).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {delayTransition === "ramp" && (
+                  <label>
+                    over{" "}
+                    <input
+                      type="number"
+                      min="0"
+                      max="300000"
+                      step="500"
+                      value={rampWindowMs}
+                      onChange={(e) => setRampWindowMs(e.target.value)}
+                      placeholder="auto"
+                      style={{ width: 80, padding: "2px 6px", border: "1px solid #ccc", borderRadius: 3 }}
+                    />{" "}
+                    ms
+                  </label>
+                )}
+              </div>
 
               {realParticipants.length === 0 ? (
                 <p style={{ opacity: 0.6 }}>No participants in this room</p>
@@ -400,37 +874,29 @@ export default function AdminPage() {
                       }}
                     >
                       <div style={{ flex: 1 }}>
-                        <div style={{ fontWeight: "bold" }}>{participant.name || participant.identity}</div>
+                        <div style={{ fontWeight: "bold" }}>
+                          {participant.name || participant.identity}
+                          {participant.label ? <LabelBadge label={participant.label} /> : null}
+                          {(participantTracks[participant.identity] || []).map((track) => (
+                            <EgressBadge key={track.egressId} track={track} />
+                          ))}
+                        </div>
                         <div style={{ fontSize: 11, opacity: 0.6 }}>{participant.identity}</div>
                       </div>
-                      <input
-                        type="number"
-                        min="0"
-                        max="10000"
-                        step="100"
-                        value={delayValues[participant.identity] ?? delayEffects[participant.identity] ?? 0}
-                        onChange={(e) =>
-                          setDelayValues({
-                            ...delayValues,
-                            [participant.identity]: Number(e.target.value),
-                          })
-                        }
-                        placeholder="ms"
-                        style={{
-                          width: 80,
-                          padding: "4px 6px",
-                          border: "1px solid #ccc",
-                          borderRadius: 3,
-                        }}
-                      />
-                      <span style={{ fontSize: 12, opacity: 0.6, minWidth: 30 }}>ms</span>
+                      <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+                        <DelaySlider
+                          label="audio"
+                          value={delayDraft(participant.identity).audioDelayMs}
+                          onChange={(value) => setDelayDraft(participant.identity, "audioDelayMs", value)}
+                        />
+                        <DelaySlider
+                          label="video"
+                          value={delayDraft(participant.identity).videoDelayMs}
+                          onChange={(value) => setDelayDraft(participant.identity, "videoDelayMs", value)}
+                        />
+                      </div>
                       <button
-                        onClick={() =>
-                          handleSetDelay(
-                            participant.identity,
-                            delayValues[participant.identity] ?? delayEffects[participant.identity] ?? 0
-                          )
-                        }
+                        onClick={() => handleSetDelay(participant.identity, delayDraft(participant.identity))}
                         disabled={loading}
                         style={{
                           padding: "4px 8px",
@@ -477,6 +943,178 @@ export default function AdminPage() {
             </div>
           </div>
 
+          {realParticipants.length > 1 && (
+            <div
+              style={{
+                border: "1px solid #ddd",
+                borderRadius: 8,
+                padding: 16,
+                backgroundColor: "#f9f9f9",
+                marginBottom: 24,
+              }}
+            >
+              <h3>Delay Matrix</h3>
+              <p style={{ opacity: 0.7, fontSize: 13, marginBottom: 12 }}>
+                How each viewer (column) sees and hears each participant (row), in ms. Leave a cell blank
+                for the participant's own delay above; 0 is without delay. Recordings follow the
+                participant's own delay.
+              </p>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+                  <thead>
+                    <tr>
+                      <th style={matrixCellStyle}>participant \ viewer</th>
+                      {realParticipants.map((viewer) => (
+                        <th key={viewer.identity} style={matrixCellStyle}>
+                          {viewer.name || viewer.identity}
+                        </th>
+                      ))}
+                      <th style={matrixCellStyle} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {realParticipants.map((source) => (
+                      <tr key={source.identity}>
+                        <th style={{ ...matrixCellStyle, textAlign: "left" }}>
+                          {source.name || source.identity}
+                          <div style={{ fontWeight: "normal", opacity: 0.6 }}>
+                            {delayEffects[source.identity] || 0}ms
+                          </div>
+                        </th>
+                        {realParticipants.map((viewer) => (
+                          <td key={viewer.identity} style={matrixCellStyle}>
+                            {viewer.identity === source.identity ? (
+                              <span style={{ opacity: 0.4 }}>-</span>
+                            ) : (
+                              <input
+                                type="number"
+                                min="0"
+                                max="10000"
+                                step="50"
+                                value={matrixDraft(source.identity, viewer.identity)}
+                                onChange={(e) => setMatrixDraft(source.identity, viewer.identity, e.target.value)}
+                                placeholder={String(delayEffects[source.identity] || 0)}
+                                style={{ width: 64, padding: "2px 4px", border: "1px solid #ccc", borderRadius: 3 }}
+                              />
+                            )}
+                          </td>
+                        ))}
+                        <td style={matrixCellStyle}>
+                          <button
+                            onClick={() => handleApplyViewerDelays(source.identity)}
+                            disabled={loading || !matrixValues[source.identity]}
+                            style={{
+                              padding: "4px 8px",
+                              backgroundColor: "#2196F3",
+                              color: "white",
+                              border: "none",
+                              borderRadius: 3,
+                              cursor: "pointer",
+                              fontSize: 12,
+                            }}
+                          >
+                            Apply
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {realParticipants.length > 0 && (
+            <div
+              style={{
+                border: "1px solid #ddd",
+                borderRadius: 8,
+                padding: 16,
+                backgroundColor: "#f9f9f9",
+                marginBottom: 24,
+              }}
+            >
+              <h3>Delay Profiles</h3>
+              <p style={{ opacity: 0.7, fontSize: 13, marginBottom: 12 }}>
+                Steps, ramps and seeded random jitter the effects-service plays by itself. Setting a delay by
+                hand stops the participant's profile.
+              </p>
+              <div style={{ display: "flex", gap: 16, alignItems: "flex-start", flexWrap: "wrap" }}>
+                <div style={{ display: "flex", flexDirection: "column", gap: 6, fontSize: 13 }}>
+                  <select
+                    value={profileParticipant || realParticipants[0].identity}
+                    onChange={(e) => setProfileParticipant(e.target.value)}
+                    style={{ padding: "4px 6px" }}
+                  >
+                    {realParticipants.map((participant) => (
+                      <option key={participant.identity} value={participant.identity}>
+                        {participant.name || participant.identity}
+                      </option>
+                    ))}
+                  </select>
+                  <textarea
+                    value={profileText}
+                    onChange={(e) => setProfileText(e.target.value)}
+                    rows={10}
+                    spellCheck={false}
+                    style={{ width: 460, fontFamily: "monospace", fontSize: 12, padding: 6, border: "1px solid #ccc", borderRadius: 3 }}
+                  />
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button
+                      onClick={() => handleDelayProfile(true)}
+                      disabled={loading}
+                      style={{
+                        padding: "4px 8px",
+                        backgroundColor: "#2196F3",
+                        color: "white",
+                        border: "none",
+                        borderRadius: 3,
+                        cursor: "pointer",
+                        fontSize: 12,
+                      }}
+                    >
+                      Start profile
+                    </button>
+                    <button
+                      onClick={() => handleDelayProfile(false)}
+                      disabled={loading}
+                      style={{ padding: "4px 8px", cursor: "pointer", fontSize: 12 }}
+                    >
+                      Stop profile
+                    </button>
+                  </div>
+                </div>
+                <div style={{ flex: 1, minWidth: 240, fontSize: 12 }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+                    <strong>Running</strong>
+                    <button onClick={refreshDelayEffects} disabled={serverOffline} style={smallButtonStyle}>
+                      Refresh
+                    </button>
+                  </div>
+                  {Object.keys(delayProfiles).length === 0 ? (
+                    <div style={{ opacity: 0.6 }}>No delay profiles</div>
+                  ) : (
+                    Object.entries(delayProfiles).map(([identity, status]) => (
+                      <div key={identity} style={{ marginBottom: 6 }}>
+                        <div style={{ fontWeight: "bold" }}>
+                          {realParticipants.find((p) => p.identity === identity)?.name || identity}
+                        </div>
+                        <div style={{ opacity: 0.8 }}>
+                          {status.finished
+                            ? "finished"
+                            : `segment ${status.segment.index + 1}/${status.profile.segments.length} (${status.segment.type})` +
+                              (status.round > 0 ? `, round ${status.round + 1}` : "")}
+                          {status.targetMs != null ? ` - target ${status.targetMs}ms` : ""}
+                          {` - seed ${status.profile.seed}, started ${new Date(status.startedAt).toLocaleTimeString()}`}
+                        </div>
+                      </div>
+                    ))
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
           <div
             style={{
               border: "1px solid #ddd",
@@ -504,6 +1142,26 @@ export default function AdminPage() {
             )}
           </div>
 
+          <InvitesPanel
+            room={selectedRoom}
+            serverOffline={serverOffline}
+            onError={appendError}
+            onSuccess={(message) => {
+              setSuccess(message);
+              setTimeout(() => setSuccess(""), 3000);
+            }}
+          />
+
+          <RecordingsPanel
+            room={selectedRoom}
+            serverOffline={serverOffline}
+            onError={appendError}
+            onSuccess={(message) => {
+              setSuccess(message);
+              setTimeout(() => setSuccess(""), 3000);
+            }}
+          />
+
           {/* Room Info */}
           <div
             style={{
@@ -603,6 +1261,8 @@ function buildPreviewParticipants(room, delayEffects) {
   for (const p of remotes) {
     if (!isPreviewableIdentity(p.identity)) continue;
     if (p.identity.startsWith("fx_")) {
+      // Per-viewer relays (fx_<identity>@<ms>) are not what the composite shows.
+      if (p.identity.includes("@")) continue;
       const originalId = p.identity.slice("fx_".length);
       relays.set(originalId, p);
     } else {
@@ -809,3 +1469,716 @@ function PreviewTile({ participant, displayName, displayIdentity }) {
     </div>
   );
 }
+
+const panelStyle = {
+  border: "1px solid #ddd",
+  borderRadius: 8,
+  padding: 16,
+  backgroundColor: "#f9f9f9",
+  marginBottom: 24,
+};
+
+const smallButtonStyle = {
+  padding: "4px 8px",
+  border: "1px solid #ccc",
+  borderRadius: 3,
+  cursor: "pointer",
+  fontSize: 12,
+  background: "white",
+};
+
+function LabelBadge({ label }) {
+  return (
+    <span
+      style={{
+        marginLeft: 6,
+        padding: "1px 6px",
+        fontSize: 11,
+        fontWeight: "normal",
+        background: "#e8eefc",
+        borderRadius: 3,
+      }}
+    >
+      {label}
+    </span>
+  );
+}
+
+const badgeStyle = {
+  marginLeft: 6,
+  padding: "1px 6px",
+  fontSize: 11,
+  fontWeight: "normal",
+  borderRadius: 3,
+  whiteSpace: "nowrap",
+};
+
+const FAILED_TRACK_STATUSES = ["failed", "aborted", "limit_reached"];
+
+// What "Start Recording" starts (modes of POST /api/admin/recording/start).
+const RECORDING_SETUPS = {
+  video: {
+    label: "video per participant + room",
+    modes: ["individual", "composite"],
+    hint: "One MP4 per participant and a grid MP4 of the room.",
+  },
+  delayed: {
+    label: "video per participant, undelayed + delayed, + room",
+    modes: ["delayed", "composite"],
+    hint: "Per participant the original MP4 and a _delayed MP4 of what the others saw and heard, plus a grid MP4 of the room.",
+  },
+  audio: {
+    label: "audio per participant + room audio",
+    modes: ["audio", "composite_audio"],
+    hint: "One OGG (Opus, as sent) per participant and the mixed room audio.",
+  },
+  tracks: {
+    label: "audio and video tracks per participant + room",
+    modes: ["tracks", "composite"],
+    hint: "Separate audio and video files per participant, as sent, and a grid MP4 of the room.",
+  },
+};
+
+const VIDEO_PRESETS = ["H264_720P_30", "H264_720P_60", "H264_1080P_30", "H264_1080P_60"];
+
+// How the relay moves to a new delay; "auto" ramps at 5% playback speed change.
+const DELAY_TRANSITIONS = {
+  instant: "instantly (short freeze)",
+  hold: "holding the last frame",
+  ramp: "gradually",
+};
+
+// Starting point for the profile editor: a 5 minute ramp to 800 ms, then ±100 ms jitter.
+const EXAMPLE_DELAY_PROFILE = JSON.stringify(
+  {
+    seed: 1,
+    segments: [
+      { type: "ramp", fromMs: 0, toMs: 800, durationMs: 300000 },
+      { type: "jitter", delayMs: 800, jitterMs: 100, intervalMs: 1000, durationMs: 300000 },
+    ],
+  },
+  null,
+  2
+);
+
+const matrixCellStyle = { border: "1px solid #ddd", padding: "4px 6px", textAlign: "center" };
+
+// Range slider plus exact input for one track's delay in ms.
+function DelaySlider({ label, value, onChange }) {
+  const inputStyle = { width: 64, padding: "2px 4px", border: "1px solid #ccc", borderRadius: 3 };
+  return (
+    <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12 }}>
+      <span style={{ width: 36, opacity: 0.7 }}>{label}</span>
+      <input
+        type="range"
+        min="0"
+        max="10000"
+        step="50"
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={{ width: 160 }}
+      />
+      <input
+        type="number"
+        min="0"
+        max="10000"
+        step="50"
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={inputStyle}
+      />
+      ms
+    </label>
+  );
+}
+
+// Recording state of one participant's egress (or one of their tracks).
+function EgressBadge({ track }) {
+  let text = "rec ended";
+  let colors = { background: "#eee", color: "#555" };
+  if (track.retryAt) {
+    text = "rec retrying";
+    colors = { background: "#fff4e5", color: "#8a4b00" };
+  } else if (FAILED_TRACK_STATUSES.includes(track.status)) {
+    text = "rec failed";
+    colors = { background: "#fdecea", color: "#b00020" };
+  } else if (track.status === "starting") {
+    text = "rec starting";
+    colors = { background: "#fff4e5", color: "#8a4b00" };
+  } else if (track.status === "active") {
+    text = "● rec";
+    colors = { background: "#fdecea", color: "#c00" };
+  }
+  return (
+    <span style={{ ...badgeStyle, ...colors }} title={track.error || track.status}>
+      {text}
+      {track.source ? ` ${track.source}` : ""}
+    </span>
+  );
+}
+
+// Why a recording is degraded or failed, or "" when it is fine.
+function recordingProblem(recording) {
+  if (recording.error) return recording.error;
+  return (recording.tracks || [])
+    .filter((t) => FAILED_TRACK_STATUSES.includes(t.status))
+    .map((t) => {
+      const who = t.identity ? `${t.identity}${t.source ? ` ${t.source}` : ""}` : "composite";
+      return `${who}: ${t.error || t.status}${t.retryAt ? " (retrying)" : ""}`;
+    })
+    .join("; ");
+}
+
+function RecordingHealthBadge({ recording }) {
+  const health = recording.health || recording.status;
+  const colors = {
+    ok: { background: "#e6f4ea", color: "#1e7e34" },
+    starting: { background: "#fff4e5", color: "#8a4b00" },
+    degraded: { background: "#fff4e5", color: "#8a4b00" },
+    failed: { background: "#fdecea", color: "#b00020" },
+  }[health] || { background: "#eee", color: "#555" };
+  return (
+    <span style={{ ...badgeStyle, ...colors }} title={recordingProblem(recording) || undefined}>
+      {health === "ok" ? "recording" : health}
+    </span>
+  );
+}
+
+function downloadText(filename, text, type = "text/csv") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function formatBytes(bytes) {
+  if (!(bytes > 0)) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** i).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+// Recordings of the selected room, grouped by recordingId, with inline playback.
+function RecordingsPanel({ room, serverOffline, onError, onSuccess }) {
+  const [files, setFiles] = useState([]);
+  const [playing, setPlaying] = useState(null); // file name
+  const [busy, setBusy] = useState(false);
+
+  async function reload() {
+    try {
+      const data = await listRecordings();
+      setFiles((data.recordings || []).filter((r) => r.room === room));
+    } catch (e) {
+      onError(`recordings refresh failed: ${e?.message || e}`);
+    }
+  }
+
+  useEffect(() => {
+    setFiles([]);
+    setPlaying(null);
+    if (!room || serverOffline) return;
+    reload();
+    const interval = setInterval(reload, 15000);
+    return () => clearInterval(interval);
+  }, [room, serverOffline]);
+
+  const groups = [];
+  for (const file of files) {
+    const id = file.recordingId || file.file;
+    let group = groups.find((g) => g.id === id);
+    if (!group) {
+      group = { id, recordingId: file.recordingId, active: file.active, files: [] };
+      groups.push(group);
+    }
+    group.files.push(file);
+  }
+
+  async function handleDelete(recordingId) {
+    if (!window.confirm(`Delete recording ${recordingId} and all of its files? This cannot be undone.`)) return;
+    setBusy(true);
+    try {
+      const data = await deleteRecording(room, recordingId);
+      if (files.some((f) => f.recordingId === recordingId && f.file === playing)) setPlaying(null);
+      onSuccess(`Recording ${recordingId} deleted (${data.deleted?.length ?? 0} files)`);
+      reload();
+    } catch (e) {
+      onError(`delete recording failed: ${e?.message || e}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleDelays(recordingId, format) {
+    try {
+      const text = await getDelayTimelineFile(room, recordingId, format);
+      downloadText(`${recordingId}_delays.${format}`, text, format === "eaf" ? "application/xml" : "text/csv");
+    } catch (e) {
+      onError(`delay timeline download failed: ${e?.message || e}`);
+    }
+  }
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <h3 style={{ margin: 0, flex: 1 }}>Recordings</h3>
+        <button onClick={reload} disabled={serverOffline} style={smallButtonStyle}>
+          Refresh
+        </button>
+      </div>
+      {groups.length === 0 ? (
+        <p style={{ opacity: 0.6 }}>No recordings for this room.</p>
+      ) : (
+        groups.map((group) => (
+          <div key={group.id} style={{ borderTop: "1px solid #e4e4e4", marginTop: 12, paddingTop: 8 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", fontSize: 13 }}>
+              <strong style={{ flex: 1 }}>
+                {group.id}
+                {group.active ? <span style={{ color: "#c00", marginLeft: 6 }}>● recording</span> : null}
+              </strong>
+              {group.recordingId && (
+                <>
+                  <button onClick={() => handleDelays(group.recordingId, "csv")} style={smallButtonStyle}>
+                    Delays CSV
+                  </button>
+                  <button onClick={() => handleDelays(group.recordingId, "eaf")} style={smallButtonStyle}>
+                    Delays ELAN
+                  </button>
+                  <a
+                    href={recordingZipUrl(room, group.recordingId)}
+                    style={{ ...smallButtonStyle, textDecoration: "none", color: "inherit" }}
+                  >
+                    Download zip
+                  </a>
+                  <button
+                    onClick={() => handleDelete(group.recordingId)}
+                    disabled={busy || group.active}
+                    title={group.active ? "Stop the recording first" : undefined}
+                    style={{ ...smallButtonStyle, color: "#c00" }}
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+            {group.files.map((file) => (
+              <div key={file.file} style={{ marginTop: 6, fontSize: 12 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <span style={{ flex: 1, wordBreak: "break-all" }}>{file.file}</span>
+                  <span style={{ opacity: 0.7 }}>{formatBytes(file.size)}</span>
+                  <button
+                    onClick={() => setPlaying(playing === file.file ? null : file.file)}
+                    style={smallButtonStyle}
+                  >
+                    {playing === file.file ? "Close" : "Play"}
+                  </button>
+                  <a
+                    href={recordingFileUrl(room, file.file, { download: true })}
+                    style={{ ...smallButtonStyle, textDecoration: "none", color: "inherit" }}
+                  >
+                    Download
+                  </a>
+                </div>
+                {playing === file.file &&
+                  (/\.(ogg|mp3)$/.test(file.file) || /_ROOM_audio\./.test(file.file) ? (
+                    <audio src={recordingFileUrl(room, file.file)} controls autoPlay style={{ width: "100%", marginTop: 6 }} />
+                  ) : (
+                    <video
+                      src={recordingFileUrl(room, file.file)}
+                      controls
+                      autoPlay
+                      style={{ width: "100%", maxHeight: 360, marginTop: 6, background: "#000" }}
+                    />
+                  ))}
+              </div>
+            ))}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    // Clipboard API needs a secure context; fall back to a manual copy prompt.
+    window.prompt("Copy the invite link:", text);
+    return false;
+  }
+}
+
+function InvitesPanel({ room, serverOffline, onError, onSuccess }) {
+  const [invites, setInvites] = useState([]);
+  // The server only keeps a hash of each invite secret, so links are only
+  // known for invites created from this page.
+  const [inviteLinks, setInviteLinks] = useState({});
+  const [role, setRole] = useState("participant");
+  const [ttlHours, setTtlHours] = useState(24);
+  const [maxUses, setMaxUses] = useState(1);
+  const [label, setLabel] = useState("");
+  const [bulkLabels, setBulkLabels] = useState("");
+  const [bulkCount, setBulkCount] = useState(10);
+  const [busy, setBusy] = useState(false);
+  const [qrInviteId, setQrInviteId] = useState(null);
+  const [expanded, setExpanded] = useState({}); // inviteId -> sessions | null (loading)
+
+  useEffect(() => {
+    setInvites([]);
+    setExpanded({});
+    setQrInviteId(null);
+    if (!room) return;
+    let cancelled = false;
+    const refresh = async () => {
+      if (serverOffline) return;
+      try {
+        const data = await listInvites(room);
+        if (!cancelled) setInvites(data.invites || []);
+      } catch (e) {
+        if (!cancelled) onError(`invites refresh failed: ${e?.message || e}`);
+      }
+    };
+    refresh();
+    const interval = setInterval(refresh, 5000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [room, serverOffline]);
+
+  async function reload() {
+    try {
+      const data = await listInvites(room);
+      setInvites(data.invites || []);
+    } catch (e) {
+      onError(`invites refresh failed: ${e?.message || e}`);
+    }
+  }
+
+  async function handleCreate() {
+    if (serverOffline) {
+      onError("create invite failed: server appears offline");
+      return;
+    }
+    setBusy(true);
+    try {
+      const data = await createInvite({
+        room,
+        role,
+        ttlSeconds: Math.max(1, Math.round(Number(ttlHours) * 3600)),
+        maxUses: Number(maxUses) || 0,
+        label: label.trim() || undefined,
+      });
+      setLabel("");
+      setInviteLinks((prev) => ({ ...prev, [data.inviteId]: data.inviteUrl }));
+      setQrInviteId(data.inviteId);
+      onSuccess(`Invite ${data.inviteId} created`);
+      reload();
+    } catch (e) {
+      onError(`create invite failed: ${e?.message || e}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleBulkCreate() {
+    if (serverOffline) {
+      onError("bulk invites failed: server appears offline");
+      return;
+    }
+    const labels = bulkLabels
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+    setBusy(true);
+    try {
+      const csv = await createInvitesBulkCsv({
+        room,
+        role,
+        ttlSeconds: Math.max(1, Math.round(Number(ttlHours) * 3600)),
+        maxUses: Number(maxUses) || 0,
+        ...(labels.length > 0 ? { labels } : { count: Number(bulkCount) || 0 }),
+      });
+      downloadText(`invites_${room}.csv`, csv);
+      setBulkLabels("");
+      onSuccess(`${labels.length || bulkCount} invites created; CSV downloaded`);
+      reload();
+    } catch (e) {
+      onError(`bulk invites failed: ${e?.message || e}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleRevoke(inviteId) {
+    if (!window.confirm(`Revoke invite ${inviteId}? Everyone who joined through it is disconnected.`)) return;
+    setBusy(true);
+    try {
+      const data = await revokeInvite(inviteId);
+      onSuccess(`Invite ${inviteId} revoked (${data.removedSessions?.length ?? 0} sessions ended)`);
+      if (qrInviteId === inviteId) setQrInviteId(null);
+      reload();
+    } catch (e) {
+      onError(`revoke invite failed: ${e?.message || e}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleToggleSessions(inviteId) {
+    if (inviteId in expanded) {
+      setExpanded(({ [inviteId]: _removed, ...rest }) => rest);
+      return;
+    }
+    setExpanded((prev) => ({ ...prev, [inviteId]: null }));
+    try {
+      const data = await getInvite(inviteId);
+      setExpanded((prev) => (inviteId in prev ? { ...prev, [inviteId]: data.sessions || [] } : prev));
+    } catch (e) {
+      setExpanded(({ [inviteId]: _removed, ...rest }) => rest);
+      onError(`invite lookup failed: ${e?.message || e}`);
+    }
+  }
+
+  async function handleCopy(inviteId) {
+    const copied = await copyText(inviteLinks[inviteId]);
+    if (copied) onSuccess("Invite link copied");
+  }
+
+  return (
+    <div style={panelStyle}>
+      <h3>Invites</h3>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 13 }}>
+        <label>
+          Role{" "}
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            <option value="participant">participant</option>
+            <option value="moderator">moderator</option>
+            <option value="observer">observer</option>
+          </select>
+        </label>
+        <label>
+          Valid for{" "}
+          <input
+            type="number"
+            min="1"
+            value={ttlHours}
+            onChange={(e) => setTtlHours(e.target.value)}
+            style={{ width: 60 }}
+          />{" "}
+          h
+        </label>
+        <label>
+          Max uses{" "}
+          <input
+            type="number"
+            min="0"
+            value={maxUses}
+            onChange={(e) => setMaxUses(e.target.value)}
+            style={{ width: 60 }}
+          />{" "}
+          <span style={{ opacity: 0.6 }}>(0 = unlimited)</span>
+        </label>
+        <label>
+          Label{" "}
+          <input
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="e.g. P01_delay"
+            style={{ width: 110 }}
+          />
+        </label>
+        <button
+          onClick={handleCreate}
+          disabled={busy || !room}
+          style={{ ...smallButtonStyle, background: "#4CAF50", color: "white", border: "none" }}
+        >
+          Create invite
+        </button>
+      </div>
+
+      <details style={{ marginTop: 12, fontSize: 13 }}>
+        <summary style={{ cursor: "pointer" }}>Bulk invites (CSV)</summary>
+        <div style={{ marginTop: 8, display: "flex", gap: 12, alignItems: "flex-start", flexWrap: "wrap" }}>
+          <textarea
+            value={bulkLabels}
+            onChange={(e) => setBulkLabels(e.target.value)}
+            placeholder={"One label per line, e.g.\nP01_delay\nP02_control"}
+            rows={5}
+            style={{ width: 260, fontFamily: "monospace", fontSize: 12 }}
+          />
+          <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            <label>
+              Count without labels{" "}
+              <input
+                type="number"
+                min="1"
+                max="500"
+                value={bulkCount}
+                onChange={(e) => setBulkCount(e.target.value)}
+                disabled={bulkLabels.trim().length > 0}
+                style={{ width: 60 }}
+              />
+            </label>
+            <span style={{ opacity: 0.6 }}>Uses the role, validity and max uses above.</span>
+            <button onClick={handleBulkCreate} disabled={busy || !room} style={smallButtonStyle}>
+              Generate &amp; download CSV
+            </button>
+          </div>
+        </div>
+      </details>
+
+      {qrInviteId && inviteLinks[qrInviteId] ? (
+        <InviteLinkCard
+          inviteId={qrInviteId}
+          url={inviteLinks[qrInviteId]}
+          onCopy={() => handleCopy(qrInviteId)}
+          onClose={() => setQrInviteId(null)}
+        />
+      ) : null}
+
+      {invites.length === 0 ? (
+        <p style={{ opacity: 0.6 }}>No active invites for this room</p>
+      ) : (
+        <table style={{ width: "100%", marginTop: 12, borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+              <th>Invite</th>
+              <th>Label</th>
+              <th>Role</th>
+              <th>Uses</th>
+              <th>Expires</th>
+              <th>Identities</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {invites.map((invite) => (
+              <InviteRow
+                key={invite.inviteId}
+                invite={invite}
+                hasLink={Boolean(inviteLinks[invite.inviteId])}
+                sessions={expanded[invite.inviteId]}
+                isExpanded={invite.inviteId in expanded}
+                busy={busy}
+                onCopy={() => handleCopy(invite.inviteId)}
+                onShowQr={() => setQrInviteId(invite.inviteId)}
+                onToggleSessions={() => handleToggleSessions(invite.inviteId)}
+                onRevoke={() => handleRevoke(invite.inviteId)}
+              />
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function InviteRow({ invite, hasLink, sessions, isExpanded, busy, onCopy, onShowQr, onToggleSessions, onRevoke }) {
+  return (
+    <>
+      <tr style={{ borderBottom: "1px solid #eee", opacity: invite.exhausted ? 0.6 : 1 }}>
+        <td style={{ fontFamily: "monospace", padding: "4px 0" }}>{invite.inviteId}</td>
+        <td>{invite.label || ""}</td>
+        <td>{invite.role}</td>
+        <td>
+          {invite.uses} / {invite.maxUses > 0 ? invite.maxUses : "∞"}
+        </td>
+        <td>{new Date(invite.expiresAt).toLocaleString()}</td>
+        <td>
+          <button onClick={onToggleSessions} style={smallButtonStyle}>
+            {isExpanded ? "Hide" : "Show"} ({invite.sessionCount})
+          </button>
+        </td>
+        <td style={{ textAlign: "right", whiteSpace: "nowrap" }}>
+          {hasLink ? (
+            <>
+              <button onClick={onCopy} style={smallButtonStyle}>
+                Copy link
+              </button>{" "}
+              <button onClick={onShowQr} style={smallButtonStyle}>
+                QR
+              </button>{" "}
+            </>
+          ) : null}
+          <button
+            onClick={onRevoke}
+            disabled={busy}
+            style={{ ...smallButtonStyle, background: "#d9534f", color: "white", border: "none" }}
+          >
+            Revoke
+          </button>
+        </td>
+      </tr>
+      {isExpanded ? (
+        <tr>
+          <td colSpan={7} style={{ padding: "4px 0 8px 16px", fontSize: 12 }}>
+            {sessions === null ? (
+              <span style={{ opacity: 0.6 }}>Loading...</span>
+            ) : sessions.length === 0 ? (
+              <span style={{ opacity: 0.6 }}>No identities issued yet</span>
+            ) : (
+              sessions.map((session) => (
+                <div key={session.identity}>
+                  <b>{session.name || "(no name)"}</b>{" "}
+                  <span style={{ opacity: 0.6 }}>{session.identity}</span>
+                  {session.showSelf === false ? <span style={{ opacity: 0.6 }}> - self hidden</span> : null}
+                </div>
+              ))
+            )}
+          </td>
+        </tr>
+      ) : null}
+    </>
+  );
+}
+
+function InviteLinkCard({ inviteId, url, onCopy, onClose }) {
+  const [qrDataUrl, setQrDataUrl] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(url, { margin: 1, width: 180 })
+      .then((dataUrl) => {
+        if (!cancelled) setQrDataUrl(dataUrl);
+      })
+      .catch((err) => console.error("qr render error:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        background: "white",
+        border: "1px solid #ddd",
+        borderRadius: 6,
+        display: "flex",
+        gap: 16,
+        alignItems: "center",
+      }}
+    >
+      {qrDataUrl ? <img src={qrDataUrl} alt={`QR code for invite ${inviteId}`} width={180} height={180} /> : null}
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontSize: 12, opacity: 0.6 }}>Invite {inviteId}</div>
+        <input readOnly value={url} onFocus={(e) => e.target.select()} style={{ width: "100%", padding: 4, marginTop: 4 }} />
+        <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+          <button onClick={onCopy} style={smallButtonStyle}>
+            Copy link
+          </button>
+          <button onClick={onClose} style={smallButtonStyle}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -7,8 +7,14 @@ import {
   DisconnectReason,
 } from "livekit-client";
 
-import { getConnectionDetails, leaveSession } from "./api.js";
-import AdminPage from "./AdminPage.jsx";
+import {
+  getConnectionDetails,
+  leaveSession,
+  muteParticipant,
+  getModeratorDelayStatus,
+  refreshToken,
+} from "./api.js";
+import AdminGate from "./AdminGate.jsx";
 
 function parseInviteFromUrl() {
   const pathname = stripBasePath(window.location.pathname);
@@ -16,14 +22,13 @@ function parseInviteFromUrl() {
   const inviteId = m?.[1] || null;
   const params = new URLSearchParams(window.location.search);
   const key = params.get("k");
-  const adminKey = params.get("adminKey");
 
   // Direct join parameters (admin-generated tokens)
   const token = params.get("token");
   const roomName = params.get("room");
   const name = params.get("name");
 
-  return { inviteId, key, adminKey, token, roomName, name };
+  return { inviteId, key, token, roomName, name };
 }
 
 const BASE_PATH = (import.meta.env.BASE_URL || "/").replace(/\/$/, "");
@@ -120,38 +125,78 @@ function hasSubscribedVideo(participant) {
   return false;
 }
 
-function parseBooleanAttr(value, fallback = true) {
-  if (typeof value === "boolean") return value;
-  if (typeof value === "string") {
-    const normalized = value.trim().toLowerCase();
-    if (["true", "1", "yes", "on"].includes(normalized)) return true;
-    if (["false", "0", "no", "off"].includes(normalized)) return false;
-  }
-  return fallback;
+// Delay relays are fx_<identity>, plus fx_<identity>@<delayMs> for viewers with their own delay.
+function relaySourceIdentity(identity) {
+  const rest = identity.slice("fx_".length);
+  const at = rest.indexOf("@");
+  return at === -1 ? rest : rest.slice(0, at);
 }
 
-function buildParticipantList(room) {
-  const local = room.localParticipant;
-  const remotes = Array.from(room.remoteParticipants.values());
+// The server subscribes us to at most one relay per source: prefer the one with tracks, else the
+// default relay.
+function pickRelay(candidates) {
+  if (!candidates?.length) return null;
+  const subscribed = candidates.find((p) =>
+    Array.from(p.trackPublications.values()).some((pub) => pub.track && pub.isSubscribed)
+  );
+  return subscribed || candidates.find((p) => !p.identity.includes("@")) || null;
+}
 
+function groupRelays(remotes) {
   const relays = new Map();
   const originals = new Map();
-
   for (const p of remotes) {
-    if (p.identity.startsWith("admin_") || p.identity.startsWith("EG_")) {
+    if (isHiddenIdentity(p.identity)) {
       continue;
     }
     if (p.identity.startsWith("fx_")) {
-      const originalId = p.identity.slice("fx_".length);
-      relays.set(originalId, p);
+      const originalId = relaySourceIdentity(p.identity);
+      if (!relays.has(originalId)) relays.set(originalId, []);
+      relays.get(originalId).push(p);
     } else {
       originals.set(p.identity, p);
     }
   }
+  for (const [id, candidates] of relays.entries()) {
+    const relay = pickRelay(candidates);
+    if (relay) relays.set(id, relay);
+    else relays.delete(id);
+  }
+  return { relays, originals };
+}
+
+function parseBooleanAttr(value, fallback = true) {
+  if (typeof value === "boolean") return value;
+  if (typeof value === "string") {
+    const normalized = value.trim().toLowerCase();
+    if (["true", "1", "yes", "on"].includes(normalized)) return true;
+    if (["false", "0", "no", "off"].includes(normalized)) return false;
+  }
+  return fallback;
+}
+
+// Admin previews, egress recorders and observers never get a tile.
+function isHiddenIdentity(identity) {
+  return identity.startsWith("admin_") || identity.startsWith("EG_") || identity.startsWith("o_");
+}
+
+function hasMutedPublication(participant, kind) {
+  if (!participant) return false;
+  for (const pub of participant.trackPublications.values()) {
+    if (pub.kind === kind && pub.isMuted) return true;
+  }
+  return false;
+}
+
+function buildParticipantList(room, { includeLocal = true } = {}) {
+  const local = room.localParticipant;
+  const remotes = Array.from(room.remoteParticipants.values());
+
+  const { relays, originals } = groupRelays(remotes);
 
   const list = [];
   const localShowSelf = parseBooleanAttr(local?.attributes?.showSelf, true);
-  if (localShowSelf) {
+  if (includeLocal && localShowSelf) {
     list.push({
       key: `local:${local.identity}`,
       participant: local,
@@ -202,20 +247,7 @@ function buildParticipantList(room) {
 
 function buildRecordingParticipantList(room) {
   const remotes = Array.from(room.remoteParticipants.values());
-  const relays = new Map();
-  const originals = new Map();
-
-  for (const p of remotes) {
-    if (p.identity.startsWith("admin_") || p.identity.startsWith("EG_")) {
-      continue;
-    }
-    if (p.identity.startsWith("fx_")) {
-      const originalId = p.identity.slice("fx_".length);
-      relays.set(originalId, p);
-    } else {
-      originals.set(p.identity, p);
-    }
-  }
+  const { relays, originals } = groupRelays(remotes);
 
   const list = [];
 
@@ -259,7 +291,7 @@ function buildRecordingParticipantList(room) {
 }
 
 export default function App() {
-  const { inviteId, key, adminKey, token, roomName, name: urlName } = useMemo(parseInviteFromUrl, []);
+  const { inviteId, key, token, roomName, name: urlName } = useMemo(parseInviteFromUrl, []);
   const storedSession = useMemo(() => loadStoredSession(inviteId, key), [inviteId, key]);
   const [savedIdentity, setSavedIdentity] = useState(storedSession?.identity || "");
   const [name, setName] = useState(urlName || storedSession?.name || "");
@@ -270,6 +302,7 @@ export default function App() {
   const manualLeaveRef = useRef(false);
   const localTracksRef = useRef({ video: null, audio: null });
   const [serverOffline, setServerOffline] = useState(false);
+  const [moderatorDelays, setModeratorDelays] = useState({});
 
   // Check if admin path
   const admin = useMemo(isAdminPath, []);
@@ -277,21 +310,7 @@ export default function App() {
 
   // If admin path, show admin page
   if (admin) {
-    if (adminKey) {
-      // Store admin key in sessionStorage for API calls
-      sessionStorage.setItem("adminKey", adminKey);
-      return <AdminPage />;
-    } else {
-      return (
-        <div style={{ padding: 24, fontFamily: "system-ui" }}>
-          <h2>Admin Access Required</h2>
-          <p>This page requires an admin key.</p>
-          <p>
-            Use the URL format: <code>/admin?adminKey=YOUR_ADMIN_KEY</code>
-          </p>
-        </div>
-      );
-    }
+    return <AdminGate />;
   }
   if (recording) {
     return <RecordingView />;
@@ -299,6 +318,8 @@ export default function App() {
 
   // Keep a single Room instance per "session"
   const roomRef = useRef(null);
+  // Latest renewed LiveKit token ({ token, expiresAt }) for the current session.
+  const freshTokenRef = useRef(null);
 
   // Re-render trigger when participants/tracks change
   const [, bump] = useState(0);
@@ -371,6 +392,37 @@ export default function App() {
     }
   }
 
+  async function fetchFreshToken(identity) {
+    const data = await refreshToken({ inviteId, key, identity });
+    freshTokenRef.current = { token: data.token, expiresAt: data.expiresAt };
+    return data;
+  }
+
+  // Reconnect with a renewed token instead of re-running the invite flow,
+  // which would count as another invite use.
+  async function resumeSession(prevConn) {
+    let next = null;
+    try {
+      const data = await fetchFreshToken(prevConn.identity);
+      next = { ...prevConn, token: data.token, expiresAt: data.expiresAt };
+    } catch (e) {
+      console.warn("token refresh on disconnect failed:", e?.message || e);
+      // Network trouble or throttling: fall back to the last renewed token if it is still valid.
+      const cached = freshTokenRef.current;
+      if ((e?.status === undefined || e?.status === 429) && cached && new Date(cached.expiresAt).getTime() > Date.now() + 5000) {
+        next = { ...prevConn, token: cached.token, expiresAt: cached.expiresAt };
+      }
+    }
+
+    if (next) {
+      setConn(next);
+      return;
+    }
+    setStatus("idle");
+    setConn(null);
+    setAutoJoinBlocked(false);
+  }
+
   async function onLeave() {
     manualLeaveRef.current = true;
     setAutoJoinBlocked(true);
@@ -442,6 +494,8 @@ export default function App() {
     if (!conn) return;
 
     let cancelled = false;
+    let wasConnected = false;
+    const canRefresh = Boolean(inviteId && key && conn.identity && conn.expiresAt);
     const room = new Room({
       adaptiveStream: true,
       dynacast: true,
@@ -465,18 +519,20 @@ export default function App() {
       .on(RoomEvent.TrackSubscribed, onAnyUpdate)
       .on(RoomEvent.TrackUnsubscribed, onAnyUpdate)
       .on(RoomEvent.TrackPublished, onAnyUpdate)
-      .on(RoomEvent.TrackUnpublished, onAnyUpdate);
+      .on(RoomEvent.TrackUnpublished, onAnyUpdate)
+      .on(RoomEvent.TrackMuted, onAnyUpdate)
+      .on(RoomEvent.TrackUnmuted, onAnyUpdate);
 
     // Connection lifecycle
     room
       .on(RoomEvent.Disconnected, (reason) => {
         if (cancelled) return;
-        setStatus("idle");
-        setConn(null);
         roomRef.current = null;
         clearLocalTracks();
 
         if (manualLeaveRef.current) {
+          setStatus("idle");
+          setConn(null);
           manualLeaveRef.current = false;
           return;
         }
@@ -486,6 +542,14 @@ export default function App() {
           reason === DisconnectReason.PARTICIPANT_REMOVED ||
           reason === DisconnectReason.DUPLICATE_IDENTITY;
 
+        if (!removedByAdmin && wasConnected && canRefresh) {
+          setStatus("connecting");
+          resumeSession(conn);
+          return;
+        }
+
+        setStatus("idle");
+        setConn(null);
         if (removedByAdmin) {
           setAutoJoinBlocked(true);
           if (inviteId && key) {
@@ -498,7 +562,14 @@ export default function App() {
         }
       })
       .on(RoomEvent.Reconnecting, () => {
-        if (!cancelled) setStatus("connecting");
+        if (cancelled) return;
+        setStatus("connecting");
+        // Have a valid token ready in case the reconnect attempt gives up.
+        if (canRefresh) {
+          fetchFreshToken(conn.identity).catch((e) => {
+            console.warn("token refresh on reconnect failed:", e?.message || e);
+          });
+        }
       })
       .on(RoomEvent.Reconnected, () => {
         if (!cancelled) setStatus("connected");
@@ -509,6 +580,7 @@ export default function App() {
         // IMPORTANT: autoSubscribe must be true to see other participants
         await room.connect(conn.url, conn.token, { autoSubscribe: true });
         if (cancelled) return;
+        wasConnected = true;
         setStatus("connected");
         forceRender();
       } catch (e) {
@@ -523,6 +595,9 @@ export default function App() {
         return;
       }
 
+      // Observers have a subscribe-only token.
+      if (conn.role === "observer") return;
+
       try {
         // Publish local tracks (cam + mic). If permissions fail, stay connected.
         const tracks = await createLocalTracks({
@@ -559,6 +634,68 @@ export default function App() {
     };
   }, [conn]);
 
+  // Renew the token ahead of expiry. LiveKit pushes renewed tokens to connected
+  // clients itself; this one is used when the connection has to be rebuilt.
+  useEffect(() => {
+    freshTokenRef.current = conn?.expiresAt ? { token: conn.token, expiresAt: conn.expiresAt } : null;
+    if (!conn?.expiresAt || !conn.identity || !inviteId || !key) return;
+
+    let cancelled = false;
+    let timer = null;
+    const schedule = (expiresAt) => {
+      const delay = Math.max(30_000, new Date(expiresAt).getTime() - Date.now() - 120_000);
+      timer = setTimeout(run, delay);
+    };
+    const run = async () => {
+      try {
+        const data = await fetchFreshToken(conn.identity);
+        if (!cancelled) schedule(data.expiresAt);
+      } catch (e) {
+        console.warn("token refresh failed:", e?.message || e);
+        // Session or invite is gone; the next connection attempt will surface it.
+        if (e?.status >= 400 && e?.status < 500 && e?.status !== 429) return;
+        if (!cancelled) timer = setTimeout(run, 30_000);
+      }
+    };
+    schedule(conn.expiresAt);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [conn]);
+
+  // Moderators see the delay applied to each participant.
+  useEffect(() => {
+    if (conn?.role !== "moderator" || !conn.identity) {
+      setModeratorDelays({});
+      return;
+    }
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const data = await getModeratorDelayStatus({ inviteId, key, identity: conn.identity });
+        if (!cancelled) setModeratorDelays(data.trackDelays || {});
+      } catch (e) {
+        console.warn("delay status error:", e?.message || e);
+      }
+    };
+    refresh();
+    const interval = setInterval(refresh, 3000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [conn]);
+
+  async function onModeratorMute(target, kind, muted) {
+    try {
+      await muteParticipant({ inviteId, key, identity: conn.identity, target, kind, muted });
+      setErr("");
+    } catch (e) {
+      setErr(e?.message || "Mute failed");
+    }
+  }
+
   if (!inviteId && !key && !token) {
     return (
       <div style={{ padding: 24, fontFamily: "system-ui" }}>
@@ -620,7 +757,9 @@ export default function App() {
   }
 
   const room = roomRef.current;
-  const participants = room ? buildParticipantList(room) : [];
+  const role = conn.role || "participant";
+  const isModerator = role === "moderator";
+  const participants = room ? buildParticipantList(room, { includeLocal: role !== "observer" }) : [];
 
   return (
     <div style={{ fontFamily: "system-ui", padding: 12 }}>
@@ -635,10 +774,21 @@ export default function App() {
           <>
             | <b>room:</b> {conn.room} | <b>me:</b>{" "}
             {room.localParticipant.identity}
+            {role !== "participant" ? (
+              <>
+                {" "}| <b>role:</b> {role}
+              </>
+            ) : null}
           </>
         ) : null}
       </div>
 
+      {role === "observer" ? (
+        <div style={{ marginBottom: 10, opacity: 0.75 }}>
+          You are observing: your camera and microphone are not shared.
+        </div>
+      ) : null}
+
       {err ? <div style={{ color: "crimson", marginBottom: 10 }}>{err}</div> : null}
 
       <div
@@ -662,6 +812,11 @@ export default function App() {
                 ? localTracksRef.current.video
                 : null
             }
+            moderation={
+              isModerator && room && p.displayIdentity !== room.localParticipant.identity
+                ? buildModeration(room, p.displayIdentity, moderatorDelays, onModeratorMute)
+                : null
+            }
           />
         ))}
       </div>
@@ -678,6 +833,21 @@ export default function App() {
   );
 }
 
+function buildModeration(room, identity, delays, onMute) {
+  // Mute state lives on the original participant, even when the tile shows its fx_ relay.
+  const original = room.remoteParticipants.get(identity);
+  const audioMuted = hasMutedPublication(original, Track.Kind.Audio);
+  const videoMuted = hasMutedPublication(original, Track.Kind.Video);
+  const { audioDelayMs = 0, videoDelayMs = 0 } = delays?.[identity] || {};
+  return {
+    delay: audioDelayMs === videoDelayMs ? `${videoDelayMs}ms` : `audio ${audioDelayMs}ms / video ${videoDelayMs}ms`,
+    audioMuted,
+    videoMuted,
+    onToggleAudio: () => onMute(identity, "audio", !audioMuted),
+    onToggleVideo: () => onMute(identity, "video", !videoMuted),
+  };
+}
+
 function RecordingView() {
   const { url, token } = useMemo(parseRecordingParams, []);
   const [status, setStatus] = useState("connecting");
@@ -795,7 +965,7 @@ function RecordingView() {
   );
 }
 
-function ParticipantCard({ room, participant, displayName, displayIdentity, overrideVideoTrack }) {
+function ParticipantCard({ room, participant, displayName, displayIdentity, overrideVideoTrack, moderation }) {
   const videoRef = useRef(null);
   const audioRef = useRef(null);
 
@@ -887,6 +1057,18 @@ function ParticipantCard({ room, participant, displayName, displayIdentity, over
         video: {overrideVideoTrack ? "local" : videoPub?.track ? "subscribed" : "none"} | audio:{" "}
         {audioPub?.track ? "subscribed" : "none"}
       </div>
+
+      {moderation ? (
+        <div style={{ marginTop: 8, display: "flex", alignItems: "center", gap: 8, fontSize: 12 }}>
+          <span style={{ opacity: 0.8 }}>delay: {moderation.delay}</span>
+          <button onClick={moderation.onToggleAudio} style={{ padding: "4px 8px", cursor: "pointer" }}>
+            {moderation.audioMuted ? "Unmute mic" : "Mute mic"}
+          </button>
+          <button onClick={moderation.onToggleVideo} style={{ padding: "4px 8px", cursor: "pointer" }}>
+            {moderation.videoMuted ? "Unmute camera" : "Mute camera"}
+          </button>
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -1,19 +1,18 @@
 /**
  * Admin API utilities
- * All admin APIs require x-admin-key header
+ * Admin APIs are authorized by the HttpOnly session cookie set by adminLogin().
  */
 
-function getAdminKey() {
-  // Get from sessionStorage or query param for security
-  return sessionStorage.getItem("adminKey") || new URLSearchParams(window.location.search).get("adminKey");
+import { rateLimitMessage } from "./api.js";
+
+let unauthorizedHandler = null;
+
+/** Called whenever an admin request comes back 401 (session expired or logged out). */
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
 }
 
 function makeAdminRequest(endpoint, options = {}) {
-  const adminKey = getAdminKey();
-  if (!adminKey) {
-    throw new Error("Admin key not found. Use ?adminKey=YOUR_KEY");
-  }
-
   const { timeoutMs = 8000, ...rest } = options;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
@@ -21,12 +20,16 @@ function makeAdminRequest(endpoint, options = {}) {
   return fetch(endpoint, {
     ...rest,
     signal: controller.signal,
+    credentials: "same-origin",
     headers: {
-      "x-admin-key": adminKey,
       "content-type": "application/json",
       ...rest.headers,
     },
   })
+    .then((r) => {
+      if (r.status === 401) unauthorizedHandler?.();
+      return r;
+    })
     .catch((err) => {
       if (err?.name === "AbortError") {
         throw new Error("Request timed out");
@@ -46,6 +49,10 @@ async function parseResponse(r, label) {
       data = null;
     }
   }
+  if (r.status === 429) {
+    const retryAfter = data?.retryAfter ?? r.headers.get("retry-after");
+    throw new Error(`${label} failed: ${rateLimitMessage(retryAfter, data?.error === "too many failed attempts")}`);
+  }
   if (!r.ok) {
     const detail = data?.error || text;
     const suffix = detail ? ` - ${detail}` : "";
@@ -54,11 +61,79 @@ async function parseResponse(r, label) {
   return data ?? {};
 }
 
+export async function adminLogin(username, password) {
+  const r = await fetch("/api/admin/login", {
+    method: "POST",
+    credentials: "same-origin",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  return parseResponse(r, "login");
+}
+
+export async function adminLogout() {
+  const r = await makeAdminRequest("/api/admin/logout", { method: "POST" });
+  return parseResponse(r, "logout");
+}
+
+/** Current admin session, or null when not logged in. */
+export async function getAdminSession() {
+  const r = await fetch("/api/admin/session", { credentials: "same-origin" });
+  if (r.status === 401) return null;
+  return parseResponse(r, "getAdminSession");
+}
+
+/**
+ * Live admin updates for a room via GET /api/admin/events (server-sent events).
+ * `handlers` maps event names (participants, recording, delays, rooms, health) to callbacks;
+ * onError(closed) reports drops, with closed=true once the browser stops retrying by itself.
+ * Returns a function that closes the stream.
+ */
+export function subscribeAdminEvents(room, { onOpen, onError, ...handlers }) {
+  const source = new EventSource(`/api/admin/events?room=${encodeURIComponent(room)}`, {
+    withCredentials: true,
+  });
+  source.onopen = () => onOpen?.();
+  source.onerror = () => onError?.(source.readyState === EventSource.CLOSED);
+  for (const [type, handler] of Object.entries(handlers)) {
+    source.addEventListener(type, (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      handler(data);
+    });
+  }
+  return () => source.close();
+}
+
 export async function getRoom() {
   const r = await makeAdminRequest("/api/admin/room");
   return parseResponse(r, "getRoom");
 }
 
+export async function listRooms() {
+  const r = await makeAdminRequest("/api/admin/rooms");
+  return parseResponse(r, "listRooms");
+}
+
+export async function createRoom(name) {
+  const r = await makeAdminRequest("/api/admin/rooms", {
+    method: "POST",
+    body: JSON.stringify({ name }),
+  });
+  return parseResponse(r, "createRoom");
+}
+
+export async function closeRoom(roomName) {
+  const r = await makeAdminRequest(`/api/admin/rooms/${encodeURIComponent(roomName)}`, {
+    method: "DELETE",
+  });
+  return parseResponse(r, "closeRoom");
+}
+
 export async function getParticipants(roomName) {
   const r = await makeAdminRequest(`/api/admin/rooms/${encodeURIComponent(roomName)}/participants`);
   return parseResponse(r, "getParticipants");
@@ -83,10 +158,12 @@ export async function setParticipantSelfVisibility(roomName, identity, showSelf)
   return parseResponse(r, "setParticipantSelfVisibility");
 }
 
-export async function startRecording(room, mode) {
+// mode: individual | delayed | audio | tracks | composite | composite_audio; encoding is optional
+// (see POST /api/admin/recording/start).
+export async function startRecording(room, mode, encoding) {
   const r = await makeAdminRequest("/api/admin/recording/start", {
     method: "POST",
-    body: JSON.stringify({ room, mode }),
+    body: JSON.stringify({ room, mode, encoding }),
   });
   return parseResponse(r, "startRecording");
 }
@@ -104,14 +181,77 @@ export async function getRecordingStatus(room) {
   return parseResponse(r, "getRecordingStatus");
 }
 
-export async function setDelayEffect(room, participant, delayMs) {
+export async function listRecordings() {
+  const r = await makeAdminRequest("/api/admin/recordings");
+  return parseResponse(r, "listRecordings");
+}
+
+export async function deleteRecording(room, recordingId) {
+  const r = await makeAdminRequest(
+    `/api/admin/recordings/${encodeURIComponent(room)}/${encodeURIComponent(recordingId)}`,
+    { method: "DELETE" }
+  );
+  return parseResponse(r, "deleteRecording");
+}
+
+// Plain URLs (authorized by the session cookie) for <video src> and download links.
+export function recordingFileUrl(room, file, { download = false } = {}) {
+  const url = `/api/admin/recordings/${encodeURIComponent(room)}/files/${encodeURIComponent(file)}`;
+  return download ? `${url}?download=1` : url;
+}
+
+export function recordingZipUrl(room, recordingId) {
+  return `/api/admin/recordings/${encodeURIComponent(room)}/${encodeURIComponent(recordingId)}/zip`;
+}
+
+// format: "csv" | "eaf" (ELAN); returns the file contents as text.
+export async function getDelayTimelineFile(room, recordingId, format) {
+  const r = await makeAdminRequest(
+    `/api/admin/recordings/${encodeURIComponent(room)}/${encodeURIComponent(recordingId)}/delays?format=${format}`
+  );
+  if (!r.ok) {
+    await parseResponse(r, "getDelayTimeline");
+  }
+  return r.text();
+}
+
+/**
+ * delays: { audioDelayMs, videoDelayMs } (either may be left out to keep it), or { delayMs } for both.
+ * transition: "instant" | "hold" | "ramp"; transitionMs is the ramp window (omit for the default).
+ * Resolves to { ..., audioDelayMs, videoDelayMs, transition: { mode, windowMs } } with the window actually used.
+ */
+export async function setDelayEffect(room, participant, delays, { transition, transitionMs } = {}) {
   const r = await makeAdminRequest("/api/admin/effects/delay", {
     method: "POST",
-    body: JSON.stringify({ room, participant, delayMs }),
+    body: JSON.stringify({ room, participant, ...delays, transition, transitionMs }),
   });
   return parseResponse(r, "setDelayEffect");
 }
 
+/**
+ * Per-viewer delays of one participant: { viewerIdentity: delayMs | null }; null gives the viewer
+ * the participant's own delay again.
+ */
+export async function setViewerDelays(room, participant, viewers) {
+  const r = await makeAdminRequest("/api/admin/effects/delay/viewers", {
+    method: "POST",
+    body: JSON.stringify({ room, participant, viewers }),
+  });
+  return parseResponse(r, "setViewerDelays");
+}
+
+/**
+ * Plays a delay profile ({ segments, seed?, loop?, tracks? }) on the participant's relay, or stops
+ * it with null. Resolves to { ..., profile, status } with the seed actually used.
+ */
+export async function setDelayProfile(room, participant, profile) {
+  const r = await makeAdminRequest("/api/admin/effects/delay/profile", {
+    method: "POST",
+    body: JSON.stringify({ room, participant, profile }),
+  });
+  return parseResponse(r, "setDelayProfile");
+}
+
 export async function getDelayEffectStatus(room) {
   const r = await makeAdminRequest(`/api/admin/effects/delay/status?room=${encodeURIComponent(room)}`);
   return parseResponse(r, "getDelayEffectStatus");
@@ -129,3 +269,78 @@ export async function getHealth() {
   const r = await makeAdminRequest("/api/admin/health");
   return parseResponse(r, "getHealth");
 }
+
+export async function createInvite({ room, role, ttlSeconds, maxUses, label }) {
+  const r = await makeAdminRequest("/api/invites", {
+    method: "POST",
+    body: JSON.stringify({ room, role, ttlSeconds, maxUses, label }),
+  });
+  return parseResponse(r, "createInvite");
+}
+
+/**
+ * Creates one invite per label (or `count` unlabelled ones).
+ * Returns the CSV export (inviteUrl,inviteId,label) as text.
+ */
+export async function createInvitesBulkCsv({ room, role, ttlSeconds, maxUses, count, labels }) {
+  const r = await makeAdminRequest("/api/admin/invites/bulk?format=csv", {
+    method: "POST",
+    body: JSON.stringify({ room, role, ttlSeconds, maxUses, count, labels }),
+    timeoutMs: 30000,
+  });
+  if (!r.ok) {
+    await parseResponse(r, "createInvitesBulk");
+  }
+  return r.text();
+}
+
+function auditQuery({ room, type, from, to, limit, format } = {}) {
+  const params = new URLSearchParams();
+  if (room) params.set("room", room);
+  if (type) params.set("type", type);
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  if (limit) params.set("limit", String(limit));
+  if (format) params.set("format", format);
+  const query = params.toString();
+  return `/api/admin/audit${query ? `?${query}` : ""}`;
+}
+
+export async function getAuditLog(filters = {}) {
+  const r = await makeAdminRequest(auditQuery(filters), { timeoutMs: 30000 });
+  return parseResponse(r, "getAuditLog");
+}
+
+export async function getAuditLogCsv(filters = {}) {
+  const r = await makeAdminRequest(auditQuery({ ...filters, format: "csv" }), { timeoutMs: 30000 });
+  if (!r.ok) {
+    await parseResponse(r, "getAuditLog");
+  }
+  return r.text();
+}
+
+export async function listInvites(room) {
+  const query = room ? `?room=${encodeURIComponent(room)}` : "";
+  const r = await makeAdminRequest(`/api/admin/invites${query}`);
+  return parseResponse(r, "listInvites");
+}
+
+export async function getInvite(inviteId) {
+  const r = await makeAdminRequest(`/api/admin/invites/${encodeURIComponent(inviteId)}`);
+  return parseResponse(r, "getInvite");
+}
+
+export async function updateInvite(inviteId, { ttlSeconds, maxUses }) {
+  const r = await makeAdminRequest(`/api/admin/invites/${encodeURIComponent(inviteId)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ ttlSeconds, maxUses }),
+  });
+  return parseResponse(r, "updateInvite");
+}
+
+export async function revokeInvite(inviteId) {
+  const r = await makeAdminRequest(`/api/admin/invites/${encodeURIComponent(inviteId)}`, {
+    method: "DELETE",
+  });
+  return parseResponse(r, "revokeInvite");
+}
@@ -1,3 +1,36 @@
+/** Readable text for a 429 from token-service (rate limit or lockout). */
+export function rateLimitMessage(retryAfterSeconds, lockedOut = false) {
+  const seconds = Number(retryAfterSeconds) || 60;
+  const wait = seconds >= 90 ? `about ${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+  return lockedOut
+    ? `Too many failed attempts. Please wait ${wait} and try again.`
+    : `Too many requests. Please wait ${wait} and try again.`;
+}
+
+// Error with `status` / `code` from a failed token-service response.
+async function requestError(r, label) {
+  let message = "";
+  let data = null;
+  try {
+    data = await r.clone().json();
+    message = data?.error || "";
+  } catch {
+    message = await r.text().catch(() => "");
+  }
+  const err =
+    r.status === 429
+      ? new Error(
+          rateLimitMessage(
+            data?.retryAfter ?? r.headers.get("retry-after"),
+            data?.error === "too many failed attempts"
+          )
+        )
+      : new Error(`${label} failed: ${r.status} ${message}`);
+  err.status = r.status;
+  err.code = data?.error || "";
+  return err;
+}
+
 export async function getConnectionDetails({ inviteId, key, name, identity }) {
   const r = await fetch("/api/connection-details", {
     method: "POST",
@@ -6,19 +39,7 @@ export async function getConnectionDetails({ inviteId, key, name, identity }) {
   });
 
   if (!r.ok) {
-    let message = "";
-    let code = "";
-    try {
-      const data = await r.json();
-      message = data?.error || "";
-      code = data?.error || "";
-    } catch {
-      message = await r.text().catch(() => "");
-    }
-    const err = new Error(`connection-details failed: ${r.status} ${message}`);
-    err.status = r.status;
-    err.code = code;
-    throw err;
+    throw await requestError(r, "connection-details");
   }
   return r.json();
 }
@@ -31,8 +52,41 @@ export async function leaveSession({ inviteId, key, identity }) {
   });
 
   if (!r.ok) {
-    const t = await r.text().catch(() => "");
-    throw new Error(`leave failed: ${r.status} ${t}`);
+    throw await requestError(r, "leave");
+  }
+  return r.json();
+}
+
+async function moderatorRequest(pathname, label, body) {
+  const r = await fetch(pathname, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!r.ok) {
+    throw await requestError(r, label);
+  }
+  return r.json();
+}
+
+export function muteParticipant({ inviteId, key, identity, target, kind, muted }) {
+  return moderatorRequest("/api/moderator/mute", "mute", { inviteId, key, identity, target, kind, muted });
+}
+
+export function getModeratorDelayStatus({ inviteId, key, identity }) {
+  return moderatorRequest("/api/moderator/delay-status", "delay status", { inviteId, key, identity });
+}
+
+export async function refreshToken({ inviteId, key, identity }) {
+  const r = await fetch("/api/token/refresh", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ inviteId, key, identity }),
+  });
+
+  if (!r.ok) {
+    throw await requestError(r, "token refresh");
   }
   return r.json();
 }
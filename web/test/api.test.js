@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { getConnectionDetails, rateLimitMessage, refreshToken } from "../src/api.js";
+
+function respondWith(t, status, body, headers = {}) {
+  t.mock.method(globalThis, "fetch", async () =>
+    new Response(typeof body === "string" ? body : JSON.stringify(body), { status, headers })
+  );
+}
+
+test("rate limit messages give the wait in seconds or minutes", () => {
+  assert.equal(rateLimitMessage(30), "Too many requests. Please wait 30 seconds and try again.");
+  assert.equal(rateLimitMessage("900", true), "Too many failed attempts. Please wait about 15 minutes and try again.");
+  assert.equal(rateLimitMessage(undefined), "Too many requests. Please wait 60 seconds and try again.");
+});
+
+test("a 429 becomes a readable error with the wait from the response", async (t) => {
+  respondWith(t, 429, { error: "too many failed attempts", retryAfter: 120 });
+  await assert.rejects(getConnectionDetails({ inviteId: "i", key: "k" }), {
+    message: "Too many failed attempts. Please wait about 2 minutes and try again.",
+    status: 429,
+    code: "too many failed attempts",
+  });
+
+  respondWith(t, 429, "slow down", { "retry-after": "45" });
+  await assert.rejects(refreshToken({ inviteId: "i", key: "k", identity: "p" }), {
+    message: "Too many requests. Please wait 45 seconds and try again.",
+    status: 429,
+  });
+});
+
+test("other failures keep the status and the error code of token-service", async (t) => {
+  respondWith(t, 410, { error: "invite already used" });
+  await assert.rejects(getConnectionDetails({ inviteId: "i", key: "k" }), {
+    message: "connection-details failed: 410 invite already used",
+    status: 410,
+    code: "invite already used",
+  });
+});